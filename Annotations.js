@@ -0,0 +1,93 @@
+const { diffLines } = require('./Diff');
+const { trigrams, trigramSimilarity } = require('./Fuzzy');
+
+// Annotations are notes on a line of a tab ("palm mute here"); a note on a section header
+// covers the section. They are kept apart from the tab text so they never disturb the chord alignment.
+const MAX_TEXT_LENGTH = 500;
+const EDITED_LINE_SIMILARITY = 0.5;
+// Past this many removed × added lines, a block is a rewrite rather than an edit, and scoring
+// every pair would hold up the save
+const MAX_SCORED_PAIRS = 10000;
+
+// Reads an annotation from a request body; returns { fields } or { error } for a 400. With
+// `partial`, either field may be left out, as when updating.
+const parseAnnotation = (body, lineCount, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body?.line !== undefined) {
+    if (!Number.isInteger(body?.line) || body.line < 0 || body.line >= lineCount) {
+      return { error: 'line must be the index of a line of the tab' };
+    }
+    fields.line = body.line;
+  }
+
+  if (!partial || body?.text !== undefined) {
+    if (typeof body?.text !== 'string' || !body.text.trim()) return { error: 'text is required' };
+    if (body.text.trim().length > MAX_TEXT_LENGTH) return { error: `text must be at most ${MAX_TEXT_LENGTH} characters` };
+    fields.text = body.text.trim();
+  }
+
+  return { fields };
+};
+
+// Pairs the lines of a block of changes. A block with as many new lines as old ones was edited
+// line by line; otherwise an old line goes to the new line most like it, if any is alike enough.
+// The lines of a block too big to score are left unpaired.
+const pairChangedLines = (removed, added, mapping) => {
+  if (removed.length === added.length) {
+    removed.forEach((change, index) => { mapping[change.old_line] = added[index].new_line; });
+    return;
+  }
+  if (removed.length * added.length > MAX_SCORED_PAIRS) return;
+
+  const unused = added.map(change => ({ ...change, trigrams: trigrams(change.text) }));
+  removed.forEach(change => {
+    const lineTrigrams = trigrams(change.text);
+    const scored = unused.map(candidate => ({ candidate, score: trigramSimilarity(lineTrigrams, candidate.trigrams) }));
+    const best = scored.reduce((top, entry) => (!top || entry.score > top.score ? entry : top), null);
+    if (!best || best.score < EDITED_LINE_SIMILARITY) return;
+    mapping[change.old_line] = best.candidate.new_line;
+    unused.splice(unused.indexOf(best.candidate), 1);
+  });
+};
+
+// Where each line of the old text is in the new text, or null for lines that were removed. When
+// the texts are too different to diff, every line counts as removed.
+const lineMapping = (oldText, newText) => {
+  const mapping = new Array(oldText.split('\n').length).fill(null);
+  const changes = diffLines(oldText, newText);
+  if (!changes) return mapping;
+
+  let removed = [];
+  let added = [];
+
+  const endBlock = () => {
+    pairChangedLines(removed, added, mapping);
+    removed = [];
+    added = [];
+  };
+
+  changes.forEach(change => {
+    if (change.type === 'equal') {
+      endBlock();
+      mapping[change.old_line] = change.new_line;
+    } else if (change.type === 'removed') {
+      removed.push(change);
+    } else {
+      added.push(change);
+    }
+  });
+  endBlock();
+
+  return mapping;
+};
+
+// The line an annotation moves to when the text changes, or null when its line is gone
+const moveAnchor = (mapping, line) => (line === null ? null : mapping[line] ?? null);
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  parseAnnotation,
+  lineMapping,
+  moveAnchor,
+};
@@ -0,0 +1,33 @@
+const { normalize } = require('./Fuzzy');
+
+// Artist names are free text, so "The Beatles", "Beatles" and "beatles!" are grouped together,
+// as are "Simon & Garfunkel" and "Simon and Garfunkel"
+const artistKey = (name) => normalize(String(name || '').replace(/&/g, ' and ')).replace(/^the /, '');
+
+// Groups songs by artist, sorted by name. Each artist is shown under the spelling most of its
+// songs use; `variants` lists every spelling found.
+const groupArtists = (songs) => {
+  const groups = new Map();
+
+  songs.forEach(song => {
+    const key = artistKey(song.artist);
+    if (!groups.has(key)) groups.set(key, { key, spellings: new Map(), songs: [] });
+    const group = groups.get(key);
+    group.spellings.set(song.artist, (group.spellings.get(song.artist) || 0) + 1);
+    group.songs.push(song);
+  });
+
+  return [...groups.values()]
+    .map(group => {
+      const variants = [...group.spellings.keys()].sort((a, b) => a.localeCompare(b));
+      const name = variants.reduce((best, variant) =>
+        (group.spellings.get(variant) > group.spellings.get(best) ? variant : best));
+      return { key: group.key, name, variants, songs: group.songs };
+    })
+    .sort((a, b) => a.key.localeCompare(b.key));
+};
+
+module.exports = {
+  artistKey,
+  groupArtists,
+};
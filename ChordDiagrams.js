@@ -0,0 +1,225 @@
+const { parseChord, noteIndex } = require('./Chords');
+
+// Open-string pitches as MIDI numbers, lowest string first. The ukulele is tuned re-entrant
+// (high G), so its first string is not its lowest note and there is no bass string to respect.
+const INSTRUMENTS = {
+  guitar: { strings: [40, 45, 50, 55, 59, 64], minimumStrings: 3, rootInBass: true },
+  ukulele: { strings: [67, 60, 64, 69], minimumStrings: 4, rootInBass: false },
+};
+
+const MAX_FRET = 15;
+const HAND_SPAN = 4;
+
+// Intervals in semitones above the root. Notes listed in `optional` (usually the fifth) may be
+// left out, which is what makes four-note chords playable on a ukulele.
+const QUALITIES = {
+  '': { intervals: [0, 4, 7] },
+  m: { intervals: [0, 3, 7] },
+  5: { intervals: [0, 7] },
+  dim: { intervals: [0, 3, 6] },
+  aug: { intervals: [0, 4, 8] },
+  sus2: { intervals: [0, 2, 7] },
+  sus4: { intervals: [0, 5, 7] },
+  6: { intervals: [0, 4, 7, 9], optional: [7] },
+  m6: { intervals: [0, 3, 7, 9], optional: [7] },
+  7: { intervals: [0, 4, 7, 10], optional: [7] },
+  maj7: { intervals: [0, 4, 7, 11], optional: [7] },
+  m7: { intervals: [0, 3, 7, 10], optional: [7] },
+  mmaj7: { intervals: [0, 3, 7, 11], optional: [7] },
+  dim7: { intervals: [0, 3, 6, 9] },
+  m7b5: { intervals: [0, 3, 6, 10] },
+  aug7: { intervals: [0, 4, 8, 10] },
+  '7sus4': { intervals: [0, 5, 7, 10], optional: [7] },
+  '7sus2': { intervals: [0, 2, 7, 10], optional: [7] },
+  add9: { intervals: [0, 2, 4, 7], optional: [7] },
+  madd9: { intervals: [0, 2, 3, 7], optional: [7] },
+  add4: { intervals: [0, 4, 5, 7], optional: [7] },
+  9: { intervals: [0, 2, 4, 7, 10], optional: [7] },
+  maj9: { intervals: [0, 2, 4, 7, 11], optional: [7] },
+  m9: { intervals: [0, 2, 3, 7, 10], optional: [7] },
+  '7b9': { intervals: [0, 1, 4, 7, 10], optional: [7] },
+  '7#9': { intervals: [0, 3, 4, 7, 10], optional: [7] },
+  11: { intervals: [0, 2, 5, 7, 10], optional: [2, 7] },
+  13: { intervals: [0, 4, 9, 10], optional: [] },
+};
+
+// Spellings that mean the same chord as a QUALITIES entry
+const QUALITY_ALIASES = {
+  M: '', maj: '', min: 'm', '-': 'm', '+': 'aug', '°': 'dim', '°7': 'dim7', ø: 'm7b5', ø7: 'm7b5',
+  'm7-5': 'm7b5', 'min7b5': 'm7b5', sus: 'sus4', 4: 'sus4', 2: 'sus2', add2: 'add9', add11: 'add4',
+  M7: 'maj7', Maj7: 'maj7', min7: 'm7', '-7': 'm7', mM7: 'mmaj7', mmaj7: 'mmaj7', 'm(maj7)': 'mmaj7',
+  '+7': 'aug7', '7#5': 'aug7', '7+': 'aug7', min6: 'm6', '-6': 'm6', madd2: 'madd9', M9: 'maj9',
+  min9: 'm9', '-9': 'm9', '7sus': '7sus4', dim5: 'dim',
+};
+
+const chordQuality = (quality) => {
+  const name = quality.replace(/[()]/g, '');
+  if (QUALITIES[name]) return QUALITIES[name];
+  return QUALITIES[QUALITY_ALIASES[quality] ?? QUALITY_ALIASES[name]] || null;
+};
+
+// Pitch classes a voicing must contain, may contain, and must have as its lowest note
+const chordTones = (name) => {
+  const chord = parseChord(name);
+  if (!chord) return null;
+  const quality = chordQuality(chord.quality);
+  if (!quality) return null;
+
+  const root = noteIndex(chord.root);
+  const optional = quality.optional ?? [];
+  const required = quality.intervals.filter(interval => !optional.includes(interval));
+  const toPitchClass = interval => (root + interval) % 12;
+
+  return {
+    required: required.map(toPitchClass),
+    allowed: quality.intervals.map(toPitchClass),
+    bass: chord.bass ? noteIndex(chord.bass) : root,
+    slash: Boolean(chord.bass),
+  };
+};
+
+// Moves up a finger per fret, one finger per string. Open shapes start on the finger that matches
+// the fret where the hand has room (the ukulele C is played with the ring finger); higher up the
+// lowest fret gets finger 1. When that takes more than four fingers, finger 1 barres instead.
+const assignFingers = (frets) => {
+  const fretted = frets
+    .map((fret, string) => ({ fret, string }))
+    .filter(note => note.fret > 0)
+    .sort((a, b) => a.fret - b.fret || a.string - b.string);
+  if (fretted.length === 0) return { fingers: frets.map(() => 0), barre: null };
+
+  const lowest = fretted[0].fret;
+  const place = (notes, firstFinger, lowestFinger) => {
+    const fingers = frets.map(() => 0);
+    let previous = firstFinger - 1;
+    for (const { fret, string } of notes) {
+      previous = Math.max(previous + 1, fret - lowest + lowestFinger);
+      fingers[string] = previous;
+    }
+    return previous <= 4 ? fingers : null;
+  };
+
+  const openPosition = Math.max(...frets) <= HAND_SPAN;
+  const lowestFinger = openPosition ? Math.max(1, Math.min(lowest, 5 - fretted.length)) : 1;
+  const fingers = place(fretted, 1, lowestFinger) || place(fretted, 1, 1);
+  if (fingers) return { fingers, barre: null };
+
+  const barreStrings = fretted.filter(note => note.fret === lowest).map(note => note.string);
+  const from = Math.min(...barreStrings);
+  const to = Math.max(...barreStrings);
+  if (from === to || frets.slice(from, to + 1).some(fret => fret < lowest)) return null;
+
+  const barred = place(fretted.filter(note => note.fret > lowest), 2, 1);
+  if (!barred) return null;
+  for (let string = from; string <= to; string++) {
+    if (frets[string] === lowest) barred[string] = 1;
+  }
+  return { fingers: barred, barre: { fret: lowest, from_string: from, to_string: to } };
+};
+
+// Lower positions, open strings, fuller chords and fewer fingers make a voicing easier to play
+const voicingCost = (voicing, tones) => {
+  const fretted = voicing.frets.filter(fret => fret > 0);
+  const sounding = voicing.frets.filter(fret => fret >= 0);
+  const position = fretted.length > 0 ? Math.min(...fretted) : 0;
+  const span = fretted.length > 0 ? Math.max(...fretted) - position : 0;
+  const fingers = new Set(voicing.fingers.filter(Boolean)).size;
+  const missing = tones.allowed.filter(pitch => !voicing.pitches.includes(pitch)).length;
+
+  return position * 1.5 + span + fingers + (voicing.frets.length - sounding.length) * 1.5 +
+    (voicing.barre ? 1 : 0) + missing;
+};
+
+const isPlayable = (frets, instrument, tones) => {
+  const sounding = frets.map((fret, string) => ({ fret, string })).filter(note => note.fret >= 0);
+  if (sounding.length < instrument.minimumStrings) return false;
+
+  // Strings may only be muted at either edge, not in the middle of a strum
+  const first = sounding[0].string;
+  const last = sounding[sounding.length - 1].string;
+  if (last - first + 1 !== sounding.length) return false;
+
+  const pitches = sounding.map(({ fret, string }) => instrument.strings[string] + fret);
+  const pitchClasses = pitches.map(pitch => pitch % 12);
+  if (!tones.required.every(pitch => pitchClasses.includes(pitch))) return false;
+  if (!instrument.rootInBass) return !tones.slash || pitchClasses.includes(tones.bass);
+
+  return Math.min(...pitches) % 12 === tones.bass;
+};
+
+const searchVoicings = (instrument, tones) => {
+  const found = new Map();
+  const usable = new Set([...tones.allowed, tones.bass]);
+
+  for (let start = 1; start + HAND_SPAN - 1 <= MAX_FRET; start++) {
+    const choices = instrument.strings.map(open => {
+      const frets = instrument.minimumStrings < instrument.strings.length ? [-1] : [];
+      if (start === 1 && usable.has(open % 12)) frets.push(0);
+      for (let fret = start; fret < start + HAND_SPAN; fret++) {
+        if (usable.has((open + fret) % 12)) frets.push(fret);
+      }
+      return frets;
+    });
+
+    const walk = (string, frets) => {
+      if (string === instrument.strings.length) {
+        const key = frets.join(',');
+        if (found.has(key) || !isPlayable(frets, instrument, tones)) return;
+        const fingering = assignFingers(frets);
+        if (!fingering) return;
+        const pitches = frets
+          .map((fret, index) => (fret >= 0 ? (instrument.strings[index] + fret) % 12 : null))
+          .filter(pitch => pitch !== null);
+        found.set(key, { frets: [...frets], pitches, ...fingering });
+        return;
+      }
+      choices[string].forEach(fret => walk(string + 1, [...frets, fret]));
+    };
+    walk(0, []);
+  }
+
+  return [...found.values()];
+};
+
+const cache = new Map();
+
+// Returns up to `count` voicings of a chord, easiest first, each from a different position on the
+// neck. Returns null when the chord name can't be read or its quality isn't one we know.
+const chordVoicings = (name, instrumentName, count) => {
+  const instrument = INSTRUMENTS[instrumentName];
+  const tones = chordTones(name);
+  if (!instrument || !tones) return null;
+
+  const cacheKey = `${instrumentName}:${tones.required}:${tones.allowed}:${tones.bass}:${tones.slash}`;
+  if (!cache.has(cacheKey)) {
+    const byPosition = new Map();
+    searchVoicings(instrument, tones)
+      .map(voicing => ({ ...voicing, cost: voicingCost(voicing, tones) }))
+      .sort((a, b) => a.cost - b.cost)
+      .forEach(voicing => {
+        const fretted = voicing.frets.filter(fret => fret > 0);
+        const position = fretted.length > 0 ? Math.min(...fretted) : 0;
+        if (!byPosition.has(position)) byPosition.set(position, voicing);
+      });
+
+    cache.set(cacheKey, [...byPosition.values()].map(voicing => {
+      const highest = Math.max(...voicing.frets);
+      const lowest = Math.min(...voicing.frets.filter(fret => fret > 0));
+      return {
+        frets: voicing.frets,
+        fingers: voicing.fingers,
+        barre: voicing.barre,
+        base_fret: highest <= HAND_SPAN ? 1 : lowest,
+      };
+    }));
+  }
+
+  return cache.get(cacheKey).slice(0, count);
+};
+
+module.exports = {
+  INSTRUMENTS,
+  chordTones,
+  assignFingers,
+  chordVoicings,
+};
@@ -0,0 +1,193 @@
+const { parseCapo, parseChord, isChordLine, parseKey, formatKey, shiftKey } = require('./Chords');
+const { parseSections } = require('./Sections');
+
+const DIRECTIVE_PATTERN = /^\s*\{\s*([a-z_]+)\s*(?::\s*(.*?))?\s*\}\s*$/i;
+const INLINE_CHORD_PATTERN = /\[([^\]]*)\]/g;
+
+const DIRECTIVE_ALIASES = {
+  t: 'title',
+  st: 'subtitle',
+  c: 'comment',
+  ci: 'comment',
+  cb: 'comment',
+  comment_italic: 'comment',
+  comment_box: 'comment',
+  soc: 'start_of_chorus',
+  eoc: 'end_of_chorus',
+  sov: 'start_of_verse',
+  eov: 'end_of_verse',
+  sob: 'start_of_bridge',
+  eob: 'end_of_bridge',
+  sot: 'start_of_tab',
+  eot: 'end_of_tab',
+};
+
+// Comments such as {c: Chorus} are commonly used as section labels
+const SECTION_COMMENT_PATTERN = /^(intro|verse|pre-?chorus|chorus|bridge|solo|interlude|instrumental|outro|break)\b/i;
+
+// ChordPro's {key} is the key of the chords as written; the API works with the sounding key
+const soundingKey = (name, capo) => {
+  const key = parseKey(name);
+  if (!key) return null;
+  return capo ? formatKey(shiftKey(key, capo)) : formatKey(key);
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// "[G]Hello [D]there" -> ["G     D", "Hello there"]. When two chords would touch, the lyric is
+// padded so each chord still starts above the syllable it belongs to. A line of chords and bar
+// lines ("| [G] [C] | x2") stays a single chord line.
+const splitInlineChords = (line) => {
+  const withoutBrackets = line.replace(INLINE_CHORD_PATTERN, '$1');
+  if (withoutBrackets !== line && isChordLine(withoutBrackets)) return [withoutBrackets.trimEnd()];
+
+  let chords = '';
+  let lyric = '';
+  let lastIndex = 0;
+  let match;
+
+  INLINE_CHORD_PATTERN.lastIndex = 0;
+  while ((match = INLINE_CHORD_PATTERN.exec(line)) !== null) {
+    lyric += line.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    if (chords.length > 0 && lyric.length <= chords.length) {
+      lyric = lyric.padEnd(chords.length + 1, ' ');
+    }
+    chords = chords.padEnd(lyric.length, ' ') + match[1];
+  }
+  lyric += line.slice(lastIndex);
+
+  if (!chords) return [line];
+  return lyric.trim() ? [chords, lyric.trimEnd()] : [chords];
+};
+
+const parseChordPro = (source) => {
+  const song = { title: null, artist: null, subtitle: null, key: null, capo: null };
+  const lines = [];
+  let inTab = false;
+
+  source.split(/\r?\n/).forEach(raw => {
+    const directive = DIRECTIVE_PATTERN.exec(raw);
+
+    if (directive) {
+      const name = DIRECTIVE_ALIASES[directive[1].toLowerCase()] || directive[1].toLowerCase();
+      const value = directive[2] || '';
+
+      if (name === 'title' || name === 'artist' || name === 'subtitle' || name === 'key') {
+        song[name] = song[name] || value;
+      } else if (name === 'capo') {
+        song.capo = parseInt(value) || null;
+      } else if (name === 'start_of_tab') {
+        inTab = true;
+      } else if (name.startsWith('start_of_')) {
+        lines.push(`[${value || capitalize(name.slice('start_of_'.length))}]`);
+      } else if (name.startsWith('end_of_')) {
+        lines.push('');
+        inTab = name === 'end_of_tab' ? false : inTab;
+      } else if (name === 'comment' && value) {
+        lines.push(SECTION_COMMENT_PATTERN.test(value) ? `[${value}]` : value);
+      }
+      return;
+    }
+
+    if (!inTab && raw.startsWith('#')) return;
+    lines.push(...(inTab ? [raw] : splitInlineChords(raw)));
+  });
+
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+  while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+
+  if (song.capo) lines.unshift(`Capo ${song.capo}`, '');
+
+  return {
+    title: song.title,
+    artist: song.artist || song.subtitle,
+    key: song.key && soundingKey(song.key, song.capo),
+    capo: song.capo,
+    text: lines.join('\n'),
+  };
+};
+
+const isChordToken = (token) => parseChord(token.replace(/^\(|\)$/g, '')) !== null;
+
+// Puts each chord of a chord line into the lyric below it at the chord's column. Bar lines and
+// repeat marks are kept on chord-only lines and dropped when there is a lyric to merge into.
+const mergeChordLine = (chordLine, lyric) => {
+  if (!lyric) {
+    return chordLine.replace(/\S+/g, token => isChordToken(token) ? `[${token}]` : token).trimEnd();
+  }
+
+  const tokens = [];
+  const tokenPattern = /\S+/g;
+  let match;
+  while ((match = tokenPattern.exec(chordLine)) !== null) {
+    if (isChordToken(match[0])) tokens.push({ column: match.index, text: `[${match[0]}]` });
+  }
+
+  let merged = lyric.padEnd(tokens.length ? tokens[tokens.length - 1].column : 0, ' ');
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const { column, text } = tokens[i];
+    merged = merged.slice(0, column) + text + merged.slice(column);
+  }
+  return merged.trimEnd();
+};
+
+// [Verse 2] -> start_of_verse, [Pre-Chorus] -> start_of_prechorus (ChordPro 6 allows custom sections)
+const sectionDirective = (name) => name.toLowerCase().replace(/[^a-z]/g, '') || null;
+
+const toChordPro = ({ title, artist, key, text }) => {
+  const capo = parseCapo(text);
+  const output = [`{title: ${title}}`, `{artist: ${artist}}`];
+  if (key) output.push(`{key: ${soundingKey(key, capo ? -capo.fret : 0)}}`);
+  if (capo) output.push(`{capo: ${capo.fret}}`);
+
+  parseSections(text).forEach(section => {
+    const lines = section.lines.filter(line => !capo || line.line !== capo.lineIndex);
+    if (!section.name && lines.length === 0) return;
+
+    output.push('');
+
+    const environment = section.name && sectionDirective(section.name);
+    if (environment) {
+      output.push(`{start_of_${environment}: ${section.name}}`);
+    } else if (section.name) {
+      output.push(`{comment: ${section.name}}`);
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      const { type, text: content } = lines[i];
+      const next = lines[i + 1];
+
+      if (type === 'chord' && next && next.type === 'lyric' && next.line === lines[i].line + 1) {
+        output.push(mergeChordLine(content, next.text));
+        i++;
+      } else if (type === 'chord') {
+        output.push(mergeChordLine(content, ''));
+      } else if (type === 'tablature') {
+        output.push('{start_of_tab}');
+        while (i < lines.length && lines[i].type === 'tablature') {
+          output.push(lines[i].text);
+          i++;
+        }
+        i--;
+        output.push('{end_of_tab}');
+      } else if (type === 'directive') {
+        output.push(`{comment: ${content.trim()}}`);
+      } else {
+        output.push(content);
+      }
+    }
+
+    if (environment) output.push(`{end_of_${environment}}`);
+  });
+
+  return output.join('\n') + '\n';
+};
+
+module.exports = {
+  parseChordPro,
+  toChordPro,
+  splitInlineChords,
+  mergeChordLine,
+};
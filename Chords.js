@@ -0,0 +1,338 @@
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const NATURAL_INDEX = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Keys conventionally written with flats, by tonic pitch class
+const FLAT_MAJOR_KEYS = [1, 3, 5, 8, 10];
+const FLAT_MINOR_KEYS = [0, 2, 3, 5, 7, 10];
+
+const CHORD_PATTERN = /^([A-G](?:#|b)?)((?:maj|min|dim|aug|sus|add|m|M|[0-9]|[#b+\-°ø()])*)(?:\/([A-G](?:#|b)?))?$/;
+const KEY_PATTERN = /^([A-G](?:#|b)?)(m|min|minor)?$/;
+
+// Tokens that can sit on a chord line without making it a lyric line: bar lines, repeat marks, N.C.
+const CHORD_LINE_MARKS = /^(\|+|:?\|\|?:?|x\d+|\(x\d+\)|%|-+|\/|\.+|N\.?C\.?)$/i;
+
+// "Capo on 2nd fret", "Capo: 3", "(capo IV)", "Capo fret 5"
+const CAPO_PATTERN = /\bcapo\b(?:\s*(?:on|at|:|-|fret))*\s*(\d{1,2}|[IVX]+)(?:st|nd|rd|th)?\b/i;
+const ROMAN_NUMERALS = { I: 1, V: 5, X: 10 };
+
+const noteIndex = (name) => {
+  const base = NATURAL_INDEX[name[0]];
+  if (base === undefined) return null;
+  const accidental = name.slice(1);
+  if (accidental === '#') return (base + 1) % 12;
+  if (accidental === 'b') return (base + 11) % 12;
+  return accidental === '' ? base : null;
+};
+
+const noteName = (index, preferFlats) => {
+  const names = preferFlats ? FLAT_NAMES : SHARP_NAMES;
+  return names[((index % 12) + 12) % 12];
+};
+
+const parseChord = (token) => {
+  const match = CHORD_PATTERN.exec(token);
+  if (!match) return null;
+  return { root: match[1], quality: match[2], bass: match[3] || null };
+};
+
+const formatChord = ({ root, quality, bass }) => root + quality + (bass ? '/' + bass : '');
+
+const isMinorQuality = (quality) => /^(m|min|-)(?!aj)/.test(quality);
+
+// Strips surrounding parentheses so "(G)" is recognised as a chord, keeping them for the rewrite
+const splitToken = (token) => {
+  const match = /^(\(?)(.*?)(\)?)$/.exec(token);
+  return { before: match[1], body: match[2], after: match[3] };
+};
+
+const isChordToken = (token) => parseChord(splitToken(token).body) !== null;
+
+const isChordLine = (line) => {
+  const tokens = line.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return false;
+  return tokens.some(isChordToken) && tokens.every(token => isChordToken(token) || CHORD_LINE_MARKS.test(token));
+};
+
+// Rewrites each chord on a chord line, keeping every chord in its original column where possible.
+// A chord that grows eats into the spaces after it; if there is no room it is pushed right by
+// the minimum amount, so chords stay separated and in order above the lyric.
+const mapChordLine = (line, mapChord) => {
+  let output = '';
+  const tokenPattern = /\S+/g;
+  let match;
+
+  while ((match = tokenPattern.exec(line)) !== null) {
+    const token = match[0];
+    const { before, body, after } = splitToken(token);
+    const chord = parseChord(body);
+    const replacement = chord ? before + mapChord(chord, body) + after : token;
+
+    const minimumColumn = output.length === 0 ? 0 : output.length + 1;
+    output = output.padEnd(Math.max(match.index, minimumColumn), ' ') + replacement;
+  }
+
+  return output;
+};
+
+const mapChords = (text, mapChord) => text
+  .split('\n')
+  .map(line => {
+    const trailingReturn = line.endsWith('\r') ? '\r' : '';
+    const content = trailingReturn ? line.slice(0, -1) : line;
+    return isChordLine(content) ? mapChordLine(content, mapChord) + trailingReturn : line;
+  })
+  .join('\n');
+
+const listChords = (text) => text
+  .split('\n')
+  .filter(isChordLine)
+  .flatMap(line => line.trim().split(/\s+/))
+  .map(token => splitToken(token).body)
+  .filter(body => parseChord(body) !== null);
+
+const uniqueChords = (text) => [...new Set(listChords(text))];
+
+// Identity used to compare chords regardless of spelling: "Bbm", "A#min" and "A#-" are the same chord
+const chordKey = (name, { withBass = true } = {}) => {
+  const chord = parseChord(name);
+  if (!chord) return null;
+
+  const quality = chord.quality
+    .replace(/^(min|-)(?!aj)/, 'm')
+    .replace(/^M(?=\d)/, 'maj')
+    .replace(/^M$/, '');
+  const bass = withBass && chord.bass ? '/' + noteIndex(chord.bass) : '';
+
+  return noteIndex(chord.root) + quality + bass;
+};
+
+// Slash chords count as their base chord, so "D/F#" is playable by someone who knows D
+const matchesChord = (name, keys) =>
+  keys.has(chordKey(name)) || keys.has(chordKey(name, { withBass: false }));
+
+const playableWith = (chords, allowed) => {
+  const keys = new Set(allowed.map(name => chordKey(name)));
+  return chords.length > 0 && chords.every(name => matchesChord(name, keys));
+};
+
+const usesChords = (chords, required) => required.every(name => {
+  const keys = new Set([chordKey(name)]);
+  return chords.some(chord => matchesChord(chord, keys));
+});
+
+const parseKey = (name) => {
+  const match = KEY_PATTERN.exec((name || '').trim());
+  if (!match) return null;
+  const tonic = noteIndex(match[1]);
+  if (tonic === null) return null;
+  return { tonic, minor: Boolean(match[2]), spelling: match[1] };
+};
+
+// Spelling follows the key as written ("F#" vs "Gb"); keys computed from a pitch class fall back to convention
+const keyPrefersFlats = (key) => {
+  if (key.spelling && key.spelling.length > 1) return key.spelling[1] === 'b';
+  if (key.spelling === 'F' && !key.minor) return true;
+  return (key.minor ? FLAT_MINOR_KEYS : FLAT_MAJOR_KEYS).includes(key.tonic);
+};
+
+const formatKey = (key) => {
+  const spelling = key.spelling || noteName(key.tonic, keyPrefersFlats(key));
+  return spelling + (key.minor ? 'm' : '');
+};
+
+const shiftKey = (key, semitones) => ({
+  tonic: (((key.tonic + semitones) % 12) + 12) % 12,
+  minor: key.minor,
+});
+
+// How strongly a chord on each scale degree (semitones above the tonic) suggests the key, by chord type.
+// Tonic, dominant and subdominant weigh most; minor keys accept both the natural v and the major V.
+const MAJOR_KEY_WEIGHTS = {
+  0: { major: 3 }, 2: { minor: 1.5 }, 4: { minor: 1 }, 5: { major: 2 },
+  7: { major: 2 }, 9: { minor: 1.5 }, 11: { diminished: 0.5 },
+};
+const MINOR_KEY_WEIGHTS = {
+  0: { minor: 3 }, 2: { diminished: 0.5 }, 3: { major: 1.5 }, 5: { minor: 2 },
+  7: { minor: 1.5, major: 2 }, 8: { major: 2 }, 10: { major: 2 },
+};
+const OUT_OF_KEY_PENALTY = -1;
+// Tabs often stop short of the final chord, so an opening tonic counts for a little more
+const FIRST_CHORD_TONIC_BONUS = 2.5;
+const LAST_CHORD_TONIC_BONUS = 2;
+
+const chordType = (quality) => {
+  if (/^(dim|°|ø|m7b5)/.test(quality)) return 'diminished';
+  if (/^(sus|5)/.test(quality)) return 'suspended';
+  return isMinorQuality(quality) ? 'minor' : 'major';
+};
+
+// Scores all 24 keys against every chord occurrence in the text. The first and last chords get a
+// bonus when they are the tonic, which separates a key from its relative major or minor.
+// Returns the key of the chord shapes as written; add the capo to get the sounding key.
+const detectKey = (text) => {
+  const chords = listChords(text).map(parseChord);
+  if (chords.length === 0) return null;
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    for (const minor of [false, true]) {
+      const weights = minor ? MINOR_KEY_WEIGHTS : MAJOR_KEY_WEIGHTS;
+      const tonicType = minor ? 'minor' : 'major';
+
+      let score = chords.reduce((total, chord) => {
+        const degree = (noteIndex(chord.root) - tonic + 12) % 12;
+        const type = chordType(chord.quality);
+        const fits = weights[degree] || {};
+        const weight = type === 'suspended'
+          ? Math.max(fits.major || 0, fits.minor || 0)
+          : fits[type];
+        return total + (weight || OUT_OF_KEY_PENALTY);
+      }, 0);
+
+      [[chords[0], FIRST_CHORD_TONIC_BONUS], [chords[chords.length - 1], LAST_CHORD_TONIC_BONUS]].forEach(([chord, bonus]) => {
+        const type = chordType(chord.quality);
+        if (noteIndex(chord.root) === tonic && (type === tonicType || type === 'suspended')) {
+          score += bonus;
+        }
+      });
+
+      if (!best || score > best.score) best = { tonic, minor, score };
+    }
+  }
+
+  return { tonic: best.tonic, minor: best.minor };
+};
+
+// The sounding key of a tab as a name such as "E" or "F#m", allowing for any capo
+const detectSongKey = (text) => {
+  const key = detectKey(text);
+  if (!key) return null;
+  const capo = parseCapo(text)?.fret || 0;
+  return formatKey(shiftKey(key, capo));
+};
+
+// Both names of a key's tonic, so a search for "Gb" also finds songs stored as "F#"
+const keySpellings = (key) => {
+  const suffix = key.minor ? 'm' : '';
+  return [...new Set([noteName(key.tonic, false), noteName(key.tonic, true)])].map(name => name + suffix);
+};
+
+const parseRoman = (numeral) => [...numeral.toUpperCase()].reduce((total, letter, i, letters) => {
+  const value = ROMAN_NUMERALS[letter];
+  const next = ROMAN_NUMERALS[letters[i + 1]] || 0;
+  return total + (value < next ? -value : value);
+}, 0);
+
+const parseCapo = (text) => {
+  const lines = text.split('\n');
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    if (isChordLine(lines[lineIndex])) continue;
+    const match = CAPO_PATTERN.exec(lines[lineIndex]);
+    if (!match) continue;
+
+    const fret = /^\d+$/.test(match[1]) ? parseInt(match[1]) : parseRoman(match[1]);
+    if (fret >= 1 && fret <= 12) return { fret, lineIndex };
+  }
+
+  return null;
+};
+
+// Replaces the capo instruction with one for the given fret, or adds one at the top
+const setCapoLine = (text, fret) => {
+  const capo = parseCapo(text);
+  const line = fret > 0 ? `Capo ${fret}` : 'No capo';
+
+  if (!capo) {
+    return fret > 0 ? line + '\n' + text : text;
+  }
+
+  const lines = text.split('\n');
+  lines[capo.lineIndex] = line;
+  return lines.join('\n');
+};
+
+const transposeNote = (name, semitones, preferFlats) => noteName(noteIndex(name) + semitones, preferFlats);
+
+const transposeChord = (chord, semitones, preferFlats) => ({
+  root: transposeNote(chord.root, semitones, preferFlats),
+  quality: chord.quality,
+  bass: chord.bass ? transposeNote(chord.bass, semitones, preferFlats) : null,
+});
+
+const transposeText = (text, semitones, preferFlats) => {
+  if (semitones % 12 === 0) return text;
+  return mapChords(text, chord => formatChord(transposeChord(chord, semitones, preferFlats)));
+};
+
+const semitonesBetween = (fromKey, toKey) => {
+  const distance = (((toKey.tonic - fromKey.tonic) % 12) + 12) % 12;
+  return distance > 6 ? distance - 12 : distance;
+};
+
+// Scale degrees by semitones above the tonic, with chromatic notes written against the major scale.
+// Minor keys count from their own tonic, so Am-F-C-G in A minor is 1m b6 b3 b7.
+const DEGREES = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+const ROMAN_DEGREES = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+const scaleDegree = (note, key) => DEGREES[(noteIndex(note) - key.tonic + 12) % 12];
+
+const toRoman = (degree, lowercase) => {
+  const [, accidental, number] = /^([b#]?)(\d)$/.exec(degree);
+  const numeral = ROMAN_DEGREES[number - 1];
+  return accidental + (lowercase ? numeral.toLowerCase() : numeral);
+};
+
+// Roman numerals show minor and diminished chords in lower case, so the quality loses its
+// minor marker: Am7 -> vi7, Bdim -> vii°, Bm7b5 -> viiø7, Caug -> I+
+const romanChord = (degree, quality) => {
+  if (/^(m|min|-)7(b5|-5)/.test(quality) && isMinorQuality(quality)) {
+    return toRoman(degree, true) + 'ø7' + quality.replace(/^(m|min|-)7(b5|-5)/, '');
+  }
+  if (isMinorQuality(quality)) return toRoman(degree, true) + quality.replace(/^(min|m|-)/, '');
+  if (/^(dim|°)/.test(quality)) return toRoman(degree, true) + '°' + quality.replace(/^(dim|°)/, '');
+  if (/^(aug|\+)/.test(quality)) return toRoman(degree, false) + '+' + quality.replace(/^(aug|\+)/, '');
+  return toRoman(degree, false) + quality;
+};
+
+// A chord as a scale degree of the key: "D/F#" in G is "5/7" (nashville) or "V/7" (roman).
+// The bass of a slash chord is always a plain number, since "V/vii" would read as an applied chord.
+const chordDegree = (chord, key, notation) => {
+  const degree = scaleDegree(chord.root, key);
+  const name = notation === 'roman' ? romanChord(degree, chord.quality) : degree + chord.quality;
+  return name + (chord.bass ? '/' + scaleDegree(chord.bass, key) : '');
+};
+
+const numberText = (text, key, notation) => mapChords(text, chord => chordDegree(chord, key, notation));
+
+module.exports = {
+  parseChord,
+  formatChord,
+  isMinorQuality,
+  isChordLine,
+  mapChordLine,
+  mapChords,
+  listChords,
+  uniqueChords,
+  chordKey,
+  playableWith,
+  usesChords,
+  noteIndex,
+  noteName,
+  parseKey,
+  formatKey,
+  shiftKey,
+  detectKey,
+  detectSongKey,
+  keySpellings,
+  keyPrefersFlats,
+  transposeChord,
+  transposeText,
+  semitonesBetween,
+  chordDegree,
+  numberText,
+  parseCapo,
+  setCapoLine,
+};
@@ -0,0 +1,67 @@
+// Line diff based on the longest common subsequence. Lines shared at the start and the end are
+// equal whatever the table says, so only the lines between them go into the quadratic table; an
+// edit usually touches a few lines, which keeps the table small.
+const MAX_TABLE_CELLS = 1000000;
+
+// The changes from one text to the other, or null when too many lines changed to
+// compare them (more than MAX_TABLE_CELLS old × new lines between the common start and end)
+const diffLines = (oldText, newText) => {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let end = 0;
+  while (end < oldLines.length - start && end < newLines.length - start
+    && oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) end++;
+
+  const rows = oldLines.length - start - end;
+  const cols = newLines.length - start - end;
+  if (rows * cols > MAX_TABLE_CELLS) return null;
+
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[start + i] === newLines[start + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  for (let line = 0; line < start; line++) {
+    changes.push({ type: 'equal', old_line: line, new_line: line, text: oldLines[line] });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldLines[start + i] === newLines[start + j]) {
+      changes.push({ type: 'equal', old_line: start + i, new_line: start + j, text: oldLines[start + i] });
+      i++;
+      j++;
+    } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      changes.push({ type: 'removed', old_line: start + i, new_line: null, text: oldLines[start + i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', old_line: null, new_line: start + j, text: newLines[start + j] });
+      j++;
+    }
+  }
+
+  for (let line = 0; line < end; line++) {
+    changes.push({
+      type: 'equal',
+      old_line: start + rows + line,
+      new_line: start + cols + line,
+      text: oldLines[start + rows + line],
+    });
+  }
+
+  return changes;
+};
+
+module.exports = {
+  MAX_TABLE_CELLS,
+  diffLines,
+};
@@ -0,0 +1,79 @@
+const { normalize, trigrams, trigramSimilarity } = require('./Fuzzy');
+const { artistKey } = require('./Artists');
+
+// Titles must be close and artists at least resemble each other, so a cover of the same song by
+// another artist isn't taken for a duplicate but a typo in either field still is
+const TITLE_THRESHOLD = 0.6;
+const ARTIST_THRESHOLD = 0.3;
+const SCORE_THRESHOLD = 0.75;
+
+// "Hey Jude (Remastered 2009)" -> "hey jude"
+const titleKey = (title) => normalize(String(title || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')) || normalize(title);
+
+const songTrigrams = (song) => ({
+  title: trigrams(titleKey(song.title)),
+  artist: trigrams(artistKey(song.artist)),
+});
+
+// 0 for songs that aren't likely duplicates, otherwise up to 1 for the same title and artist
+const comparePrepared = (a, b) => {
+  const title = trigramSimilarity(a.title, b.title);
+  const artist = trigramSimilarity(a.artist, b.artist);
+  if (title < TITLE_THRESHOLD || artist < ARTIST_THRESHOLD) return 0;
+
+  const score = Math.round((title * 2 + artist) / 3 * 1000) / 1000;
+  return score < SCORE_THRESHOLD ? 0 : score;
+};
+
+const duplicateScore = (a, b) => comparePrepared(songTrigrams(a), songTrigrams(b));
+
+// The songs that are likely duplicates of `candidate`, best match first
+const findDuplicates = (candidate, songs) => {
+  const prepared = songTrigrams(candidate);
+
+  return songs
+    .filter(song => song.id !== candidate.id)
+    .map(song => ({ song, score: comparePrepared(prepared, songTrigrams(song)) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Groups songs that are likely duplicates of each other, directly or through another song of the
+// group. A cluster's score is that of its least similar matching pair.
+const duplicateClusters = (songs) => {
+  const prepared = songs.map(songTrigrams);
+  const parent = songs.map((_, index) => index);
+  const root = (index) => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  const pairs = [];
+
+  for (let i = 0; i < songs.length; i++) {
+    for (let j = i + 1; j < songs.length; j++) {
+      const score = comparePrepared(prepared[i], prepared[j]);
+      if (score === 0) continue;
+      pairs.push({ index: i, score });
+      parent[root(j)] = root(i);
+    }
+  }
+
+  const clusters = new Map();
+  songs.forEach((song, index) => {
+    const key = root(index);
+    if (!clusters.has(key)) clusters.set(key, { score: 1, songs: [] });
+    clusters.get(key).songs.push(song);
+  });
+  pairs.forEach(pair => {
+    const cluster = clusters.get(root(pair.index));
+    cluster.score = Math.min(cluster.score, pair.score);
+  });
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.songs.length > 1)
+    .sort((a, b) => b.score - a.score || titleKey(a.songs[0].title).localeCompare(titleKey(b.songs[0].title)));
+};
+
+module.exports = {
+  titleKey,
+  duplicateScore,
+  findDuplicates,
+  duplicateClusters,
+};
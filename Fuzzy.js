@@ -0,0 +1,126 @@
+// Typo-tolerant matching on trigrams, the way PostgreSQL's pg_trgm does it, but computed here so
+// the results are the same on SQLite in development. Only the songs a trigram index puts closest to
+// the query are scored: a GiST index on title and artist in PostgreSQL
+// (migrations/add_trigram_index_to_songs.sql), an FTS5 trigram table kept in step with triggers in
+// SQLite.
+
+const MATCH_THRESHOLD = 0.5;
+const MAX_CANDIDATES = 200;
+
+const SQLITE_SETUP = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS song_names USING fts5(
+    title, artist, content='songs', content_rowid='rowid', tokenize='trigram'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS songs_names_insert AFTER INSERT ON songs BEGIN
+    INSERT INTO song_names (rowid, title, artist) VALUES (new.rowid, new.title, new.artist);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS songs_names_delete AFTER DELETE ON songs BEGIN
+    INSERT INTO song_names (song_names, rowid, title, artist) VALUES ('delete', old.rowid, old.title, old.artist);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS songs_names_update AFTER UPDATE OF title, artist ON songs BEGIN
+    INSERT INTO song_names (song_names, rowid, title, artist) VALUES ('delete', old.rowid, old.title, old.artist);
+    INSERT INTO song_names (rowid, title, artist) VALUES (new.rowid, new.title, new.artist);
+  END`,
+  `INSERT INTO song_names (song_names) VALUES ('rebuild')`,
+];
+
+// "Beyoncé - Halo!" -> "beyonce halo"
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Each word is padded with two spaces in front and one behind, so short words still get
+// trigrams and word starts weigh more than word ends
+const trigrams = (text) => {
+  const result = new Set();
+  normalize(text).split(' ').filter(Boolean).forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) result.add(padded.slice(i, i + 3));
+  });
+  return result;
+};
+
+const sharedCount = (a, b) => [...a].filter(trigram => b.has(trigram)).length;
+
+// Share of the trigrams of both sets that they have in common
+const trigramSimilarity = (first, second) => {
+  const total = new Set([...first, ...second]).size;
+  return total === 0 ? 0 : sharedCount(first, second) / total;
+};
+
+const similarity = (a, b) => trigramSimilarity(trigrams(a), trigrams(b));
+
+// Share of the query's trigrams found in the text, so a query matches part of a longer title
+const wordSimilarity = (query, text) => {
+  const queryTrigrams = trigrams(query);
+  return queryTrigrams.size === 0 ? 0 : sharedCount(queryTrigrams, trigrams(text)) / queryTrigrams.size;
+};
+
+// Mostly how much of the query the text covers, with a little for how close the two are overall
+// so that "Tom Petty" ranks above "Tom Petty and the Heartbreakers" for the query "tom pety"
+const matchScore = (query, text) => {
+  const covered = wordSimilarity(query, text);
+  if (covered < MATCH_THRESHOLD) return 0;
+  return Math.round((covered * 3 + similarity(query, text)) / 4 * 1000) / 1000;
+};
+
+// Scores every song by its title, its artist, and both together ("wonderwall oasis"), keeping
+// the songs that match, best first
+const rankSongs = (songs, query) => songs
+  .map(song => {
+    const scores = {
+      title: matchScore(query, song.title),
+      artist: matchScore(query, song.artist),
+      both: matchScore(query, `${song.title} ${song.artist}`),
+    };
+    const matched = Object.keys(scores).reduce((best, field) => (scores[field] > scores[best] ? field : best));
+    return { song, score: scores[matched], matched };
+  })
+  .filter(result => result.score > 0)
+  .sort((a, b) => b.score - a.score || normalize(a.song.title).localeCompare(normalize(b.song.title)));
+
+// FTS5 MATCH expression for the songs sharing a trigram with the query, or null when no word of
+// the query is long enough to have one. Unlike ours, FTS5 trigrams don't pad the words.
+const candidateMatch = (query) => {
+  const chunks = new Set();
+  normalize(query).split(' ').forEach(word => {
+    for (let i = 0; i + 3 <= word.length; i++) chunks.add(word.slice(i, i + 3));
+  });
+  return chunks.size === 0 ? null : [...chunks].map(chunk => `"${chunk}"`).join(' OR ');
+};
+
+// The owner's songs closest to the query by their trigrams, at most MAX_CANDIDATES of them. Songs
+// are those of a user or of a workspace, depending on the owner column.
+const candidateSql = (dialect, ownerColumn = 'user_id') => {
+  if (dialect === 'postgres') {
+    return `SELECT songs.id, songs.title, songs.artist, songs.key
+      FROM songs
+      WHERE songs.${ownerColumn} = :ownerId AND songs.deleted_at IS NULL
+      ORDER BY :query <<-> (songs.title || ' ' || songs.artist)
+      LIMIT ${MAX_CANDIDATES}`;
+  }
+  return `SELECT songs.id, songs.title, songs.artist, songs.key
+    FROM song_names
+    JOIN songs ON songs.rowid = song_names.rowid
+    WHERE song_names MATCH :match
+      AND songs.${ownerColumn} = :ownerId AND songs.deleted_at IS NULL
+    ORDER BY bm25(song_names)
+    LIMIT ${MAX_CANDIDATES}`;
+};
+
+module.exports = {
+  MAX_CANDIDATES,
+  SQLITE_SETUP,
+  normalize,
+  trigrams,
+  trigramSimilarity,
+  similarity,
+  wordSimilarity,
+  matchScore,
+  rankSongs,
+  candidateMatch,
+  candidateSql,
+};
@@ -0,0 +1,75 @@
+// A live session is a performance led by one band member: whatever song, section, transposition
+// and scrolling the leader picks, every follower's device shows too. Followers get each change as a
+// Server-Sent Event and the whole state when they (re)connect, so they never need the history.
+const COMMAND_TYPES = ['song', 'section', 'transpose', 'scroll_start', 'scroll_stop'];
+
+const initialState = () => ({
+  song: null,
+  section: null,
+  transpose: 0,
+  scrolling: false,
+  scroll_speed: null,
+});
+
+// Reads a leader's command from a request body; returns { command } or { error } for a 400. The
+// song and section are checked by the caller, which has to look them up.
+const parseCommand = (body) => {
+  const type = body?.type;
+  if (!COMMAND_TYPES.includes(type)) return { error: `type must be one of ${COMMAND_TYPES.join(', ')}` };
+
+  if (type === 'song') {
+    if (typeof body.song_id !== 'string' || !body.song_id) return { error: 'song_id is required' };
+    return { command: { type, song_id: body.song_id } };
+  }
+
+  if (type === 'section') {
+    if (!Number.isInteger(body.section) || body.section < 0) return { error: 'section must be the index of a section' };
+    return { command: { type, section: body.section } };
+  }
+
+  if (type === 'transpose') {
+    if (!Number.isInteger(body.transpose) || Math.abs(body.transpose) > 11) {
+      return { error: 'transpose must be an integer between -11 and 11' };
+    }
+    return { command: { type, transpose: body.transpose } };
+  }
+
+  if (type === 'scroll_start') {
+    if (body.scroll_speed !== undefined && (!Number.isInteger(body.scroll_speed) || body.scroll_speed < 1)) {
+      return { error: 'scroll_speed must be a positive integer' };
+    }
+    return { command: { type, scroll_speed: body.scroll_speed } };
+  }
+
+  return { command: { type } };
+};
+
+// The part of the state a command changes. A new song starts at the top, untransposed and not
+// scrolling, at the song's own scroll speed, or none when the song has no tab.
+const commandChanges = (command, { song, tab, sections } = {}) => {
+  switch (command.type) {
+    case 'song':
+      return { song, section: null, transpose: 0, scrolling: false, scroll_speed: tab ? tab.scroll_speed : null };
+    case 'section': {
+      const section = sections[command.section];
+      return { section: { index: command.section, name: section.name, line: section.line } };
+    }
+    case 'transpose':
+      return { transpose: command.transpose };
+    case 'scroll_start':
+      return command.scroll_speed === undefined ? { scrolling: true } : { scrolling: true, scroll_speed: command.scroll_speed };
+    default:
+      return { scrolling: false };
+  }
+};
+
+// One message in the text/event-stream format
+const formatEvent = (id, type, data) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+module.exports = {
+  COMMAND_TYPES,
+  initialState,
+  parseCommand,
+  commandChanges,
+  formatEvent,
+};
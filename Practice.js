@@ -0,0 +1,79 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Practice days are calendar days in UTC, numbered from the epoch so consecutive days differ by one
+const dayNumber = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+const formatDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+// Weeks start on Monday. Day 0 (1970-01-01) was a Thursday.
+const weekStart = (day) => day - ((day + 3) % 7);
+
+// A streak that ended yesterday is still current: today's practice may not have happened yet
+const practiceStreaks = (sessions, now) => {
+  const days = [...new Set(sessions.map(session => dayNumber(session.started_at)))].sort((a, b) => a - b);
+  const today = dayNumber(now);
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && days[index - 1] === day - 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const last = days[days.length - 1];
+  const current = last === today || last === today - 1 ? run : 0;
+
+  return { current, longest };
+};
+
+// Minutes practiced in each of the last `weeks` weeks, oldest first, including the current week
+const minutesPerWeek = (sessions, now, weeks) => {
+  const thisWeek = weekStart(dayNumber(now));
+  const totals = Array.from({ length: weeks }, (_, index) => ({
+    start: thisWeek - (weeks - 1 - index) * 7,
+    seconds: 0,
+  }));
+
+  sessions.forEach(session => {
+    const week = totals.find(total => total.start === weekStart(dayNumber(session.started_at)));
+    if (week) week.seconds += session.duration_seconds;
+  });
+
+  return totals.map(total => ({ week_start: formatDay(total.start), minutes: Math.round(total.seconds / 60) }));
+};
+
+// Songs never practiced come first, then the rest longest since their last session first
+const neglectedSongs = (songs, now, count) => songs
+  .filter(song => !song.last_practiced_at)
+  .concat(songs
+    .filter(song => song.last_practiced_at)
+    .sort((a, b) => new Date(a.last_practiced_at) - new Date(b.last_practiced_at)))
+  .slice(0, count)
+  .map(song => ({
+    id: song.id,
+    title: song.title,
+    artist: song.artist,
+    last_practiced_at: song.last_practiced_at || null,
+    days_since: song.last_practiced_at ? dayNumber(now) - dayNumber(song.last_practiced_at) : null,
+  }));
+
+const practiceSummary = (sessions, songs, now, { weeks = 8, neglected = 5 } = {}) => {
+  const streaks = practiceStreaks(sessions, now);
+  const totalSeconds = sessions.reduce((sum, session) => sum + session.duration_seconds, 0);
+
+  return {
+    total_sessions: sessions.length,
+    total_minutes: Math.round(totalSeconds / 60),
+    current_streak_days: streaks.current,
+    longest_streak_days: streaks.longest,
+    minutes_per_week: minutesPerWeek(sessions, now, weeks),
+    neglected_songs: neglectedSongs(songs, now, neglected),
+  };
+};
+
+module.exports = {
+  practiceStreaks,
+  minutesPerWeek,
+  neglectedSongs,
+  practiceSummary,
+};
@@ -0,0 +1,100 @@
+const { parseSections } = require('./Sections');
+
+// Lyric search runs against tabs.lyrics: the lyric lines of the tab text without chords,
+// tablature or section headers. PostgreSQL indexes it in the generated tabs.lyrics_tsv column
+// (migrations/add_lyrics_to_tabs.sql); SQLite keeps an FTS5 table in step with triggers.
+const SQLITE_SETUP = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS tab_lyrics USING fts5(
+    lyrics, content='tabs', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS tabs_lyrics_insert AFTER INSERT ON tabs BEGIN
+    INSERT INTO tab_lyrics (rowid, lyrics) VALUES (new.rowid, new.lyrics);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS tabs_lyrics_delete AFTER DELETE ON tabs BEGIN
+    INSERT INTO tab_lyrics (tab_lyrics, rowid, lyrics) VALUES ('delete', old.rowid, old.lyrics);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS tabs_lyrics_update AFTER UPDATE OF lyrics ON tabs BEGIN
+    INSERT INTO tab_lyrics (tab_lyrics, rowid, lyrics) VALUES ('delete', old.rowid, old.lyrics);
+    INSERT INTO tab_lyrics (rowid, lyrics) VALUES (new.rowid, new.lyrics);
+  END`,
+  `INSERT INTO tab_lyrics (tab_lyrics) VALUES ('rebuild')`,
+];
+
+const MAX_TERMS = 10;
+
+const lyricText = (text) => parseSections(text)
+  .flatMap(section => section.lines)
+  .filter(line => line.type === 'lyric')
+  .map(line => line.text.trim())
+  .join('\n');
+
+// Words of a search query, lowercased. Only letters and digits are kept, which is also what
+// both full-text engines index, so the terms can go into a MATCH or tsquery expression as-is.
+const searchTerms = (query) => (String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+
+// Every term has to match; the last one may be a prefix, so results show up while typing
+const matchExpression = (terms, dialect) => {
+  if (dialect === 'postgres') {
+    return terms.map((term, index) => (index === terms.length - 1 ? `${term}:*` : term)).join(' & ');
+  }
+  return terms.map((term, index) => (index === terms.length - 1 ? `"${term}"*` : `"${term}"`)).join(' ');
+};
+
+// Higher rank is a better match. The scales differ between the two engines, so ranks are only
+// comparable within one set of results. Songs are those of a user or of a workspace, depending on
+// the owner column.
+const lyricSearchSql = (dialect, ownerColumn = 'user_id') => {
+  if (dialect === 'postgres') {
+    return `SELECT tabs.id AS tab_id, tabs.song_id, tabs.name, tabs.is_default, tabs.lyrics,
+        ts_rank(tabs.lyrics_tsv, to_tsquery('simple', :match)) AS rank
+      FROM tabs
+      JOIN songs ON songs.id = tabs.song_id
+      WHERE tabs.lyrics_tsv @@ to_tsquery('simple', :match)
+        AND songs.${ownerColumn} = :ownerId AND songs.deleted_at IS NULL
+      ORDER BY rank DESC`;
+  }
+  return `SELECT tabs.id AS tab_id, tabs.song_id, tabs.name, tabs.is_default, tabs.lyrics,
+      -bm25(tab_lyrics) AS rank
+    FROM tab_lyrics
+    JOIN tabs ON tabs.rowid = tab_lyrics.rowid
+    JOIN songs ON songs.id = tabs.song_id
+    WHERE tab_lyrics MATCH :match
+      AND songs.${ownerColumn} = :ownerId AND songs.deleted_at IS NULL
+    ORDER BY rank DESC`;
+};
+
+const foldWord = (word) => word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+
+// The lyric line that matches the most terms, with the character ranges of the matching words
+const lyricSnippet = (lyrics, terms) => {
+  const folded = terms.map(foldWord);
+  let best = null;
+
+  (lyrics || '').split('\n').forEach(line => {
+    const highlights = [];
+    const matched = new Set();
+
+    for (const match of line.matchAll(/[\p{L}\p{N}]+/gu)) {
+      const word = foldWord(match[0]);
+      const index = folded.findIndex((term, i) => word === term || (i === folded.length - 1 && word.startsWith(term)));
+      if (index === -1) continue;
+      matched.add(index);
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    if (matched.size > 0 && (!best || matched.size > best.score)) {
+      best = { score: matched.size, text: line, highlights };
+    }
+  });
+
+  return best && { text: best.text, highlights: best.highlights };
+};
+
+module.exports = {
+  SQLITE_SETUP,
+  lyricText,
+  searchTerms,
+  matchExpression,
+  lyricSearchSql,
+  lyricSnippet,
+};
@@ -0,0 +1,46 @@
+const { isChordLine, parseCapo } = require('./Chords');
+
+const HEADER_PATTERN = /^\s*\[([^\]]+)\]\s*$/;
+
+// e|---3---|  B|-1-1-|  |--0h2--|
+const TABLATURE_PATTERN = /^\s*(?:[A-Ga-g][#b]?\s*)?[|:][-\d|:hpbrvx\/\\~()^.*<> ]*$/;
+
+const DIRECTIVE_PATTERN = /^\s*(\(.*\)|x\d+|repeat\b.*|no capo|tuning\b.*|key\s*:.*|tempo\b.*|bpm\b.*|strumming\b.*|n\.c\.?)\s*$/i;
+
+const classifyLine = (line) => {
+  if (TABLATURE_PATTERN.test(line) && (line.match(/-/g) || []).length >= 3) return 'tablature';
+  if (isChordLine(line)) return 'chord';
+  if (DIRECTIVE_PATTERN.test(line) || parseCapo(line)) return 'directive';
+  return 'lyric';
+};
+
+// Splits tab text into its [Section] blocks. Lines before the first header form an unnamed
+// section; blank lines are dropped. Every line keeps its 0-based position in the original text.
+const parseSections = (text) => {
+  const sections = [];
+  let current = { name: null, line: 0, lines: [] };
+
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.replace(/\r$/, '');
+    const header = HEADER_PATTERN.exec(line);
+
+    if (header) {
+      if (current.name !== null || current.lines.length > 0) sections.push(current);
+      current = { name: header[1].trim(), line: index, lines: [] };
+      return;
+    }
+
+    if (line.trim() === '') return;
+
+    current.lines.push({ line: index, type: classifyLine(line), text: line });
+  });
+
+  if (current.name !== null || current.lines.length > 0) sections.push(current);
+
+  return sections;
+};
+
+module.exports = {
+  classifyLine,
+  parseSections,
+};
@@ -0,0 +1,21 @@
+// A workspace is a song library shared by a band. Owners manage the workspace and its members,
+// editors change its songs and viewers only read them. Users have every permission on their own songs.
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const PERMISSIONS = {
+  view: ['owner', 'editor', 'viewer'],
+  edit: ['owner', 'editor'],
+  manage: ['owner'],
+};
+
+const roleAllows = (role, permission) => PERMISSIONS[permission].includes(role);
+
+// Whether a workspace still has an owner once a member's role changes; a null role removes the member
+const keepsAnOwner = (members, userId, role) => members
+  .some(member => (member.user_id === userId ? role : member.role) === 'owner');
+
+module.exports = {
+  ROLES,
+  roleAllows,
+  keepsAnOwner,
+};
@@ -0,0 +1,68 @@
+const Annotations = require('../Annotations');
+
+describe('Annotations', () => {
+  describe('parseAnnotation', () => {
+    it('should read a line and a trimmed text', () => {
+      expect(Annotations.parseAnnotation({ line: 2, text: ' Let ring ' }, 5)).toEqual({ fields: { line: 2, text: 'Let ring' } });
+    });
+
+    it('should reject lines outside the tab and empty or long texts', () => {
+      expect(Annotations.parseAnnotation({ line: 5, text: 'Let ring' }, 5).error).toBe('line must be the index of a line of the tab');
+      expect(Annotations.parseAnnotation({ line: 1.5, text: 'Let ring' }, 5).error).toBe('line must be the index of a line of the tab');
+      expect(Annotations.parseAnnotation({ line: 0, text: '  ' }, 5).error).toBe('text is required');
+      expect(Annotations.parseAnnotation({ line: 0, text: 'x'.repeat(501) }, 5).error).toBe('text must be at most 500 characters');
+    });
+
+    it('should only check the fields given when partial', () => {
+      expect(Annotations.parseAnnotation({ text: 'Palm mute' }, 5, { partial: true })).toEqual({ fields: { text: 'Palm mute' } });
+      expect(Annotations.parseAnnotation(undefined, 5, { partial: true })).toEqual({ fields: {} });
+    });
+  });
+
+  describe('lineMapping', () => {
+    it('should follow lines that moved when lines were added above them', () => {
+      expect(Annotations.lineMapping('[Verse]\nG C\nla la', 'Capo 2\n\n[Verse]\nG C\nla la')).toEqual([2, 3, 4]);
+    });
+
+    it('should keep an edited line in its place', () => {
+      expect(Annotations.lineMapping('[Verse]\nG  C  D\nla la', '[Verse]\nG  C  Em\nla la')).toEqual([0, 1, 2]);
+    });
+
+    it('should find an edited line among lines added around it', () => {
+      const oldText = 'Today is gonna be the day\nEm7  G  Dsus4\nend';
+      const newText = 'Today is gonna be the day\n(quietly)\nEm7  G  Dsus4  A7sus4\nend';
+
+      expect(Annotations.lineMapping(oldText, newText)).toEqual([0, 2, 3]);
+    });
+
+    it('should not pair the lines of a rewritten block too big to score', () => {
+      const lines = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix} line ${index}`);
+      const oldText = ['[Verse]', ...lines('old', 100), '[Chorus]'].join('\n');
+      const newText = ['[Verse]', ...lines('new', 101), '[Chorus]'].join('\n');
+      const mapping = Annotations.lineMapping(oldText, newText);
+
+      expect(mapping[0]).toBe(0);
+      expect(mapping.slice(1, 101).every(line => line === null)).toBe(true);
+      expect(mapping[101]).toBe(102);
+    });
+
+    it('should map every line to null when the texts are too different to diff', () => {
+      const lines = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix} ${index}`).join('\n');
+
+      expect(Annotations.lineMapping(lines('old', 1001), lines('new', 1000)).every(line => line === null)).toBe(true);
+    });
+
+    it('should map removed lines to null', () => {
+      expect(Annotations.lineMapping('[Intro]\nG C\n[Verse]\nla la', '[Verse]\nla la')).toEqual([null, null, 0, 1]);
+    });
+  });
+
+  describe('moveAnchor', () => {
+    it('should leave annotations without a line alone', () => {
+      expect(Annotations.moveAnchor([1, null], 0)).toBe(1);
+      expect(Annotations.moveAnchor([1, null], 1)).toBeNull();
+      expect(Annotations.moveAnchor([1, null], 7)).toBeNull();
+      expect(Annotations.moveAnchor([1, null], null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const Artists = require('../Artists');
+
+describe('Artists', () => {
+  describe('artistKey', () => {
+    it('should ignore case, accents, punctuation and a leading "The"', () => {
+      expect(Artists.artistKey('The Beatles')).toBe(Artists.artistKey('beatles'));
+      expect(Artists.artistKey('Beyoncé')).toBe(Artists.artistKey('BEYONCE'));
+      expect(Artists.artistKey('John K. Samson')).toBe(Artists.artistKey('John K Samson'));
+      expect(Artists.artistKey('Simon & Garfunkel')).toBe(Artists.artistKey('Simon and Garfunkel'));
+    });
+
+    it('should keep "The" when it is not a leading word', () => {
+      expect(Artists.artistKey('Theory of a Deadman')).toBe('theory of a deadman');
+      expect(Artists.artistKey('The The')).toBe('the');
+    });
+  });
+
+  describe('groupArtists', () => {
+    it('should group spellings under the one most songs use', () => {
+      const songs = [
+        { id: '1', artist: 'White Stripes' },
+        { id: '2', artist: 'The White Stripes' },
+        { id: '3', artist: 'The White Stripes' },
+        { id: '4', artist: 'Aerosmith' }
+      ];
+
+      expect(Artists.groupArtists(songs)).toEqual([
+        { key: 'aerosmith', name: 'Aerosmith', variants: ['Aerosmith'], songs: [songs[3]] },
+        { key: 'white stripes', name: 'The White Stripes', variants: ['The White Stripes', 'White Stripes'], songs: songs.slice(0, 3) }
+      ]);
+    });
+
+    it('should break ties between spellings alphabetically', () => {
+      const [artist] = Artists.groupArtists([{ artist: 'Our lady peace' }, { artist: 'Our Lady Peace' }]);
+
+      expect(artist.name).toBe('Our lady peace');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const ChordDiagrams = require('../ChordDiagrams');
+
+const firstFrets = (name, instrument = 'guitar') => ChordDiagrams.chordVoicings(name, instrument, 1)[0].frets;
+
+describe('ChordDiagrams', () => {
+  describe('chordTones', () => {
+    it('should work out the notes of extended and slash chords', () => {
+      expect(ChordDiagrams.chordTones('E7')).toEqual({ required: [4, 8, 2], allowed: [4, 8, 11, 2], bass: 4, slash: false });
+      expect(ChordDiagrams.chordTones('D/C#')).toMatchObject({ required: [2, 6, 9], bass: 1, slash: true });
+      expect(ChordDiagrams.chordTones('C#m7-5')).toMatchObject({ required: [1, 4, 7, 11] });
+    });
+
+    it('should return null for names it cannot read', () => {
+      expect(ChordDiagrams.chordTones('H7')).toBeNull();
+      expect(ChordDiagrams.chordTones('Cb13#11')).toBeNull();
+    });
+  });
+
+  describe('chordVoicings', () => {
+    it('should put the familiar open shapes first on guitar', () => {
+      expect(firstFrets('C')).toEqual([-1, 3, 2, 0, 1, 0]);
+      expect(firstFrets('G')).toEqual([3, 2, 0, 0, 0, 3]);
+      expect(firstFrets('D')).toEqual([-1, -1, 0, 2, 3, 2]);
+      expect(firstFrets('Asus2')).toEqual([-1, 0, 2, 2, 0, 0]);
+      expect(firstFrets('E7')).toEqual([0, 2, 0, 1, 0, 0]);
+    });
+
+    it('should keep the bass note of a slash chord lowest', () => {
+      expect(firstFrets('D/C#')).toEqual([-1, 4, 0, 2, 2, 2]);
+    });
+
+    it('should barre when a shape needs more than four fingers', () => {
+      const [voicing] = ChordDiagrams.chordVoicings('F', 'guitar', 1);
+
+      expect(voicing).toEqual({
+        frets: [1, 3, 3, 2, 1, 1],
+        fingers: [1, 3, 4, 2, 1, 1],
+        barre: { fret: 1, from_string: 0, to_string: 5 },
+        base_fret: 1
+      });
+    });
+
+    it('should give higher voicings a base fret', () => {
+      const voicings = ChordDiagrams.chordVoicings('A', 'guitar', 3);
+
+      expect(voicings).toHaveLength(3);
+      expect(voicings[1]).toMatchObject({ frets: [5, 7, 7, 6, 5, 5], base_fret: 5 });
+    });
+
+    it('should find ukulele shapes', () => {
+      expect(firstFrets('C', 'ukulele')).toEqual([0, 0, 0, 3]);
+      expect(firstFrets('G', 'ukulele')).toEqual([0, 2, 3, 2]);
+      expect(firstFrets('Am', 'ukulele')).toEqual([2, 0, 0, 0]);
+    });
+
+    it('should return null for unknown chords or instruments', () => {
+      expect(ChordDiagrams.chordVoicings('Hm', 'guitar', 3)).toBeNull();
+      expect(ChordDiagrams.chordVoicings('C', 'banjo', 3)).toBeNull();
+    });
+  });
+});
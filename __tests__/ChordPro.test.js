@@ -0,0 +1,137 @@
+const { parseChordPro, toChordPro, splitInlineChords, mergeChordLine } = require('../ChordPro');
+
+describe('ChordPro', () => {
+  describe('splitInlineChords', () => {
+    it('should move inline chords onto a chord line above the lyric', () => {
+      expect(splitInlineChords('[G]Hello [D]there')).toEqual(['G     D', 'Hello there']);
+    });
+
+    it('should pad the lyric when chords would run into each other', () => {
+      expect(splitInlineChords('[Am]a[G]b')).toEqual(['Am G', 'a  b']);
+    });
+
+    it('should keep a chord-only line as a single chord line', () => {
+      expect(splitInlineChords('| [Cadd9]  [G]    | x2')).toEqual(['| Cadd9  G    | x2']);
+    });
+
+    it('should leave lines without chords alone', () => {
+      expect(splitInlineChords('Just words')).toEqual(['Just words']);
+    });
+  });
+
+  describe('mergeChordLine', () => {
+    it('should insert chords into the lyric at their columns', () => {
+      expect(mergeChordLine('G     D', 'Hello there')).toBe('[G]Hello [D]there');
+    });
+
+    it('should place chords past the end of the lyric', () => {
+      expect(mergeChordLine('G        D', 'Hi')).toBe('[G]Hi       [D]');
+    });
+
+    it('should keep bar lines on chord-only lines', () => {
+      expect(mergeChordLine('| G  C | x2', '')).toBe('| [G]  [C] | x2');
+    });
+  });
+
+  describe('parseChordPro', () => {
+    it('should map metadata, sections and inline chords', () => {
+      const source = [
+        '# exported from somewhere',
+        '{title: Blackbird}',
+        '{artist: Beatles}',
+        '{capo: 2}',
+        '',
+        '{start_of_verse}',
+        '[G]Blackbird singing in the [Am]dead of night',
+        '{end_of_verse}',
+        '{soc: Chorus 2}',
+        '[C]Fly',
+        '{eoc}'
+      ].join('\n');
+
+      expect(parseChordPro(source)).toEqual({
+        title: 'Blackbird',
+        artist: 'Beatles',
+        key: null,
+        capo: 2,
+        text: [
+          'Capo 2',
+          '',
+          '[Verse]',
+          'G' + ' '.repeat(24) + 'Am',
+          'Blackbird singing in the dead of night',
+          '',
+          '[Chorus 2]',
+          'C',
+          'Fly'
+        ].join('\n')
+      });
+    });
+
+    it('should fall back to the subtitle for the artist and accept short directives', () => {
+      const parsed = parseChordPro('{t: Song}\n{st: Someone}\n{c: Chorus}\n[G]la');
+
+      expect(parsed).toMatchObject({ title: 'Song', artist: 'Someone', capo: null });
+      expect(parsed.text).toBe('[Chorus]\nG\nla');
+    });
+
+    it('should read the key as the sounding key', () => {
+      expect(parseChordPro('{title: T}\n{artist: A}\n{key: G}\n{capo: 2}\n[G]la').key).toBe('A');
+      expect(parseChordPro('{title: T}\n{artist: A}\n{key: Bbm}\n[Bbm]la').key).toBe('Bbm');
+      expect(parseChordPro('{title: T}\n{artist: A}\n{key: G major}\n[G]la').key).toBeNull();
+    });
+
+    it('should keep tablature blocks verbatim', () => {
+      const parsed = parseChordPro('{title: T}\n{artist: A}\n{sot}\ne|---[3]---|\n{eot}');
+
+      expect(parsed.text).toBe('e|---[3]---|');
+    });
+  });
+
+  describe('toChordPro', () => {
+    it('should export metadata, sections and inline chords', () => {
+      const text = [
+        'Capo on 2nd fret',
+        '',
+        '[Intro]',
+        '| G  C | x2',
+        '',
+        '[Chorus]',
+        'G     D',
+        'Hello there',
+        'e|---3---|'
+      ].join('\n');
+
+      expect(toChordPro({ title: 'Song', artist: 'Band', text })).toBe([
+        '{title: Song}',
+        '{artist: Band}',
+        '{capo: 2}',
+        '',
+        '{start_of_intro: Intro}',
+        '| [G]  [C] | x2',
+        '{end_of_intro}',
+        '',
+        '{start_of_chorus: Chorus}',
+        '[G]Hello [D]there',
+        '{start_of_tab}',
+        'e|---3---|',
+        '{end_of_tab}',
+        '{end_of_chorus}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should write the key of the chord shapes when there is a capo', () => {
+      expect(toChordPro({ title: 'Song', artist: 'Band', key: 'A', text: 'Capo 2\nG' })).toBe(
+        '{title: Song}\n{artist: Band}\n{key: G}\n{capo: 2}\n\n[G]\n'
+      );
+    });
+
+    it('should round-trip chords over lyrics', () => {
+      const text = '[Verse]\nG           D\nI saw a friend today';
+      const parsed = parseChordPro(toChordPro({ title: 'Song', artist: 'Band', text }));
+
+      expect(parsed.text).toBe(text);
+    });
+  });
+});
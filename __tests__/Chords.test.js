@@ -0,0 +1,171 @@
+const Chords = require('../Chords');
+
+describe('Chords', () => {
+  describe('parseChord', () => {
+    it('should parse simple, extended and slash chords', () => {
+      expect(Chords.parseChord('Am')).toEqual({ root: 'A', quality: 'm', bass: null });
+      expect(Chords.parseChord('Asus2')).toEqual({ root: 'A', quality: 'sus2', bass: null });
+      expect(Chords.parseChord('Cadd9')).toEqual({ root: 'C', quality: 'add9', bass: null });
+      expect(Chords.parseChord('D/C#')).toEqual({ root: 'D', quality: '', bass: 'C#' });
+      expect(Chords.parseChord('Bbmaj7')).toEqual({ root: 'Bb', quality: 'maj7', bass: null });
+    });
+
+    it('should reject words that are not chords', () => {
+      expect(Chords.parseChord('And')).toBeNull();
+      expect(Chords.parseChord('Dim')).toBeNull();
+      expect(Chords.parseChord('e|---3---|')).toBeNull();
+    });
+  });
+
+  describe('isChordLine', () => {
+    it('should detect chord lines including bar lines and repeat marks', () => {
+      expect(Chords.isChordLine('D       D/C# Bm    G       D')).toBe(true);
+      expect(Chords.isChordLine('| Cadd9  G    | Em7  D    | x2')).toBe(true);
+    });
+
+    it('should not treat lyrics, headers or blank lines as chord lines', () => {
+      expect(Chords.isChordLine('I saw a friend today, it had been a while.')).toBe(false);
+      expect(Chords.isChordLine('Am I the only one')).toBe(false);
+      expect(Chords.isChordLine('[Verse]')).toBe(false);
+      expect(Chords.isChordLine(' ')).toBe(false);
+    });
+  });
+
+  describe('transposeText', () => {
+    it('should transpose chord lines and leave lyrics untouched', () => {
+      const text = 'G            Asus2         D\nThe feelings still remained the same.';
+
+      expect(Chords.transposeText(text, 2, false)).toBe(
+        'A            Bsus2         E\nThe feelings still remained the same.'
+      );
+    });
+
+    it('should keep chords in their columns when names change length', () => {
+      const text = 'D       D/C# Bm\nI saw a friend today';
+
+      expect(Chords.transposeText(text, 1, false)).toBe('D#      D#/D Cm\nI saw a friend today');
+      expect(Chords.transposeText(text, -2, false)).toBe('C       C/B  Am\nI saw a friend today');
+    });
+
+    it('should push a chord right only as far as needed when there is no room', () => {
+      expect(Chords.transposeText('C D', 1, false)).toBe('C# D#');
+    });
+
+    it('should spell accidentals with flats when asked', () => {
+      expect(Chords.transposeText('C  G/B  Am', 1, true)).toBe('Db Ab/C Bbm');
+    });
+
+    it('should return the text unchanged for a whole-octave shift', () => {
+      expect(Chords.transposeText('C G', 12, false)).toBe('C G');
+    });
+  });
+
+  describe('chord inventory', () => {
+    it('should list each chord once in order of appearance', () => {
+      expect(Chords.uniqueChords('[Intro]\nD  D/C#  Bm\nla la\nG  D  Asus2')).toEqual(['D', 'D/C#', 'Bm', 'G', 'Asus2']);
+    });
+
+    it('should compare chords regardless of spelling', () => {
+      expect(Chords.chordKey('Bbm')).toBe(Chords.chordKey('A#min'));
+      expect(Chords.chordKey('CM7')).toBe(Chords.chordKey('Cmaj7'));
+      expect(Chords.chordKey('C')).not.toBe(Chords.chordKey('Cm'));
+    });
+
+    it('should treat slash chords as playable with their base chord', () => {
+      expect(Chords.playableWith(['G', 'D/F#', 'Em'], ['G', 'D', 'Em'])).toBe(true);
+      expect(Chords.playableWith(['G', 'F'], ['G', 'D'])).toBe(false);
+      expect(Chords.playableWith([], ['G'])).toBe(false);
+    });
+
+    it('should find songs that use a chord', () => {
+      expect(Chords.usesChords(['C', 'F/A'], ['F'])).toBe(true);
+      expect(Chords.usesChords(['C', 'G'], ['F'])).toBe(false);
+      expect(Chords.usesChords(['C', 'G', 'Am'], ['C', 'Am'])).toBe(true);
+    });
+  });
+
+  describe('parseCapo', () => {
+    it('should read common ways of writing a capo instruction', () => {
+      expect(Chords.parseCapo('Capo on 2nd fret\n\n[Intro]')).toEqual({ fret: 2, lineIndex: 0 });
+      expect(Chords.parseCapo('[Intro]\nCapo: 3')).toEqual({ fret: 3, lineIndex: 1 });
+      expect(Chords.parseCapo('(capo IV)')).toEqual({ fret: 4, lineIndex: 0 });
+      expect(Chords.parseCapo('Capo fret 5')).toEqual({ fret: 5, lineIndex: 0 });
+    });
+
+    it('should return null when there is no capo', () => {
+      expect(Chords.parseCapo('No capo\nG C D')).toBeNull();
+      expect(Chords.parseCapo('G C D\nla la la')).toBeNull();
+    });
+  });
+
+  describe('setCapoLine', () => {
+    it('should replace an existing capo line', () => {
+      expect(Chords.setCapoLine('Capo on 2nd fret\nG C', 4)).toBe('Capo 4\nG C');
+      expect(Chords.setCapoLine('Capo on 2nd fret\nG C', 0)).toBe('No capo\nG C');
+    });
+
+    it('should add a capo line only when one is needed', () => {
+      expect(Chords.setCapoLine('G C', 3)).toBe('Capo 3\nG C');
+      expect(Chords.setCapoLine('G C', 0)).toBe('G C');
+    });
+  });
+
+  describe('numberText', () => {
+    it('should write chords as Nashville numbers and keep their columns', () => {
+      const text = 'G    D/F#  Em   C\nThe feelings still remained';
+
+      expect(Chords.numberText(text, Chords.parseKey('G'), 'nashville')).toBe('1    5/7   6m   4\nThe feelings still remained');
+    });
+
+    it('should write Roman numerals in lower case for minor and diminished chords', () => {
+      const key = Chords.parseKey('C');
+
+      expect(Chords.numberText('C  Am7  G/B  Bdim  Bm7b5  Eb', key, 'roman')).toBe('I  vi7  V/7  vii°  viiø7  bIII');
+    });
+
+    it('should count minor keys from their own tonic', () => {
+      expect(Chords.numberText('Am F C G', Chords.parseKey('Am'), 'nashville')).toBe('1m b6 b3 b7');
+    });
+  });
+
+  describe('keys', () => {
+    it('should parse major and minor keys', () => {
+      expect(Chords.parseKey('E')).toMatchObject({ tonic: 4, minor: false });
+      expect(Chords.parseKey('F#m')).toMatchObject({ tonic: 6, minor: true });
+      expect(Chords.parseKey('H')).toBeNull();
+    });
+
+    it('should detect the key from the chords of a tab', () => {
+      expect(Chords.detectKey('G  C  D  G\nla\nEm  C  D')).toEqual({ tonic: 7, minor: false });
+      expect(Chords.detectKey('[Intro]\nAm  G  F  G\nla\nAm  G  F  E7')).toEqual({ tonic: 9, minor: true });
+      expect(Chords.detectKey('no chords here')).toBeNull();
+    });
+
+    it('should prefer the opening chord when two keys fit equally well', () => {
+      expect(Chords.detectKey('G    C\nlyrics')).toEqual({ tonic: 7, minor: false });
+    });
+
+    it('should give the sounding key of a tab played with a capo', () => {
+      expect(Chords.detectSongKey('Capo 2\nG  C  D  G')).toBe('A');
+      expect(Chords.detectSongKey('Capo 1\nEm  Am  B7  Em')).toBe('Fm');
+      expect(Chords.detectSongKey('la la la')).toBeNull();
+    });
+
+    it('should list both spellings of a key', () => {
+      expect(Chords.keySpellings(Chords.parseKey('F#m'))).toEqual(['F#m', 'Gbm']);
+      expect(Chords.keySpellings(Chords.parseKey('D'))).toEqual(['D']);
+    });
+
+    it('should pick the shortest distance between keys', () => {
+      expect(Chords.semitonesBetween(Chords.parseKey('D'), Chords.parseKey('E'))).toBe(2);
+      expect(Chords.semitonesBetween(Chords.parseKey('D'), Chords.parseKey('A'))).toBe(-5);
+    });
+
+    it('should follow the conventional spelling of a key', () => {
+      expect(Chords.keyPrefersFlats(Chords.parseKey('F'))).toBe(true);
+      expect(Chords.keyPrefersFlats(Chords.parseKey('Bb'))).toBe(true);
+      expect(Chords.keyPrefersFlats(Chords.parseKey('A'))).toBe(false);
+      expect(Chords.keyPrefersFlats(Chords.shiftKey(Chords.parseKey('C'), 3))).toBe(true);
+    });
+  });
+});
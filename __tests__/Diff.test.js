@@ -0,0 +1,52 @@
+const { diffLines } = require('../Diff');
+
+describe('Diff', () => {
+  describe('diffLines', () => {
+    it('should mark every line equal for identical text', () => {
+      expect(diffLines('a\nb', 'a\nb')).toEqual([
+        { type: 'equal', old_line: 0, new_line: 0, text: 'a' },
+        { type: 'equal', old_line: 1, new_line: 1, text: 'b' }
+      ]);
+    });
+
+    it('should report a changed line as removed then added', () => {
+      expect(diffLines('G  C\nhello\nD', 'G  C\nhullo\nD')).toEqual([
+        { type: 'equal', old_line: 0, new_line: 0, text: 'G  C' },
+        { type: 'removed', old_line: 1, new_line: null, text: 'hello' },
+        { type: 'added', old_line: null, new_line: 1, text: 'hullo' },
+        { type: 'equal', old_line: 2, new_line: 2, text: 'D' }
+      ]);
+    });
+
+    it('should handle insertions and deletions at either end', () => {
+      expect(diffLines('b\nc', 'a\nb')).toEqual([
+        { type: 'added', old_line: null, new_line: 0, text: 'a' },
+        { type: 'equal', old_line: 0, new_line: 1, text: 'b' },
+        { type: 'removed', old_line: 1, new_line: null, text: 'c' }
+      ]);
+    });
+
+    it('should number the lines after a change in the middle of a long text', () => {
+      const oldText = ['[Verse]', 'G  C', 'hello', 'D', '[Chorus]', 'Em'].join('\n');
+      const newText = ['[Verse]', 'G  C', 'hullo', 'there', 'D', '[Chorus]', 'Em'].join('\n');
+
+      expect(diffLines(oldText, newText)).toEqual([
+        { type: 'equal', old_line: 0, new_line: 0, text: '[Verse]' },
+        { type: 'equal', old_line: 1, new_line: 1, text: 'G  C' },
+        { type: 'removed', old_line: 2, new_line: null, text: 'hello' },
+        { type: 'added', old_line: null, new_line: 2, text: 'hullo' },
+        { type: 'added', old_line: null, new_line: 3, text: 'there' },
+        { type: 'equal', old_line: 3, new_line: 4, text: 'D' },
+        { type: 'equal', old_line: 4, new_line: 5, text: '[Chorus]' },
+        { type: 'equal', old_line: 5, new_line: 6, text: 'Em' }
+      ]);
+    });
+
+    it('should give up when too many lines changed', () => {
+      const lines = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix} ${index}`).join('\n');
+
+      expect(diffLines(lines('old', 1001), lines('new', 1000))).toBeNull();
+      expect(diffLines(`${lines('same', 5000)}\nold`, `${lines('same', 5000)}\nnew`)).toHaveLength(5002);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const Duplicates = require('../Duplicates');
+
+describe('Duplicates', () => {
+  describe('titleKey', () => {
+    it('should ignore bracketed parts of a title', () => {
+      expect(Duplicates.titleKey('Hey Jude (Remastered 2009)')).toBe('hey jude');
+      expect(Duplicates.titleKey('Creep [Acoustic]')).toBe('creep');
+      expect(Duplicates.titleKey('(What\'s the Story)')).toBe('what s the story');
+    });
+  });
+
+  describe('duplicateScore', () => {
+    it('should score the same song spelled differently as a duplicate', () => {
+      expect(Duplicates.duplicateScore({ title: 'Hey Jude (Remastered)', artist: 'Beatles' }, { title: 'hey jude', artist: 'The Beatles' })).toBe(1);
+      expect(Duplicates.duplicateScore({ title: 'Wonderwal', artist: 'Oasis' }, { title: 'Wonderwall', artist: 'Oasis' })).toBeGreaterThan(0.75);
+      expect(Duplicates.duplicateScore({ title: 'Dream On', artist: 'Aeromsith' }, { title: 'Dream On', artist: 'Aerosmith' })).toBeGreaterThan(0.75);
+    });
+
+    it('should not take covers or other songs of the artist for duplicates', () => {
+      expect(Duplicates.duplicateScore({ title: 'Hallelujah', artist: 'Leonard Cohen' }, { title: 'Hallelujah', artist: 'Jeff Buckley' })).toBe(0);
+      expect(Duplicates.duplicateScore({ title: 'Hey You', artist: 'The Beatles' }, { title: 'Hey Jude', artist: 'The Beatles' })).toBe(0);
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should return the matching songs best first, leaving out the song itself', () => {
+      const songs = [
+        { id: '1', title: 'Wonderwal', artist: 'Oasis' },
+        { id: '2', title: 'Wonderwall', artist: 'Oasis' },
+        { id: '3', title: 'Supersonic', artist: 'Oasis' }
+      ];
+
+      expect(Duplicates.findDuplicates(songs[1], songs)).toEqual([{ song: songs[0], score: 0.833 }]);
+      expect(Duplicates.findDuplicates({ title: 'Wonderwall', artist: 'Oasis' }, songs).map(result => result.song.id)).toEqual(['2', '1']);
+    });
+  });
+
+  describe('duplicateClusters', () => {
+    it('should group songs that match through another song of the group', () => {
+      const songs = [
+        { id: '1', title: 'Wonderwall', artist: 'Oasis' },
+        { id: '2', title: 'Supersonic', artist: 'Oasis' },
+        { id: '3', title: 'Wonderwal', artist: 'Oasis' },
+        { id: '4', title: 'Wonderwall (Live)', artist: 'Oasis' }
+      ];
+
+      expect(Duplicates.duplicateClusters(songs)).toEqual([
+        { score: 0.833, songs: [songs[0], songs[2], songs[3]] }
+      ]);
+    });
+
+    it('should return nothing for a library without duplicates', () => {
+      expect(Duplicates.duplicateClusters([{ id: '1', title: 'Creep', artist: 'Radiohead' }])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const Fuzzy = require('../Fuzzy');
+
+describe('Fuzzy', () => {
+  describe('normalize', () => {
+    it('should drop accents, case and punctuation', () => {
+      expect(Fuzzy.normalize('Beyoncé - Halo!')).toBe('beyonce halo');
+      expect(Fuzzy.normalize("Guns N' Roses")).toBe('guns n roses');
+      expect(Fuzzy.normalize('AC/DC')).toBe('ac dc');
+    });
+  });
+
+  describe('matchScore', () => {
+    it('should score typos close to the real name', () => {
+      expect(Fuzzy.matchScore('Tom Pety', 'Tom Petty')).toBeGreaterThan(0.8);
+      expect(Fuzzy.matchScore('Creedance', 'Creedence Clearwater Revival')).toBeGreaterThan(0.5);
+      expect(Fuzzy.matchScore('aerosmith', 'Aeromsith')).toBeGreaterThan(0.5);
+    });
+
+    it('should give a perfect score regardless of accents and punctuation', () => {
+      expect(Fuzzy.matchScore('beyonce', 'Beyoncé')).toBe(1);
+      expect(Fuzzy.matchScore('ac dc', 'AC/DC')).toBe(1);
+    });
+
+    it('should rank a closer name higher than a longer one containing it', () => {
+      expect(Fuzzy.matchScore('tom pety', 'Tom Petty')).toBeGreaterThan(Fuzzy.matchScore('tom pety', 'Tom Petty and the Heartbreakers'));
+    });
+
+    it('should not match unrelated names', () => {
+      expect(Fuzzy.matchScore('Creedance', 'Oasis')).toBe(0);
+      expect(Fuzzy.matchScore('Tom Pety', 'Pearl Jam')).toBe(0);
+    });
+  });
+
+  describe('rankSongs', () => {
+    it('should match titles, artists and both together, best first', () => {
+      const songs = [
+        { id: 'song-1', title: 'Wonderwall', artist: 'Oasis' },
+        { id: 'song-2', title: 'Free Fallin', artist: 'Tom Petty' },
+        { id: 'song-3', title: 'Champagne Supernova', artist: 'Oasis' }
+      ];
+
+      expect(Fuzzy.rankSongs(songs, 'wonderwal oasis').map(result => [result.song.id, result.matched])).toEqual([['song-1', 'both']]);
+      expect(Fuzzy.rankSongs(songs, 'oassis').map(result => [result.song.id, result.matched])).toEqual([
+        ['song-3', 'artist'],
+        ['song-1', 'artist']
+      ]);
+      expect(Fuzzy.rankSongs(songs, 'free falling')[0]).toMatchObject({ song: { id: 'song-2' }, matched: 'title' });
+    });
+  });
+
+  describe('candidateMatch', () => {
+    it('should match any trigram of the words of the query', () => {
+      expect(Fuzzy.candidateMatch('Beyoncé - Halo!')).toBe('"bey" OR "eyo" OR "yon" OR "onc" OR "nce" OR "hal" OR "alo"');
+    });
+
+    it('should return null when no word is long enough for a trigram', () => {
+      expect(Fuzzy.candidateMatch('U2')).toBeNull();
+      expect(Fuzzy.candidateMatch('AC/DC')).toBeNull();
+    });
+  });
+
+  describe('candidateSql', () => {
+    it('should order by trigram distance on PostgreSQL and by FTS5 rank on SQLite, capped', () => {
+      expect(Fuzzy.candidateSql('postgres', 'workspace_id')).toContain(":query <<-> (songs.title || ' ' || songs.artist)");
+      expect(Fuzzy.candidateSql('postgres', 'workspace_id')).toContain('songs.workspace_id = :ownerId');
+      expect(Fuzzy.candidateSql('sqlite')).toContain('song_names MATCH :match');
+      expect(Fuzzy.candidateSql('sqlite')).toContain(`LIMIT ${Fuzzy.MAX_CANDIDATES}`);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const LiveSessions = require('../LiveSessions');
+
+describe('LiveSessions', () => {
+  describe('parseCommand', () => {
+    it('should read each type of command', () => {
+      expect(LiveSessions.parseCommand({ type: 'song', song_id: 'song-1' })).toEqual({ command: { type: 'song', song_id: 'song-1' } });
+      expect(LiveSessions.parseCommand({ type: 'section', section: 2 })).toEqual({ command: { type: 'section', section: 2 } });
+      expect(LiveSessions.parseCommand({ type: 'transpose', transpose: -3 })).toEqual({ command: { type: 'transpose', transpose: -3 } });
+      expect(LiveSessions.parseCommand({ type: 'scroll_start', scroll_speed: 40 })).toEqual({ command: { type: 'scroll_start', scroll_speed: 40 } });
+      expect(LiveSessions.parseCommand({ type: 'scroll_stop' })).toEqual({ command: { type: 'scroll_stop' } });
+    });
+
+    it('should reject unknown types and bad values', () => {
+      expect(LiveSessions.parseCommand(undefined).error).toBe('type must be one of song, section, transpose, scroll_start, scroll_stop');
+      expect(LiveSessions.parseCommand({ type: 'song' }).error).toBe('song_id is required');
+      expect(LiveSessions.parseCommand({ type: 'section', section: -1 }).error).toBe('section must be the index of a section');
+      expect(LiveSessions.parseCommand({ type: 'transpose', transpose: 12 }).error).toBe('transpose must be an integer between -11 and 11');
+      expect(LiveSessions.parseCommand({ type: 'scroll_start', scroll_speed: 0 }).error).toBe('scroll_speed must be a positive integer');
+    });
+  });
+
+  describe('commandChanges', () => {
+    it('should start a new song from the top at its own scroll speed', () => {
+      const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' };
+
+      expect(LiveSessions.commandChanges({ type: 'song', song_id: 'song-1' }, { song, tab: { scroll_speed: 30 } })).toEqual({
+        song,
+        section: null,
+        transpose: 0,
+        scrolling: false,
+        scroll_speed: 30
+      });
+    });
+
+    it('should start a song without a tab with no scroll speed', () => {
+      const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: null };
+
+      expect(LiveSessions.commandChanges({ type: 'song', song_id: 'song-1' }, { song, tab: null })).toMatchObject({
+        song,
+        scroll_speed: null
+      });
+    });
+
+    it('should jump to a section by its index', () => {
+      const sections = [{ name: 'Intro', line: 0 }, { name: 'Verse', line: 3 }];
+
+      expect(LiveSessions.commandChanges({ type: 'section', section: 1 }, { sections })).toEqual({
+        section: { index: 1, name: 'Verse', line: 3 }
+      });
+    });
+
+    it('should keep the scroll speed when scrolling starts without one', () => {
+      expect(LiveSessions.commandChanges({ type: 'scroll_start' })).toEqual({ scrolling: true });
+      expect(LiveSessions.commandChanges({ type: 'scroll_start', scroll_speed: 45 })).toEqual({ scrolling: true, scroll_speed: 45 });
+      expect(LiveSessions.commandChanges({ type: 'scroll_stop' })).toEqual({ scrolling: false });
+    });
+  });
+
+  describe('formatEvent', () => {
+    it('should write a message in the event stream format', () => {
+      expect(LiveSessions.formatEvent(3, 'transpose', { transpose: 2 })).toBe('id: 3\nevent: transpose\ndata: {"transpose":2}\n\n');
+    });
+  });
+});
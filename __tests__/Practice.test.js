@@ -0,0 +1,72 @@
+const Practice = require('../Practice');
+
+const session = (startedAt, minutes = 30) => ({ started_at: new Date(startedAt), duration_seconds: minutes * 60 });
+
+describe('Practice', () => {
+  const now = new Date('2026-10-15T18:00:00Z');
+
+  describe('practiceStreaks', () => {
+    it('should count consecutive practice days up to today', () => {
+      const sessions = [
+        session('2026-10-13T09:00:00Z'),
+        session('2026-10-14T21:00:00Z'),
+        session('2026-10-15T07:00:00Z'),
+        session('2026-10-15T19:00:00Z')
+      ];
+
+      expect(Practice.practiceStreaks(sessions, now)).toEqual({ current: 3, longest: 3 });
+    });
+
+    it('should keep a streak that ended yesterday and remember the longest one', () => {
+      const sessions = [
+        session('2026-10-01T09:00:00Z'),
+        session('2026-10-02T09:00:00Z'),
+        session('2026-10-03T09:00:00Z'),
+        session('2026-10-04T09:00:00Z'),
+        session('2026-10-13T09:00:00Z'),
+        session('2026-10-14T09:00:00Z')
+      ];
+
+      expect(Practice.practiceStreaks(sessions, now)).toEqual({ current: 2, longest: 4 });
+    });
+
+    it('should break the current streak after a day without practice', () => {
+      expect(Practice.practiceStreaks([session('2026-10-13T09:00:00Z')], now)).toEqual({ current: 0, longest: 1 });
+      expect(Practice.practiceStreaks([], now)).toEqual({ current: 0, longest: 0 });
+    });
+  });
+
+  describe('minutesPerWeek', () => {
+    it('should add up minutes in weeks starting on Monday, oldest first', () => {
+      const sessions = [
+        session('2026-10-12T00:30:00Z', 20),
+        session('2026-10-15T10:00:00Z', 25),
+        session('2026-10-11T23:00:00Z', 40),
+        session('2026-09-01T10:00:00Z', 60)
+      ];
+
+      expect(Practice.minutesPerWeek(sessions, now, 3)).toEqual([
+        { week_start: '2026-09-28', minutes: 0 },
+        { week_start: '2026-10-05', minutes: 40 },
+        { week_start: '2026-10-12', minutes: 45 }
+      ]);
+    });
+  });
+
+  describe('neglectedSongs', () => {
+    it('should list songs never practiced first, then by how long ago they were last practiced', () => {
+      const songs = [
+        { id: 'song-1', title: 'Recent', artist: 'A', last_practiced_at: new Date('2026-10-14T10:00:00Z') },
+        { id: 'song-2', title: 'Never', artist: 'B', last_practiced_at: null },
+        { id: 'song-3', title: 'Old', artist: 'C', last_practiced_at: new Date('2026-09-15T10:00:00Z') }
+      ];
+
+      expect(Practice.neglectedSongs(songs, now, 5).map(song => [song.title, song.days_since])).toEqual([
+        ['Never', null],
+        ['Old', 30],
+        ['Recent', 1]
+      ]);
+      expect(Practice.neglectedSongs(songs, now, 2).map(song => song.title)).toEqual(['Never', 'Old']);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const Search = require('../Search');
+
+describe('Search', () => {
+  describe('lyricText', () => {
+    it('should keep only the lyric lines of a tab', () => {
+      const text = 'Capo 2\n\n[Verse]\nG        C\n  Hello darkness, my old friend\ne|---3---|\nB|---1---|\n(x2)\nI\'ve come to talk';
+
+      expect(Search.lyricText(text)).toBe('Hello darkness, my old friend\nI\'ve come to talk');
+    });
+  });
+
+  describe('searchTerms', () => {
+    it('should split a query into lowercase words', () => {
+      expect(Search.searchTerms('  What\'s GOING on?! ')).toEqual(['what', 's', 'going', 'on']);
+      expect(Search.searchTerms('Déjà vu')).toEqual(['déjà', 'vu']);
+      expect(Search.searchTerms('"*:&|')).toEqual([]);
+    });
+  });
+
+  describe('matchExpression', () => {
+    it('should require every term and let the last one be a prefix', () => {
+      expect(Search.matchExpression(['hello', 'dark'], 'sqlite')).toBe('"hello" "dark"*');
+      expect(Search.matchExpression(['hello', 'dark'], 'postgres')).toBe('hello & dark:*');
+    });
+  });
+
+  describe('lyricSnippet', () => {
+    it('should pick the line matching the most terms and mark the matching words', () => {
+      const lyrics = 'Hello darkness, my old friend\nHello again\nTo talk with you again';
+
+      expect(Search.lyricSnippet(lyrics, ['hello', 'again'])).toEqual({
+        text: 'Hello again',
+        highlights: [{ start: 0, end: 5 }, { start: 6, end: 11 }]
+      });
+    });
+
+    it('should match the last term as a prefix and ignore accents', () => {
+      expect(Search.lyricSnippet('Un café au lait\nDarkness', ['cafe', 'la'])).toEqual({
+        text: 'Un café au lait',
+        highlights: [{ start: 3, end: 7 }, { start: 11, end: 15 }]
+      });
+    });
+
+    it('should return null when no line matches', () => {
+      expect(Search.lyricSnippet('Hello darkness', ['goodbye'])).toBeNull();
+      expect(Search.lyricSnippet(null, ['hello'])).toBeNull();
+    });
+  });
+});
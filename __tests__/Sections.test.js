@@ -0,0 +1,64 @@
+const { classifyLine, parseSections } = require('../Sections');
+
+describe('Sections', () => {
+  describe('classifyLine', () => {
+    it('should classify chord, lyric, tablature and directive lines', () => {
+      expect(classifyLine('D       D/C# Bm')).toBe('chord');
+      expect(classifyLine('I saw a friend today, it had been a while.')).toBe('lyric');
+      expect(classifyLine('e|-----3---2---|')).toBe('tablature');
+      expect(classifyLine('|--0h2--3-------|')).toBe('tablature');
+      expect(classifyLine('Capo on 2nd fret')).toBe('directive');
+      expect(classifyLine('(repeat chorus x2)')).toBe('directive');
+      expect(classifyLine('x2')).toBe('directive');
+    });
+
+    it('should classify a bar-line chord progression as chords', () => {
+      expect(classifyLine('| Cadd9  G    | Em7  D    | x2')).toBe('chord');
+    });
+  });
+
+  describe('parseSections', () => {
+    it('should split text into ordered named sections', () => {
+      const text = [
+        'Capo on 2nd fret',
+        ' ',
+        '[Intro]',
+        'G  D',
+        '',
+        '[Verse]',
+        'G           D',
+        'I saw a friend today',
+        '[Chorus]',
+        'e|---3---|'
+      ].join('\n');
+
+      expect(parseSections(text)).toEqual([
+        { name: null, line: 0, lines: [{ line: 0, type: 'directive', text: 'Capo on 2nd fret' }] },
+        { name: 'Intro', line: 2, lines: [{ line: 3, type: 'chord', text: 'G  D' }] },
+        {
+          name: 'Verse',
+          line: 5,
+          lines: [
+            { line: 6, type: 'chord', text: 'G           D' },
+            { line: 7, type: 'lyric', text: 'I saw a friend today' }
+          ]
+        },
+        { name: 'Chorus', line: 8, lines: [{ line: 9, type: 'tablature', text: 'e|---3---|' }] }
+      ]);
+    });
+
+    it('should keep repeated section names as separate sections', () => {
+      const sections = parseSections('[Verse]\nla\n[Chorus]\nda\n[Verse]\nla');
+
+      expect(sections.map(section => section.name)).toEqual(['Verse', 'Chorus', 'Verse']);
+    });
+
+    it('should not create an empty leading section', () => {
+      expect(parseSections('\n[Verse]\nla')).toHaveLength(1);
+    });
+
+    it('should keep empty named sections', () => {
+      expect(parseSections('[Intro]\n[Verse]\nla')[0]).toEqual({ name: 'Intro', line: 0, lines: [] });
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const Workspaces = require('../Workspaces');
+
+describe('Workspaces', () => {
+  describe('roleAllows', () => {
+    it('should let owners do everything and viewers only view', () => {
+      expect(Workspaces.roleAllows('owner', 'manage')).toBe(true);
+      expect(Workspaces.roleAllows('editor', 'edit')).toBe(true);
+      expect(Workspaces.roleAllows('editor', 'manage')).toBe(false);
+      expect(Workspaces.roleAllows('viewer', 'view')).toBe(true);
+      expect(Workspaces.roleAllows('viewer', 'edit')).toBe(false);
+    });
+  });
+
+  describe('keepsAnOwner', () => {
+    const members = [
+      { user_id: 'singer', role: 'owner' },
+      { user_id: 'drummer', role: 'editor' }
+    ];
+
+    it('should refuse to demote or remove the only owner', () => {
+      expect(Workspaces.keepsAnOwner(members, 'singer', 'editor')).toBe(false);
+      expect(Workspaces.keepsAnOwner(members, 'singer', null)).toBe(false);
+    });
+
+    it('should allow changes that leave an owner', () => {
+      expect(Workspaces.keepsAnOwner(members, 'drummer', null)).toBe(true);
+      expect(Workspaces.keepsAnOwner(members, 'drummer', 'owner')).toBe(true);
+      expect(Workspaces.keepsAnOwner([...members, { user_id: 'bassist', role: 'owner' }], 'singer', null)).toBe(true);
+    });
+  });
+});
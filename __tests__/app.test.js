@@ -2,6 +2,7 @@ process.env.JWT_SECRET = 'test-secret';
 
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
+const { Sequelize } = require('sequelize');
 
 const privateKey = process.env.JWT_SECRET;
 
@@ -19,6 +20,8 @@ jest.mock('google-auth-library', () => ({
 }));
 
 jest.mock('../sequelize', () => ({
+  query: jest.fn().mockResolvedValue([]),
+  getDialect: jest.fn(() => 'sqlite'),
   models: {
     User: {
       findOne: jest.fn(),
@@ -27,16 +30,95 @@ jest.mock('../sequelize', () => ({
     Song: {
       findAll: jest.fn(),
       findOne: jest.fn(),
-      create: jest.fn()
+      create: jest.fn(),
+      count: jest.fn(),
+      update: jest.fn(),
+      destroy: jest.fn(),
+      scope: jest.fn(function () { return this; }),
+      unscoped: jest.fn(function () { return this; })
     },
     Tab: {
       findOne: jest.fn(),
+      findAll: jest.fn(),
       create: jest.fn(),
+      update: jest.fn(),
       destroy: jest.fn()
     },
     Video: {
       findAll: jest.fn(),
       create: jest.fn(),
+      update: jest.fn(),
+      destroy: jest.fn()
+    },
+    TabRevision: {
+      count: jest.fn(),
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn(),
+      destroy: jest.fn()
+    },
+    TabAnnotation: {
+      findAll: jest.fn().mockResolvedValue([]),
+      findOne: jest.fn(),
+      create: jest.fn(),
+      destroy: jest.fn()
+    },
+    Setlist: {
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn()
+    },
+    SetlistEntry: {
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      destroy: jest.fn(),
+      max: jest.fn()
+    },
+    Tag: {
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn(),
+      destroy: jest.fn()
+    },
+    SongTag: {
+      findAll: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      bulkCreate: jest.fn(),
+      update: jest.fn(),
+      destroy: jest.fn()
+    },
+    PracticeSession: {
+      findAll: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      destroy: jest.fn(),
+      max: jest.fn()
+    },
+    ShareLink: {
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      destroy: jest.fn()
+    },
+    Workspace: {
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn()
+    },
+    WorkspaceMember: {
+      findAll: jest.fn().mockResolvedValue([]),
+      findOne: jest.fn(),
+      create: jest.fn(),
+      destroy: jest.fn()
+    },
+    WorkspaceInvitation: {
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn(),
       destroy: jest.fn()
     }
   }
@@ -44,6 +126,7 @@ jest.mock('../sequelize', () => ({
 
 const sequelize = require('../sequelize');
 const app = require('../app');
+const Annotations = require('../Annotations');
 
 // Helper to create a valid session cookie header
 const authCookie = (userId = 'test-user-123') => {
@@ -74,22 +157,146 @@ describe('Express App', () => {
       ];
 
       sequelize.models.Song.findAll.mockResolvedValue(mockSongs);
+      sequelize.models.Song.count.mockResolvedValue(2);
 
       const response = await request(app)
         .get('/api/songs')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockSongs);
+      expect(response.body).toEqual({ songs: mockSongs, total: 2, limit: 10, next_cursor: null });
       expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(
         expect.objectContaining({
           where: expect.objectContaining({ user_id: 'test-user-123' }),
-          limit: 10,
+          limit: 11,
           offset: 0
         })
       );
     });
 
+    it('should return a cursor that continues after the last song of the page', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([
+        { id: 'song-1', created_at: new Date('2026-10-03T00:00:00Z') },
+        { id: 'song-2', created_at: new Date('2026-10-02T00:00:00Z') },
+        { id: 'song-3', created_at: new Date('2026-10-01T00:00:00Z') }
+      ]);
+      sequelize.models.Song.count.mockResolvedValue(5);
+
+      const response = await request(app)
+        .get('/api/songs?limit=2&sort=created_at')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ total: 5, limit: 2, next_cursor: expect.any(String) });
+      expect(response.body.songs.map(song => song.id)).toEqual(['song-1', 'song-2']);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        order: [['created_at', 'DESC'], ['id', 'ASC']],
+        limit: 3,
+        offset: 0
+      }));
+
+      sequelize.models.Song.findAll.mockClear();
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+      const nextResponse = await request(app)
+        .get(`/api/songs?limit=2&cursor=${response.body.next_cursor}`)
+        .set('Cookie', authCookie());
+
+      const after = new Date('2026-10-02T00:00:00Z');
+      expect(nextResponse.status).toBe(200);
+      expect(nextResponse.body.next_cursor).toBeNull();
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          user_id: 'test-user-123',
+          [Sequelize.Op.and]: [{
+            [Sequelize.Op.or]: [
+              { [Sequelize.Op.and]: [{ created_at: { [Sequelize.Op.lt]: after } }] },
+              { [Sequelize.Op.and]: [{ created_at: after }, { id: { [Sequelize.Op.gt]: 'song-2' } }] }
+            ]
+          }]
+        },
+        order: [['created_at', 'DESC'], ['id', 'ASC']],
+        offset: 0
+      }));
+    });
+
+    it('should page past songs without a key, which sort last', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([
+        { id: 'song-1', key: 'G', artist: 'Oasis', title: 'Wonderwall' },
+        { id: 'song-2', key: null, artist: 'Oasis', title: 'Whatever' }
+      ]);
+      sequelize.models.Song.count.mockResolvedValue(3);
+
+      const response = await request(app)
+        .get('/api/songs?limit=1&sort=key')
+        .set('Cookie', authCookie());
+
+      sequelize.models.Song.findAll.mockClear();
+      await request(app)
+        .get(`/api/songs?limit=1&cursor=${response.body.next_cursor}`)
+        .set('Cookie', authCookie());
+
+      expect(sequelize.models.Song.findAll.mock.lastCall[0].where[Sequelize.Op.and]).toEqual([{
+        [Sequelize.Op.or]: [
+          { [Sequelize.Op.and]: [{ [Sequelize.Op.or]: [{ key: { [Sequelize.Op.gt]: 'G' } }, { key: null }] }] },
+          { [Sequelize.Op.and]: [{ key: 'G' }, { artist: { [Sequelize.Op.gt]: 'Oasis' } }] },
+          { [Sequelize.Op.and]: [{ key: 'G' }, { artist: 'Oasis' }, { title: { [Sequelize.Op.gt]: 'Wonderwall' } }] },
+          { [Sequelize.Op.and]: [{ key: 'G' }, { artist: 'Oasis' }, { title: 'Wonderwall' }, { id: { [Sequelize.Op.gt]: 'song-1' } }] }
+        ]
+      }]);
+    });
+
+    it('should sort in the requested direction', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+      sequelize.models.Song.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/songs?sort=title&direction=desc')
+        .set('Cookie', authCookie());
+
+      expect(response.body).toEqual({ songs: [], total: 0, limit: 10, next_cursor: null });
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        order: [['title', 'DESC'], ['artist', 'ASC'], ['id', 'ASC']]
+      }));
+      expect(sequelize.models.Song.count).toHaveBeenCalledWith({ where: { user_id: 'test-user-123' } });
+    });
+
+    it('should return 400 for invalid paging params', async () => {
+      const cases = [
+        ['limit=abc', 'limit must be an integer between 1 and 100'],
+        ['limit=0', 'limit must be an integer between 1 and 100'],
+        ['limit=101', 'limit must be an integer between 1 and 100'],
+        ['offset=-1', 'offset must be a non-negative integer'],
+        ['direction=up', 'direction must be one of asc, desc'],
+        ['cursor=nonsense', 'cursor is invalid'],
+        ['cursor=abc&offset=2', 'cursor and offset cannot be combined']
+      ];
+
+      for (const [params, message] of cases) {
+        const response = await request(app)
+          .get(`/api/songs?${params}`)
+          .set('Cookie', authCookie());
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ status: 'error', message });
+      }
+      expect(sequelize.models.Song.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a cursor from another sort order', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1', title: 'A', artist: 'B' }, { id: 'song-2', title: 'C', artist: 'D' }]);
+      sequelize.models.Song.count.mockResolvedValue(3);
+
+      const first = await request(app)
+        .get('/api/songs?limit=1&sort=title')
+        .set('Cookie', authCookie());
+      const response = await request(app)
+        .get(`/api/songs?cursor=${first.body.next_cursor}&sort=artist`)
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'cursor belongs to a different sort order' });
+    });
+
     it('should respect limit and offset parameters', async () => {
       sequelize.models.Song.findAll.mockResolvedValue([]);
 
@@ -99,7 +306,7 @@ describe('Express App', () => {
 
       expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(
         expect.objectContaining({
-          limit: 5,
+          limit: 6,
           offset: 10
         })
       );
@@ -117,150 +324,216 @@ describe('Express App', () => {
       expect(callArgs.where).toHaveProperty('user_id', 'test-user-123');
     });
 
-    it('should return 500 on database error', async () => {
-      sequelize.models.Song.findAll.mockRejectedValue(new Error('Database error'));
+    it('should also match songs by their lyrics', async () => {
+      sequelize.query.mockResolvedValueOnce([
+        { tab_id: 'tab-2', song_id: 'song-2', rank: 3.1 },
+        { tab_id: 'tab-3', song_id: 'song-2', rank: 1.2 }
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
 
-      const response = await request(app)
-        .get('/api/songs')
+      await request(app)
+        .get('/api/songs?query=Going%20On')
         .set('Cookie', authCookie());
 
-      expect(response.status).toBe(500);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Internal Server Error'
-      });
+      expect(sequelize.query).toHaveBeenCalledWith(expect.stringContaining('MATCH :match'), expect.objectContaining({
+        replacements: { match: '"going" "on"*', ownerId: 'test-user-123' }
+      }));
+      const where = sequelize.models.Song.findAll.mock.lastCall[0].where;
+      expect(where[Sequelize.Op.or]).toContainEqual({ id: ['song-2'] });
     });
-  });
 
-  describe('GET /api/songs/:id', () => {
-    it('should return 401 without auth token', async () => {
-      const response = await request(app).get('/api/songs/song-123');
+    it('should search titles and artists when the lyric index is missing', async () => {
+      sequelize.query.mockRejectedValueOnce(new Error('SQLITE_ERROR: no such table: tab_lyrics'));
+      sequelize.models.Song.findAll.mockResolvedValue([]);
 
-      expect(response.status).toBe(401);
+      const response = await request(app)
+        .get('/api/songs?query=hello')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      const where = sequelize.models.Song.findAll.mock.lastCall[0].where;
+      expect(where[Sequelize.Op.or]).toHaveLength(2);
     });
 
-    it('should return song for valid id', async () => {
-      const mockSong = {
-        id: 'song-123',
-        title: 'Test Song',
-        artist: 'Test Artist',
-        user_id: 'test-user-123'
-      };
+    it('should also match near misses of the title or artist', async () => {
+      sequelize.query
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([
+          { id: 'song-1', title: 'Free Fallin', artist: 'Tom Petty' },
+          { id: 'song-2', title: 'Wonderwall', artist: 'Oasis' }
+        ]);
+      sequelize.models.Song.findAll.mockResolvedValueOnce([]);
 
-      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      await request(app)
+        .get('/api/songs?query=Tom%20Pety')
+        .set('Cookie', authCookie());
+
+      expect(sequelize.query).toHaveBeenCalledWith(expect.stringContaining('song_names MATCH :match'), expect.objectContaining({
+        replacements: { query: 'tom pety', match: '"tom" OR "pet" OR "ety"', ownerId: 'test-user-123' }
+      }));
+      const where = sequelize.models.Song.findAll.mock.lastCall[0].where;
+      expect(where[Sequelize.Op.or]).toContainEqual({ id: ['song-1'] });
+    });
+
+    it('should only return songs playable with the given chords', async () => {
+      sequelize.models.Song.findAll
+        .mockResolvedValueOnce([{ id: 'song-1' }, { id: 'song-2' }, { id: 'song-3' }])
+        .mockResolvedValueOnce([{ id: 'song-1', title: 'Easy', artist: 'A' }]);
+      sequelize.models.Tab.findAll.mockResolvedValue([
+        { song_id: 'song-1', text: '', chords: 'G,D/F#,Em' },
+        { song_id: 'song-2', text: '', chords: 'G,F' },
+        { song_id: 'song-3', text: 'Em  C\nla', chords: null }
+      ]);
 
       const response = await request(app)
-        .get('/api/songs/song-123')
+        .get('/api/songs?only_chords=G,D,Em')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({
-        id: 'song-123',
-        title: 'Test Song',
-        artist: 'Test Artist'
-      });
+      expect(sequelize.models.Tab.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { song_id: ['song-1', 'song-2', 'song-3'], is_default: true }
+      }));
+      expect(sequelize.models.Song.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ user_id: 'test-user-123', id: ['song-1'] })
+      }));
     });
 
-    it('should return 404 for non-existent song', async () => {
-      sequelize.models.Song.findOne.mockResolvedValue(null);
+    it('should only return songs that use the given chord', async () => {
+      sequelize.models.Song.findAll
+        .mockResolvedValueOnce([{ id: 'song-1' }, { id: 'song-2' }])
+        .mockResolvedValueOnce([]);
+      sequelize.models.Tab.findAll.mockResolvedValue([
+        { song_id: 'song-1', text: '', chords: 'G,D' },
+        { song_id: 'song-2', text: '', chords: 'C,F/A' }
+      ]);
 
-      const response = await request(app)
-        .get('/api/songs/non-existent')
+      await request(app)
+        .get('/api/songs?has_chord=F')
         .set('Cookie', authCookie());
 
-      expect(response.status).toBe(404);
-      expect(response.body).toMatchObject({
-        id: 'not_found',
-        message: 'Song not found'
-      });
+      expect(sequelize.models.Song.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: ['song-2'] })
+      }));
     });
 
-    it('should return 500 on database error', async () => {
-      sequelize.models.Song.findOne.mockRejectedValue(new Error('Database error'));
+    it('should filter by key under either spelling', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([]);
 
       const response = await request(app)
-        .get('/api/songs/song-123')
+        .get('/api/songs?key=Gbm')
         .set('Cookie', authCookie());
 
-      expect(response.status).toBe(500);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Internal Server Error'
-      });
+      expect(response.status).toBe(200);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ user_id: 'test-user-123', key: ['F#m', 'Gbm'] })
+      }));
     });
-  });
 
-  describe('GET /api/tabs/:songId', () => {
-    it('should return 401 without auth token', async () => {
-      const response = await request(app).get('/api/tabs/song-123');
+    it('should sort by key', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([]);
 
-      expect(response.status).toBe(401);
+      await request(app)
+        .get('/api/songs?sort=key')
+        .set('Cookie', authCookie());
+
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        order: [['key', 'ASC NULLS LAST'], ['artist', 'ASC'], ['title', 'ASC'], ['id', 'ASC']]
+      }));
     });
 
-    it('should return tab for valid song', async () => {
-      const mockSong = {
-        id: 'song-123',
-        title: 'Test Song',
-        artist: 'Test Artist',
-        user_id: 'test-user-123'
-      };
+    it('should return 400 for an invalid key or sort', async () => {
+      const keyResponse = await request(app)
+        .get('/api/songs?key=H')
+        .set('Cookie', authCookie());
+      const sortResponse = await request(app)
+        .get('/api/songs?sort=tempo')
+        .set('Cookie', authCookie());
 
-      const mockTab = {
-        id: 'tab-123',
-        text: 'Am G C F',
-        scroll_speed: null,
-        song_id: 'song-123'
-      };
+      expect(keyResponse.status).toBe(400);
+      expect(keyResponse.body).toMatchObject({ message: 'key must be a key such as E, Bb or F#m' });
+      expect(sortResponse.status).toBe(400);
+      expect(sortResponse.body).toMatchObject({ message: 'sort must be one of artist, title, key, created_at, updated_at, last_practiced_at' });
+      expect(sequelize.models.Song.findAll).not.toHaveBeenCalled();
+    });
 
-      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
-      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+    it('should only return songs with every given tag', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'Gig-ready' }, { id: 'tag-2', name: 'Wedding set' }]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([
+        { song_id: 'song-1', tag_id: 'tag-1' },
+        { song_id: 'song-1', tag_id: 'tag-2' },
+        { song_id: 'song-2', tag_id: 'tag-1' }
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
 
       const response = await request(app)
-        .get('/api/tabs/song-123')
+        .get('/api/songs?tags=gig-ready,Wedding%20set&query=hip')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({
-        id: 'tab-123',
-        text: 'Am G C F',
-        scroll_speed: null
-      });
+      expect(sequelize.models.SongTag.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { tag_id: ['tag-1', 'tag-2'] } }));
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ user_id: 'test-user-123', id: ['song-1'] })
+      }));
+      expect(sequelize.models.Song.findAll.mock.lastCall[0].where[Sequelize.Op.or]).toBeDefined();
     });
 
-    it('should return scroll_speed when set', async () => {
-      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
-      const mockTab = { id: 'tab-123', text: 'Am G C F', scroll_speed: 5, song_id: 'song-123' };
+    it('should return songs with any of the given tags and ignore unknown ones', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'learning' }, { id: 'tag-2', name: 'rock' }]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([
+        { song_id: 'song-1', tag_id: 'tag-1' },
+        { song_id: 'song-2', tag_id: 'tag-2' }
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
 
-      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
-      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      await request(app)
+        .get('/api/songs?tags=learning,rock,jazz&tag_mode=any')
+        .set('Cookie', authCookie());
 
-      const response = await request(app)
-        .get('/api/tabs/song-123')
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: ['song-1', 'song-2'] })
+      }));
+    });
+
+    it('should return no songs when a required tag does not exist', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'learning' }]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/songs?tags=learning,jazz')
         .set('Cookie', authCookie());
 
-      expect(response.status).toBe(200);
-      expect(response.body).toEqual({ id: 'tab-123', text: 'Am G C F', scroll_speed: 5 });
+      expect(sequelize.models.SongTag.findAll).not.toHaveBeenCalled();
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: [] })
+      }));
     });
 
-    it('should return 404 when song not found', async () => {
-      sequelize.models.Song.findOne.mockResolvedValue(null);
+    it('should return 400 for an invalid tag_mode', async () => {
+      const response = await request(app)
+        .get('/api/songs?tags=rock&tag_mode=some')
+        .set('Cookie', authCookie());
 
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'tag_mode must be one of all, any' });
+    });
+
+    it('should return 400 for an invalid chord filter', async () => {
       const response = await request(app)
-        .get('/api/tabs/non-existent')
+        .get('/api/songs?only_chords=G,Hello')
         .set('Cookie', authCookie());
 
-      expect(response.status).toBe(404);
+      expect(response.status).toBe(400);
       expect(response.body).toMatchObject({
         status: 'error',
-        message: 'Song not found'
+        message: 'only_chords must be a comma-separated list of chords'
       });
     });
 
     it('should return 500 on database error', async () => {
-      sequelize.models.Song.findOne.mockRejectedValue(new Error('Database error'));
+      sequelize.models.Song.findAll.mockRejectedValue(new Error('Database error'));
 
       const response = await request(app)
-        .get('/api/tabs/song-123')
+        .get('/api/songs')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(500);
@@ -271,86 +544,205 @@ describe('Express App', () => {
     });
   });
 
-  describe('GET /api/videos/:songId', () => {
+  describe('GET /api/search/lyrics', () => {
     it('should return 401 without auth token', async () => {
-      const response = await request(app).get('/api/videos/song-123');
+      const response = await request(app).get('/api/search/lyrics?q=hello');
 
       expect(response.status).toBe(401);
     });
 
-    it('should return videos for valid song', async () => {
-      const mockSong = {
-        id: 'song-123',
-        title: 'Test Song',
-        artist: 'Test Artist',
-        user_id: 'test-user-123'
-      };
+    it('should return ranked songs with the best matching lyric line', async () => {
+      sequelize.query.mockResolvedValueOnce([
+        { tab_id: 'tab-1', song_id: 'song-1', name: null, is_default: 1, lyrics: 'Hey\nWhat\'s going on?', rank: 4.8 },
+        { tab_id: 'tab-9', song_id: 'song-1', name: 'Live', is_default: 0, lyrics: 'What\'s going on', rank: 2.1 },
+        { tab_id: 'tab-2', song_id: 'song-2', name: 'Acoustic', is_default: 0, lyrics: 'So what\'s it going to be?', rank: '1.5' }
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue([
+        { id: 'song-2', title: 'Good People', artist: 'Jack Johnson', key: 'B' },
+        { id: 'song-1', title: "What's Up", artist: '4 Non Blondes', key: 'A' }
+      ]);
 
-      const mockVideos = [
+      const response = await request(app)
+        .get('/api/search/lyrics?q=going%20on')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
         {
-          id: 'video-1',
-          video_type: 'youtube',
-          url: 'https://youtube.com/watch?v=abc123',
-          song_id: 'song-123',
-          created_at: '2024-01-01T00:00:00.000Z',
-          updated_at: '2024-01-01T00:00:00.000Z'
+          song: { id: 'song-1', title: "What's Up", artist: '4 Non Blondes', key: 'A' },
+          tab: { id: 'tab-1', name: null, is_default: true },
+          rank: 4.8,
+          snippet: { text: "What's going on?", highlights: [{ start: 7, end: 12 }, { start: 13, end: 15 }] }
         },
         {
-          id: 'video-2',
-          video_type: 'youtube',
-          url: 'https://youtube.com/watch?v=xyz789',
-          song_id: 'song-123',
-          created_at: '2024-01-02T00:00:00.000Z',
-          updated_at: '2024-01-02T00:00:00.000Z'
+          song: { id: 'song-2', title: 'Good People', artist: 'Jack Johnson', key: 'B' },
+          tab: { id: 'tab-2', name: 'Acoustic', is_default: false },
+          rank: 1.5,
+          snippet: { text: "So what's it going to be?", highlights: [{ start: 13, end: 18 }] }
         }
-      ];
+      ]);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({ where: { id: ['song-1', 'song-2'], user_id: 'test-user-123' } });
+    });
 
-      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
-      sequelize.models.Video.findAll.mockResolvedValue(mockVideos);
+    it('should return 400 without a search term or with an invalid limit', async () => {
+      const termResponse = await request(app)
+        .get('/api/search/lyrics?q=%20?!')
+        .set('Cookie', authCookie());
+      const limitResponse = await request(app)
+        .get('/api/search/lyrics?q=hello&limit=0')
+        .set('Cookie', authCookie());
+
+      expect(termResponse.status).toBe(400);
+      expect(termResponse.body).toMatchObject({ message: 'q must contain at least one word' });
+      expect(limitResponse.status).toBe(400);
+      expect(limitResponse.body).toMatchObject({ message: 'limit must be an integer between 1 and 50' });
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/search/songs', () => {
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/search/songs?q=petty');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should rank near misses of titles and artists with a score', async () => {
+      sequelize.query.mockResolvedValueOnce([
+        { id: 'song-1', title: 'Have You Ever Seen the Rain', artist: 'Creedence Clearwater Revival', key: 'C' },
+        { id: 'song-2', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' },
+        { id: 'song-3', title: 'Proud Mary', artist: 'Creedence Clearwater Revival', key: 'D' }
+      ]);
 
       const response = await request(app)
-        .get('/api/videos/song-123')
+        .get('/api/search/songs?q=Creedance')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual([
-        { id: 'video-1', video_type: 'youtube', url: 'https://www.youtube.com/embed/abc123' },
-        { id: 'video-2', video_type: 'youtube', url: 'https://www.youtube.com/embed/xyz789' }
-      ]);
-      expect(sequelize.models.Video.findAll).toHaveBeenCalledWith({
-        where: { song_id: 'song-123' }
+      expect(response.body.map(result => result.song.id)).toEqual(['song-1', 'song-3']);
+      expect(response.body[0]).toEqual({
+        song: { id: 'song-1', title: 'Have You Ever Seen the Rain', artist: 'Creedence Clearwater Revival', key: 'C' },
+        score: expect.any(Number),
+        matched: 'artist'
       });
+      expect(response.body[0].score).toBeGreaterThan(0.5);
+      expect(response.body[0].score).toBeLessThan(1);
     });
 
-    it('should return empty array when song has no videos', async () => {
+    it('should pick the songs to score by their words when the query has no trigrams', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1', title: 'One', artist: 'U2', key: 'C' }]);
+
+      const response = await request(app)
+        .get('/api/search/songs?q=U2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(result => result.song.id)).toEqual(['song-1']);
+      expect(sequelize.query).not.toHaveBeenCalled();
+      const options = sequelize.models.Song.findAll.mock.lastCall[0];
+      expect(options).toMatchObject({ where: { user_id: 'test-user-123' }, attributes: ['id', 'title', 'artist', 'key'], limit: 200 });
+      expect(options.where[Sequelize.Op.or].map(condition => Object.keys(condition))).toEqual([['title'], ['artist']]);
+    });
+
+    it('should score every song when the song name index is missing', async () => {
+      sequelize.query.mockRejectedValueOnce(new Error('SQLITE_ERROR: no such table: song_names'));
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' }]);
+
+      const response = await request(app)
+        .get('/api/search/songs?q=wonderwal')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(result => result.song.id)).toEqual(['song-1']);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({ where: { user_id: 'test-user-123' }, attributes: ['id', 'title', 'artist', 'key'] });
+    });
+
+    it('should return 400 without a search term', async () => {
+      const response = await request(app)
+        .get('/api/search/songs?q=%20-!')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'q must contain at least one word' });
+    });
+  });
+
+  describe('GET /api/songs/:id', () => {
+    beforeEach(() => {
+      sequelize.models.SongTag.findAll.mockResolvedValue([]);
+    });
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/songs/song-123');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return song for valid id', async () => {
       const mockSong = {
         id: 'song-123',
         title: 'Test Song',
         artist: 'Test Artist',
+        key: 'G',
+        key_source: 'detected',
         user_id: 'test-user-123'
       };
 
       sequelize.models.Song.findOne.mockResolvedValue(mockSong);
-      sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'G  C\nla', chords: 'G,C', song_id: 'song-123' });
 
       const response = await request(app)
-        .get('/api/videos/song-123')
+        .get('/api/songs/song-123')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual([]);
+      expect(response.body).toEqual({
+        id: 'song-123',
+        title: 'Test Song',
+        artist: 'Test Artist',
+        key: 'G',
+        key_source: 'detected',
+        chords: ['G', 'C'],
+        tags: []
+      });
     });
 
-    it('should return 404 when song not found', async () => {
+    it('should include the tags of the song', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue({ id: 'song-123', title: 'Test Song', artist: 'Test Artist' });
+      sequelize.models.Tab.findOne.mockResolvedValue(null);
+      sequelize.models.SongTag.findAll.mockResolvedValue([{ tag_id: 'tag-1' }]);
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'learning', user_id: 'test-user-123' }]);
+
+      const response = await request(app)
+        .get('/api/songs/song-123')
+        .set('Cookie', authCookie());
+
+      expect(response.body.tags).toEqual([{ id: 'tag-1', name: 'learning' }]);
+      expect(sequelize.models.Tag.findAll).toHaveBeenCalledWith({ where: { id: ['tag-1'] }, order: [['name', 'ASC']] });
+    });
+
+    it('should extract chords from the text when they have not been stored yet', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue({ id: 'song-123', title: 'Test Song', artist: 'Test Artist' });
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'Am  D/F#\nla\nAm', chords: null, song_id: 'song-123' });
+
+      const response = await request(app)
+        .get('/api/songs/song-123')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.chords).toEqual(['Am', 'D/F#']);
+    });
+
+    it('should return 404 for non-existent song', async () => {
       sequelize.models.Song.findOne.mockResolvedValue(null);
 
       const response = await request(app)
-        .get('/api/videos/non-existent')
+        .get('/api/songs/non-existent')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(404);
       expect(response.body).toMatchObject({
-        status: 'error',
+        id: 'not_found',
         message: 'Song not found'
       });
     });
@@ -359,7 +751,7 @@ describe('Express App', () => {
       sequelize.models.Song.findOne.mockRejectedValue(new Error('Database error'));
 
       const response = await request(app)
-        .get('/api/videos/song-123')
+        .get('/api/songs/song-123')
         .set('Cookie', authCookie());
 
       expect(response.status).toBe(500);
@@ -370,447 +762,4156 @@ describe('Express App', () => {
     });
   });
 
-  describe('POST /api/songs', () => {
-    const validPayload = {
-      title: 'Wonderwall',
-      artist: 'Oasis',
-      tab_text: 'Em7 G Dsus4 A7sus4',
-      videos: [
-        { url: 'https://youtube.com/watch?v=abc', video_type: 'youtube' },
-        { url: 'https://youtube.com/watch?v=xyz', video_type: 'youtube' }
-      ]
-    };
-
+  describe('GET /api/tabs/:songId', () => {
     it('should return 401 without auth token', async () => {
-      const response = await request(app)
-        .post('/api/songs')
-        .send(validPayload);
+      const response = await request(app).get('/api/tabs/song-123');
 
       expect(response.status).toBe(401);
     });
 
-    it('should return 400 when title is missing', async () => {
-      const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({ artist: 'Oasis', tab_text: 'Am G' });
+    it('should return tab for valid song', async () => {
+      const mockSong = {
+        id: 'song-123',
+        title: 'Test Song',
+        artist: 'Test Artist',
+        user_id: 'test-user-123'
+      };
 
-      expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'title, artist, and tab_text are required'
-      });
-    });
+      const mockTab = {
+        id: 'tab-123',
+        text: 'Am G C F',
+        scroll_speed: null,
+        song_id: 'song-123'
+      };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
 
-    it('should return 400 when artist is missing', async () => {
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', tab_text: 'Am G' });
+        .get('/api/tabs/song-123')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'title, artist, and tab_text are required'
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        id: 'tab-123',
+        text: 'Am G C F',
+        scroll_speed: null,
+        capo: null,
+        chords: ['Am', 'G', 'C', 'F'],
+        annotations: []
+      });
+      expect(sequelize.models.Tab.findOne).toHaveBeenCalledWith({
+        where: { song_id: 'song-123', is_default: true }
       });
     });
 
-    it('should return 400 when tab_text is missing', async () => {
+    it('should return scroll_speed when set', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'Am G C F', scroll_speed: 5, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis' });
+        .get('/api/tabs/song-123')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'title, artist, and tab_text are required'
-      });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'tab-123', text: 'Am G C F', scroll_speed: 5, capo: null, chords: ['Am', 'G', 'C', 'F'], annotations: [] });
     });
 
-    it('should return 400 when videos is not an array', async () => {
+    it('should transpose chords by a number of semitones', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'D       D/C# Bm\nI saw a friend today', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos: 'not-array' });
+        .get('/api/tabs/song-123?transpose=%2B2')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'videos must be an array'
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        id: 'tab-123',
+        text: 'E       E/D# C#m\nI saw a friend today',
+        scroll_speed: null,
+        capo: null,
+        chords: ['E', 'E/D#', 'C#m'],
+        transpose: 2,
+        annotations: []
       });
     });
 
-    it('should return 400 when more than 5 videos are provided', async () => {
-      const videos = Array.from({ length: 6 }, (_, i) => ({
-        url: `https://youtube.com/watch?v=${i}`,
-        video_type: 'youtube'
-      }));
+    it('should accept an unencoded plus sign in transpose', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'C G', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
 
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos });
+        .get('/api/tabs/song-123?transpose=+2')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Maximum of 5 videos allowed'
-      });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ text: 'D A', transpose: 2 });
     });
 
-    it('should return 400 when a video is missing url', async () => {
+    it('should transpose to a target key using the first chord as the current key', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'G    C    D\nlyrics here', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({
-          title: 'Wonderwall',
-          artist: 'Oasis',
-          tab_text: 'Am G',
-          videos: [{ video_type: 'youtube' }]
-        });
+        .get('/api/tabs/song-123?to_key=F')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Each video must have a url and video_type'
-      });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ text: 'F    Bb   C\nlyrics here', transpose: -2 });
     });
 
-    it('should return 400 when a video is missing video_type', async () => {
+    it('should parse the capo instruction into a capo field', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'Capo on 2nd fret\nG    C\nlyrics', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({
-          title: 'Wonderwall',
-          artist: 'Oasis',
-          tab_text: 'Am G',
-          videos: [{ url: 'https://youtube.com/watch?v=abc' }]
-        });
+        .get('/api/tabs/song-123')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Each video must have a url and video_type'
-      });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ text: 'Capo on 2nd fret\nG    C\nlyrics', capo: 2 });
     });
 
-    it('should create song, tab, and videos successfully', async () => {
-      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
+    it('should rewrite capo shapes as concert pitch chords when capo=0', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'Capo on 2nd fret\nG    C\nlyrics', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123?capo=0')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ text: 'No capo\nA    D\nlyrics', capo: null });
+    });
+
+    it('should rewrite chord shapes for a different capo fret', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'Capo 2\nA    D\nlyrics', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123?capo=4')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ text: 'Capo 4\nG    C\nlyrics', capo: 4 });
+    });
+
+    it('should treat to_key as the sounding key when the tab uses a capo', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'Capo 2\nG    C\nlyrics', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123?to_key=B')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ text: 'Capo 2\nA    D\nlyrics', capo: 2, transpose: 2 });
+    });
+
+    it('should write chords as Nashville numbers relative to the song key', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', key: 'A', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'Capo 2\nG    D/F#  Em   C\nlyrics here', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123?notation=nashville')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        id: 'tab-123',
+        text: 'Capo 2\n1    5/7   6m   4\nlyrics here',
+        scroll_speed: null,
+        capo: 2,
+        chords: ['G', 'D/F#', 'Em', 'C'],
+        notation: 'nashville',
+        key: 'A',
+        annotations: []
+      });
+    });
+
+    it('should number chords against a key given in the query', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', key: 'C', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: 'Am   F    C    G', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123?notation=roman&key=Am')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ text: 'i    bVI  bIII bVII', notation: 'roman', key: 'Am' });
+    });
+
+    it('should return 400 for an unknown notation', async () => {
+      const response = await request(app)
+        .get('/api/tabs/song-123?notation=solfege')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'notation must be one of chords, nashville, roman' });
+    });
+
+    it('should return 400 for an invalid capo', async () => {
+      const response = await request(app)
+        .get('/api/tabs/song-123?capo=13')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'capo must be a fret between 0 and 12' });
+    });
+
+    it('should return 400 for an invalid transpose value', async () => {
+      const response = await request(app)
+        .get('/api/tabs/song-123?transpose=up')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'transpose must be an integer between -11 and 11'
+      });
+      expect(sequelize.models.Song.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid to_key', async () => {
+      const response = await request(app)
+        .get('/api/tabs/song-123?to_key=H')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'to_key must be a key such as E, Bb or F#m' });
+    });
+
+    it('should return 400 for a to_key of the other mode than the song', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', key: 'C', user_id: 'test-user-123' };
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'C    F    G\nlyrics here', scroll_speed: null, song_id: 'song-123' });
+
+      const response = await request(app)
+        .get('/api/tabs/song-123?to_key=Am')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: "to_key must be a major key, like the song's key C" });
+    });
+
+    it('should return 404 when song not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/tabs/non-existent')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Song not found'
+      });
+    });
+
+    it('should return 500 on database error', async () => {
+      sequelize.models.Song.findOne.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/tabs/song-123')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Internal Server Error'
+      });
+    });
+  });
+
+  describe('GET /api/tabs/:songId/sections', () => {
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/tabs/song-123/sections');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return the tab split into classified sections', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: '[Verse]\nG    D\nHello there\n\n[Chorus]\nC', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/sections')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        id: 'tab-123',
+        capo: null,
+        sections: [
+          {
+            name: 'Verse',
+            line: 0,
+            lines: [
+              { line: 1, type: 'chord', text: 'G    D' },
+              { line: 2, type: 'lyric', text: 'Hello there' }
+            ]
+          },
+          { name: 'Chorus', line: 4, lines: [{ line: 5, type: 'chord', text: 'C' }] }
+        ]
+      });
+    });
+
+    it('should apply transposition before splitting into sections', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: '[Verse]\nG    D', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/sections?transpose=2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.sections[0].lines[0]).toEqual({ line: 1, type: 'chord', text: 'A    E' });
+    });
+
+    it('should keep chord lines classified when writing them as numbers', async () => {
+      const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', key: 'G', user_id: 'test-user-123' };
+      const mockTab = { id: 'tab-123', text: '[Verse]\nG    D\nHello there', scroll_speed: null, song_id: 'song-123' };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/sections?notation=nashville')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ notation: 'nashville', key: 'G' });
+      expect(response.body.sections[0].lines).toEqual([
+        { line: 1, type: 'chord', text: '1    5' },
+        { line: 2, type: 'lyric', text: 'Hello there' }
+      ]);
+    });
+
+    it('should return 404 when song not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/tabs/non-existent/sections')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ status: 'error', message: 'Song not found' });
+    });
+  });
+
+  describe('tab revisions', () => {
+    const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+    mockSong.save = jest.fn().mockImplementation(() => Promise.resolve(mockSong));
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/tabs/song-123/revisions');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list revisions newest first', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'G\nla' });
+      sequelize.models.TabRevision.findAll.mockResolvedValue([
+        { id: 'rev-2', created_at: '2026-02-01T00:00:00.000Z', text: 'G\nla' },
+        { id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z', text: 'G' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/revisions')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { id: 'rev-2', created_at: '2026-02-01T00:00:00.000Z', line_count: 2, current: true },
+        { id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z', line_count: 1, current: false }
+      ]);
+      expect(sequelize.models.TabRevision.findAll).toHaveBeenCalledWith({
+        where: { tab_id: 'tab-123' },
+        order: [['created_at', 'DESC']]
+      });
+    });
+
+    it('should return 404 for revisions of a missing song', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/tabs/non-existent/revisions')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return a single revision with its text', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'G\nla' });
+      sequelize.models.TabRevision.findOne.mockResolvedValue({ id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z', text: 'G' });
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/revisions/rev-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z', text: 'G' });
+      expect(sequelize.models.TabRevision.findOne).toHaveBeenCalledWith({ where: { id: 'rev-1', tab_id: 'tab-123' } });
+    });
+
+    it('should return 404 for a revision of another tab', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'G' });
+      sequelize.models.TabRevision.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/revisions/rev-other')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ status: 'error', message: 'Revision not found' });
+    });
+
+    it('should diff two revisions line by line', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'G\nla' });
+      sequelize.models.TabRevision.findAll.mockResolvedValue([
+        { id: 'rev-2', created_at: '2026-02-01T00:00:00.000Z', text: 'G\nla' },
+        { id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z', text: 'G' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/revisions/diff?from=rev-1&to=rev-2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        from: { id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z' },
+        to: { id: 'rev-2', created_at: '2026-02-01T00:00:00.000Z' },
+        changes: [
+          { type: 'equal', old_line: 0, new_line: 0, text: 'G' },
+          { type: 'added', old_line: null, new_line: 1, text: 'la' }
+        ]
+      });
+    });
+
+    it('should return 422 when revisions differ in too many lines to diff', async () => {
+      const lines = (prefix) => Array.from({ length: 1001 }, (_, index) => `${prefix} ${index}`).join('\n');
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: 'G' });
+      sequelize.models.TabRevision.findAll.mockResolvedValue([
+        { id: 'rev-2', created_at: '2026-02-01T00:00:00.000Z', text: lines('new') },
+        { id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z', text: lines('old') }
+      ]);
+
+      const response = await request(app)
+        .get('/api/tabs/song-123/revisions/diff?from=rev-1&to=rev-2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(422);
+      expect(response.body).toMatchObject({ status: 'error', message: 'The texts differ in too many lines to compare' });
+    });
+
+    it('should return 400 when diff is missing a revision id', async () => {
+      const response = await request(app)
+        .get('/api/tabs/song-123/revisions/diff?from=rev-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'from and to revision ids are required' });
+    });
+
+    it('should restore an old revision as the current text', async () => {
+      const mockTab = { id: 'tab-123', text: 'broken', scroll_speed: 4 };
+      mockTab.save = jest.fn().mockImplementation(() => Promise.resolve(mockTab));
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      sequelize.models.TabRevision.findOne.mockResolvedValue({ id: 'rev-1', created_at: '2026-01-01T00:00:00.000Z', text: 'G  C\nla' });
+      sequelize.models.TabRevision.count.mockResolvedValue(2);
+
+      const response = await request(app)
+        .post('/api/tabs/song-123/revisions/rev-1/restore')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'tab-123', text: 'G  C\nla', scroll_speed: 4 });
+      expect(mockTab.chords).toBe('G,C');
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledWith({ tab_id: 'tab-123', text: 'G  C\nla' });
+      expect(mockSong).toMatchObject({ key: 'G', key_source: 'detected' });
+    });
+  });
+
+  describe('GET /api/videos/:songId', () => {
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/videos/song-123');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return videos for valid song', async () => {
+      const mockSong = {
+        id: 'song-123',
+        title: 'Test Song',
+        artist: 'Test Artist',
+        user_id: 'test-user-123'
+      };
+
+      const mockVideos = [
+        {
+          id: 'video-1',
+          video_type: 'youtube',
+          url: 'https://youtube.com/watch?v=abc123',
+          song_id: 'song-123',
+          created_at: '2024-01-01T00:00:00.000Z',
+          updated_at: '2024-01-01T00:00:00.000Z'
+        },
+        {
+          id: 'video-2',
+          video_type: 'youtube',
+          url: 'https://youtube.com/watch?v=xyz789',
+          song_id: 'song-123',
+          created_at: '2024-01-02T00:00:00.000Z',
+          updated_at: '2024-01-02T00:00:00.000Z'
+        }
+      ];
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Video.findAll.mockResolvedValue(mockVideos);
+
+      const response = await request(app)
+        .get('/api/videos/song-123')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { id: 'video-1', video_type: 'youtube', url: 'https://www.youtube.com/embed/abc123' },
+        { id: 'video-2', video_type: 'youtube', url: 'https://www.youtube.com/embed/xyz789' }
+      ]);
+      expect(sequelize.models.Video.findAll).toHaveBeenCalledWith({
+        where: { song_id: 'song-123' }
+      });
+    });
+
+    it('should return empty array when song has no videos', async () => {
+      const mockSong = {
+        id: 'song-123',
+        title: 'Test Song',
+        artist: 'Test Artist',
+        user_id: 'test-user-123'
+      };
+
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/videos/song-123')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([]);
+    });
+
+    it('should return 404 when song not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/videos/non-existent')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Song not found'
+      });
+    });
+
+    it('should return 500 on database error', async () => {
+      sequelize.models.Song.findOne.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/videos/song-123')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Internal Server Error'
+      });
+    });
+  });
+
+  describe('POST /api/songs', () => {
+    const validPayload = {
+      title: 'Wonderwall',
+      artist: 'Oasis',
+      tab_text: 'Em7 G Dsus4 A7sus4',
+      videos: [
+        { url: 'https://youtube.com/watch?v=abc', video_type: 'youtube' },
+        { url: 'https://youtube.com/watch?v=xyz', video_type: 'youtube' }
+      ]
+    };
+
+    beforeEach(() => {
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+    });
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .send(validPayload);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 when title is missing', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ artist: 'Oasis', tab_text: 'Am G' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'title, artist, and tab_text are required'
+      });
+    });
+
+    it('should return 400 when artist is missing', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', tab_text: 'Am G' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'title, artist, and tab_text are required'
+      });
+    });
+
+    it('should return 400 when tab_text is missing', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'title, artist, and tab_text are required'
+      });
+    });
+
+    it('should return 400 when videos is not an array', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos: 'not-array' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'videos must be an array'
+      });
+    });
+
+    it('should return 400 when more than 5 videos are provided', async () => {
+      const videos = Array.from({ length: 6 }, (_, i) => ({
+        url: `https://youtube.com/watch?v=${i}`,
+        video_type: 'youtube'
+      }));
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Maximum of 5 videos allowed'
+      });
+    });
+
+    it('should return 400 when a video is missing url', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({
+          title: 'Wonderwall',
+          artist: 'Oasis',
+          tab_text: 'Am G',
+          videos: [{ video_type: 'youtube' }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Each video must have a url and video_type'
+      });
+    });
+
+    it('should return 400 when a video is missing video_type', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({
+          title: 'Wonderwall',
+          artist: 'Oasis',
+          tab_text: 'Am G',
+          videos: [{ url: 'https://youtube.com/watch?v=abc' }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Each video must have a url and video_type'
+      });
+    });
+
+    it('should create song, tab, and videos successfully', async () => {
+      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
       const mockTab = { id: 'tab-new-123', text: 'Em7 G Dsus4 A7sus4', scroll_speed: null };
       const mockVideos = [
         { id: 'video-new-1', video_type: 'youtube', url: 'https://youtube.com/watch?v=abc' },
         { id: 'video-new-2', video_type: 'youtube', url: 'https://youtube.com/watch?v=xyz' }
       ];
 
-      sequelize.models.Song.create.mockResolvedValue(mockSong);
-      sequelize.models.Tab.create.mockResolvedValue(mockTab);
-      sequelize.models.Video.create
-        .mockResolvedValueOnce(mockVideos[0])
-        .mockResolvedValueOnce(mockVideos[1]);
+      sequelize.models.Song.create.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+      sequelize.models.Video.create
+        .mockResolvedValueOnce(mockVideos[0])
+        .mockResolvedValueOnce(mockVideos[1]);
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({
+        song: { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' },
+        tab: { id: 'tab-new-123', text: 'Em7 G Dsus4 A7sus4', scroll_speed: null },
+        videos: [
+          { id: 'video-new-1', video_type: 'youtube', url: 'https://youtube.com/watch?v=abc' },
+          { id: 'video-new-2', video_type: 'youtube', url: 'https://youtube.com/watch?v=xyz' }
+        ],
+        duplicates: []
+      });
+
+      expect(sequelize.models.Song.create).toHaveBeenCalledWith({
+        title: 'Wonderwall',
+        artist: 'Oasis',
+        user_id: 'test-user-123',
+        key: 'D',
+        key_source: 'detected'
+      });
+      expect(sequelize.models.Tab.create).toHaveBeenCalledWith({
+        text: 'Em7 G Dsus4 A7sus4',
+        scroll_speed: null,
+        chords: 'Em7,G,Dsus4,A7sus4',
+        lyrics: '',
+        is_default: true,
+        song_id: 'song-new-123'
+      });
+      expect(sequelize.models.Video.create).toHaveBeenCalledTimes(2);
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledWith({ tab_id: 'tab-new-123', text: 'Em7 G Dsus4 A7sus4' });
+    });
+
+    it('should create tab with provided scroll_speed', async () => {
+      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
+      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: 3 };
+
+      sequelize.models.Song.create.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', scroll_speed: 3 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.tab).toEqual({ id: 'tab-new-123', text: 'Am G', scroll_speed: 3 });
+      expect(sequelize.models.Tab.create).toHaveBeenCalledWith({
+        text: 'Am G',
+        scroll_speed: 3,
+        chords: 'Am,G',
+        lyrics: '',
+        is_default: true,
+        song_id: 'song-new-123'
+      });
+    });
+
+    it('should create tab with null scroll_speed when not provided', async () => {
+      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
+      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+
+      sequelize.models.Song.create.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.tab).toMatchObject({ scroll_speed: null });
+      expect(sequelize.models.Tab.create).toHaveBeenCalledWith({
+        text: 'Am G',
+        scroll_speed: null,
+        chords: 'Am,G',
+        lyrics: '',
+        is_default: true,
+        song_id: 'song-new-123'
+      });
+    });
+
+    it('should create song with no videos when videos array is empty', async () => {
+      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
+      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+
+      sequelize.models.Song.create.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos: [] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.videos).toEqual([]);
+      expect(sequelize.models.Video.create).not.toHaveBeenCalled();
+    });
+
+    it('should create song with no videos when videos is omitted', async () => {
+      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
+      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+
+      sequelize.models.Song.create.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.videos).toEqual([]);
+      expect(sequelize.models.Video.create).not.toHaveBeenCalled();
+    });
+
+    it('should allow exactly 5 videos', async () => {
+      const videos = Array.from({ length: 5 }, (_, i) => ({
+        url: `https://youtube.com/watch?v=${i}`,
+        video_type: 'youtube'
+      }));
+
+      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
+      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+
+      sequelize.models.Song.create.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+      videos.forEach((_, i) => {
+        sequelize.models.Video.create.mockResolvedValueOnce({
+          id: `video-${i}`,
+          video_type: 'youtube',
+          url: `https://youtube.com/watch?v=${i}`
+        });
+      });
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos });
+
+      expect(response.status).toBe(201);
+      expect(response.body.videos).toHaveLength(5);
+      expect(sequelize.models.Video.create).toHaveBeenCalledTimes(5);
+    });
+
+    it('should return 500 on database error', async () => {
+      sequelize.models.Song.create.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Internal Server Error'
+      });
+    });
+    it('should store a key given by the user as a manual key', async () => {
+      sequelize.models.Song.create.mockResolvedValue({ id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', key_source: 'manual' });
+      sequelize.models.Tab.create.mockResolvedValue({ id: 'tab-new-123', text: 'Em7 G', scroll_speed: null });
+
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Em7 G', key: 'F#m' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.song).toMatchObject({ key: 'F#m', key_source: 'manual' });
+      expect(sequelize.models.Song.create).toHaveBeenCalledWith(expect.objectContaining({ key: 'F#m', key_source: 'manual' }));
+    });
+
+    it('should return 400 for an invalid key', async () => {
+      const response = await request(app)
+        .post('/api/songs')
+        .set('Cookie', authCookie())
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Em7 G', key: 'E major' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'key must be a key such as E, Bb or F#m' });
+    });
+
+    describe('duplicate detection', () => {
+      const existing = [
+        { id: 'song-1', title: 'Wonderwall (Remastered)', artist: 'oasis', key: 'F#m' },
+        { id: 'song-2', title: 'Champagne Supernova', artist: 'Oasis', key: 'A' }
+      ];
+
+      beforeEach(() => {
+        sequelize.models.Song.findAll.mockResolvedValue(existing);
+        sequelize.models.Song.create.mockResolvedValue({ id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' });
+        sequelize.models.Tab.create.mockResolvedValue({ id: 'tab-new-123', text: 'Am G', scroll_speed: null });
+      });
+
+      it('should create the song and warn about likely duplicates by default', async () => {
+        const response = await request(app)
+          .post('/api/songs')
+          .set('Cookie', authCookie())
+          .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.duplicates).toEqual([
+          { id: 'song-1', title: 'Wonderwall (Remastered)', artist: 'oasis', key: 'F#m', score: 1 }
+        ]);
+        expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({
+          where: { user_id: 'test-user-123' },
+          attributes: ['id', 'title', 'artist', 'key']
+        });
+      });
+
+      it('should return 409 and not create the song when duplicates are rejected', async () => {
+        const response = await request(app)
+          .post('/api/songs?duplicates=reject')
+          .set('Cookie', authCookie())
+          .send({ title: 'Wonderwal', artist: 'Oasis', tab_text: 'Am G' });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toMatchObject({
+          status: 'error',
+          message: 'This song looks like a duplicate of one you already have',
+          duplicates: [{ id: 'song-1' }]
+        });
+        expect(sequelize.models.Song.create).not.toHaveBeenCalled();
+      });
+
+      it('should create a song without duplicates when they are rejected', async () => {
+        const response = await request(app)
+          .post('/api/songs?duplicates=reject')
+          .set('Cookie', authCookie())
+          .send({ title: "Don't Look Back in Anger", artist: 'Oasis', tab_text: 'Am G' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.duplicates).toEqual([]);
+      });
+
+      it('should not look for duplicates when they are allowed', async () => {
+        const response = await request(app)
+          .post('/api/songs?duplicates=allow')
+          .set('Cookie', authCookie())
+          .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.duplicates).toEqual([]);
+        expect(sequelize.models.Song.findAll).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for an unknown duplicates option', async () => {
+        const response = await request(app)
+          .post('/api/songs?duplicates=ignore')
+          .set('Cookie', authCookie())
+          .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G' });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ message: 'duplicates must be one of warn, reject, allow' });
+      });
+
+      it('should check ChordPro imports for duplicates too', async () => {
+        const response = await request(app)
+          .post('/api/songs/import/chordpro?duplicates=reject')
+          .set('Cookie', authCookie())
+          .send({ chordpro: '{title: Wonderwall}\n{artist: Oasis}\n[Am]Today is gonna be' });
+
+        expect(response.status).toBe(409);
+        expect(sequelize.models.Song.create).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('POST /api/songs/import/chordpro', () => {
+    const chordpro = '{title: Blackbird}\n{artist: Beatles}\n{soc}\n[G]Blackbird [C]fly\n{eoc}';
+
+    beforeEach(() => {
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+    });
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app)
+        .post('/api/songs/import/chordpro')
+        .send({ chordpro });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 when chordpro is missing', async () => {
+      const response = await request(app)
+        .post('/api/songs/import/chordpro')
+        .set('Cookie', authCookie())
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'chordpro is required' });
+    });
+
+    it('should return 400 when the import has no body', async () => {
+      const response = await request(app)
+        .post('/api/songs/import/chordpro')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'chordpro is required' });
+    });
+
+    it('should return 400 when the document has no title or artist', async () => {
+      const response = await request(app)
+        .post('/api/songs/import/chordpro')
+        .set('Cookie', authCookie())
+        .send({ chordpro: '[G]la la' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'ChordPro document must have a {title}, an {artist} and a body'
+      });
+    });
+
+    it('should return 400 for invalid videos', async () => {
+      const response = await request(app)
+        .post('/api/songs/import/chordpro')
+        .set('Cookie', authCookie())
+        .send({ chordpro, videos: [{ url: 'https://youtu.be/abc' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'Each video must have a url and video_type' });
+    });
+
+    it('should create the song, tab and videos from the document', async () => {
+      sequelize.models.Song.create.mockResolvedValue({ id: 'song-new-123', title: 'Blackbird', artist: 'Beatles' });
+      sequelize.models.Tab.create.mockImplementation(data => Promise.resolve({ id: 'tab-new-123', ...data }));
+      sequelize.models.Video.create.mockResolvedValueOnce({ id: 'video-1', video_type: 'youtube', url: 'https://youtu.be/abc' });
+
+      const response = await request(app)
+        .post('/api/songs/import/chordpro')
+        .set('Cookie', authCookie())
+        .send({ chordpro, videos: [{ url: 'https://youtu.be/abc', video_type: 'youtube' }] });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({
+        song: { id: 'song-new-123', title: 'Blackbird', artist: 'Beatles' },
+        tab: { id: 'tab-new-123', text: '[Chorus]\nG         C\nBlackbird fly', scroll_speed: null },
+        videos: [{ id: 'video-1', video_type: 'youtube', url: 'https://youtu.be/abc' }],
+        duplicates: []
+      });
+      expect(sequelize.models.Song.create).toHaveBeenCalledWith({
+        title: 'Blackbird',
+        artist: 'Beatles',
+        user_id: 'test-user-123',
+        key: 'G',
+        key_source: 'detected'
+      });
+
+      sequelize.models.Tab.create.mockReset();
+    });
+  });
+
+  describe('GET /api/songs/:songId/chordpro', () => {
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/songs/song-123/chordpro');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should export the song as a ChordPro attachment', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue({ id: 'song-123', title: 'Let It Be', artist: 'Beatles' });
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-123', text: '[Verse]\nC     G\nWhen I find', scroll_speed: null });
+
+      const response = await request(app)
+        .get('/api/songs/song-123/chordpro')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/plain');
+      expect(response.headers['content-disposition']).toContain('Beatles - Let It Be.cho');
+      expect(response.text).toBe(
+        '{title: Let It Be}\n{artist: Beatles}\n\n{start_of_verse: Verse}\n[C]When I[G] find\n{end_of_verse}\n'
+      );
+    });
+
+    it('should return 404 when song not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/songs/non-existent/chordpro')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ status: 'error', message: 'Song not found' });
+    });
+  });
+
+  describe('song arrangements', () => {
+    const mockSong = { id: 'song-123', title: 'Test Song', artist: 'Test Artist', user_id: 'test-user-123' };
+    mockSong.save = jest.fn().mockImplementation(() => Promise.resolve(mockSong));
+
+    const makeMockTab = (overrides = {}) => {
+      const tab = { id: 'tab-2', name: 'Lead', is_default: false, text: 'e|---3---|', scroll_speed: null, ...overrides };
+      tab.save = jest.fn().mockImplementation(() => Promise.resolve(tab));
+      return tab;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/songs/song-123/tabs');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the arrangements of a song with the default first', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findAll.mockResolvedValue([
+        { id: 'tab-1', name: null, is_default: true, scroll_speed: 3, text: 'G C', chords: 'G,C' },
+        { id: 'tab-2', name: 'Ukulele', is_default: false, scroll_speed: null, text: 'C F', chords: 'C,F' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/songs/song-123/tabs')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { id: 'tab-1', name: null, is_default: true, scroll_speed: 3, chords: ['G', 'C'] },
+        { id: 'tab-2', name: 'Ukulele', is_default: false, scroll_speed: null, chords: ['C', 'F'] }
+      ]);
+      expect(sequelize.models.Tab.findAll).toHaveBeenCalledWith({
+        where: { song_id: 'song-123' },
+        order: [['is_default', 'DESC'], ['created_at', 'ASC']]
+      });
+    });
+
+    it('should return 400 when creating an arrangement without name or text', async () => {
+      const response = await request(app)
+        .post('/api/songs/song-123/tabs')
+        .set('Cookie', authCookie())
+        .send({ name: 'Lead' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'name and text are required' });
+    });
+
+    it('should return 400 when creating an arrangement without a body', async () => {
+      const response = await request(app)
+        .post('/api/songs/song-123/tabs')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'name and text are required' });
+    });
+
+    it('should create a non-default arrangement', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockImplementation(data => Promise.resolve({ id: 'tab-2', ...data }));
+
+      const response = await request(app)
+        .post('/api/songs/song-123/tabs')
+        .set('Cookie', authCookie())
+        .send({ name: 'Fingerstyle', text: 'G  D\nla', scroll_speed: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ id: 'tab-2', name: 'Fingerstyle', is_default: false, text: 'G  D\nla', scroll_speed: 2 });
+      expect(sequelize.models.Tab.update).not.toHaveBeenCalled();
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledWith({ tab_id: 'tab-2', text: 'G  D\nla' });
+
+      sequelize.models.Tab.create.mockReset();
+    });
+
+    it('should move the default flag when creating a default arrangement', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.create.mockImplementation(data => Promise.resolve({ id: 'tab-2', ...data }));
+      sequelize.models.Tab.update.mockResolvedValue([1]);
+
+      const response = await request(app)
+        .post('/api/songs/song-123/tabs')
+        .set('Cookie', authCookie())
+        .send({ name: 'Rhythm', text: 'G', is_default: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.is_default).toBe(true);
+      expect(sequelize.models.Tab.update).toHaveBeenCalledWith({ is_default: false }, { where: { song_id: 'song-123' } });
+
+      sequelize.models.Tab.create.mockReset();
+    });
+
+    it('should return one arrangement with rendering options applied', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab({ text: 'G  C' }));
+
+      const response = await request(app)
+        .get('/api/songs/song-123/tabs/tab-2?transpose=2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        id: 'tab-2',
+        name: 'Lead',
+        is_default: false,
+        text: 'A  D',
+        scroll_speed: null,
+        capo: null,
+        chords: ['A', 'D'],
+        transpose: 2
+      });
+      expect(sequelize.models.Tab.findOne).toHaveBeenCalledWith({ where: { id: 'tab-2', song_id: 'song-123' } });
+    });
+
+    it('should return 404 for an arrangement of another song', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/songs/song-123/tabs/tab-other')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ status: 'error', message: 'Tab not found' });
+    });
+
+    it('should update an arrangement and make it the default', async () => {
+      const mockTab = makeMockTab();
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      sequelize.models.TabRevision.count.mockResolvedValue(1);
+      sequelize.models.Tab.update.mockResolvedValue([1]);
+
+      const response = await request(app)
+        .put('/api/songs/song-123/tabs/tab-2')
+        .set('Cookie', authCookie())
+        .send({ name: 'Lead solo', text: 'e|---5---|', scroll_speed: 7, is_default: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'tab-2', name: 'Lead solo', is_default: true, text: 'e|---5---|', scroll_speed: 7 });
+      expect(sequelize.models.Tab.update).toHaveBeenCalledWith({ is_default: false }, { where: { song_id: 'song-123' } });
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledWith({ tab_id: 'tab-2', text: 'e|---5---|' });
+    });
+
+    it('should leave an arrangement as it is when updated without a body', async () => {
+      const mockTab = makeMockTab();
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+
+      const response = await request(app)
+        .put('/api/songs/song-123/tabs/tab-2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'tab-2', name: 'Lead', is_default: false });
+      expect(sequelize.models.TabRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should not allow unsetting the default flag directly', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab({ is_default: true }));
+
+      const response = await request(app)
+        .put('/api/songs/song-123/tabs/tab-2')
+        .set('Cookie', authCookie())
+        .send({ is_default: false });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        message: 'A song must have a default tab; make another tab the default instead'
+      });
+    });
+
+    it('should delete a non-default arrangement with its revisions', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.Tab.findAll.mockResolvedValue([{ id: 'tab-2' }]);
+
+      const response = await request(app)
+        .delete('/api/songs/song-123/tabs/tab-2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(sequelize.models.TabRevision.destroy).toHaveBeenCalledWith({ where: { tab_id: ['tab-2'] } });
+      expect(sequelize.models.Tab.destroy).toHaveBeenCalledWith({ where: { id: 'tab-2', song_id: 'song-123' } });
+    });
+
+    it('should not delete the default arrangement', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab({ is_default: true }));
+
+      const response = await request(app)
+        .delete('/api/songs/song-123/tabs/tab-2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(sequelize.models.Tab.destroy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/songs/:songId', () => {
+    const validPayload = {
+      title: 'Wonderwall Updated',
+      artist: 'Oasis',
+      tab_text: 'Em G D A'
+    };
+
+    const makeMockSong = (overrides = {}) => ({
+      id: 'song-123',
+      title: 'Old Title',
+      artist: 'Oasis',
+      save: jest.fn().mockResolvedValue({ id: 'song-123', title: 'Wonderwall Updated', artist: 'Oasis', ...overrides })
+    });
+
+    const makeMockTab = (overrides = {}) => {
+      const tab = { id: 'tab-123', text: 'Am G', scroll_speed: null, ...overrides };
+      tab.save = jest.fn().mockResolvedValue({ id: 'tab-123', text: 'Em G D A', scroll_speed: null, ...overrides });
+      return tab;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .send(validPayload);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 when videos is not an array', async () => {
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ ...validPayload, videos: 'not-array' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'videos must be an array'
+      });
+    });
+
+    it('should return 400 when more than 5 videos are provided', async () => {
+      const videos = Array.from({ length: 6 }, (_, i) => ({
+        url: `https://youtube.com/watch?v=${i}`,
+        video_type: 'youtube'
+      }));
+
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ ...validPayload, videos });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Maximum of 5 videos allowed'
+      });
+    });
+
+    it('should return 404 when song not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put('/api/songs/non-existent')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Song not found'
+      });
+    });
+
+    it('should update song and tab successfully', async () => {
+      const mockSong = makeMockSong();
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        song: { id: 'song-123', title: 'Wonderwall Updated', artist: 'Oasis' },
+        tab: { id: 'tab-123', text: 'Em G D A', scroll_speed: null },
+        videos: []
+      });
+      expect(mockSong.updated_at).toBeInstanceOf(Date);
+    });
+
+    it('should update tab with provided scroll_speed', async () => {
+      const mockTab = makeMockTab({ scroll_speed: 5, text: 'Em G D A' });
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ ...validPayload, scroll_speed: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tab).toMatchObject({ scroll_speed: 5 });
+      expect(mockTab.scroll_speed).toBe(5);
+      expect(mockTab.save).toHaveBeenCalled();
+    });
+
+    it('should not change scroll_speed when scroll_speed is not in the request body', async () => {
+      const mockTab = makeMockTab({ scroll_speed: 5 });
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(mockTab.scroll_speed).toBe(5);
+    });
+
+    it('should update only scroll_speed when only scroll_speed is provided', async () => {
+      const mockTab = makeMockTab({ scroll_speed: null });
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ scroll_speed: 8 });
+
+      expect(response.status).toBe(200);
+      expect(mockTab.scroll_speed).toBe(8);
+      expect(mockTab.save).toHaveBeenCalled();
+    });
+
+    it('should record a revision when the tab text changes', async () => {
+      const mockTab = makeMockTab();
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.TabRevision.count.mockResolvedValue(3);
+
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledTimes(1);
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledWith({ tab_id: 'tab-123', text: 'Em G D A' });
+    });
+
+    it('should keep the previous text of a tab that has no revisions yet', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.TabRevision.count.mockResolvedValue(0);
+
+      await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledTimes(2);
+      expect(sequelize.models.TabRevision.create.mock.calls[0][0]).toMatchObject({ tab_id: 'tab-123', text: 'Am G' });
+      expect(sequelize.models.TabRevision.create.mock.calls[1][0]).toEqual({ tab_id: 'tab-123', text: 'Em G D A' });
+    });
+
+    it('should re-detect the key when the tab text changes', async () => {
+      const mockSong = { ...makeMockSong(), key: 'Am', key_source: 'detected' };
+      const mockTab = makeMockTab();
+      mockTab.save = jest.fn().mockImplementation(() => Promise.resolve(mockTab));
+      sequelize.models.Song.findOne.mockResolvedValue(mockSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.TabRevision.count.mockResolvedValue(1);
+
+      await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ tab_text: 'Capo 2\nG  C  D  G' });
+
+      expect(mockSong).toMatchObject({ key: 'A', key_source: 'detected' });
+      expect(mockSong.save).toHaveBeenCalled();
+    });
+
+    it('should keep a manual key until it is cleared', async () => {
+      const manualSong = { ...makeMockSong(), key: 'Bb', key_source: 'manual' };
+      sequelize.models.Song.findOne.mockResolvedValue(manualSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.TabRevision.count.mockResolvedValue(1);
+
+      await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ tab_text: 'G  C  D  G' });
+
+      expect(manualSong).toMatchObject({ key: 'Bb', key_source: 'manual' });
+
+      const clearedSong = { ...makeMockSong(), key: 'Bb', key_source: 'manual' };
+      sequelize.models.Song.findOne.mockResolvedValue(clearedSong);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab({ text: 'G  C  D  G' }));
+
+      await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ key: null });
+
+      expect(clearedSong).toMatchObject({ key: 'G', key_source: 'detected' });
+    });
+
+    it('should return 400 for an invalid key', async () => {
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ key: 'Z' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ status: 'error', message: 'key must be a key such as E, Bb or F#m' });
+    });
+
+    it('should not record a revision when only scroll_speed changes', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send({ scroll_speed: 4 });
+
+      expect(sequelize.models.TabRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 on database error', async () => {
+      sequelize.models.Song.findOne.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .put('/api/songs/song-123')
+        .set('Cookie', authCookie())
+        .send(validPayload);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        message: 'Internal Server Error'
+      });
+    });
+  });
+
+  describe('setlists', () => {
+    const makeMockSetlist = (overrides = {}) => {
+      const setlist = { id: 'setlist-1', name: 'Friday gig', user_id: 'test-user-123', created_at: null, updated_at: null, ...overrides };
+      setlist.save = jest.fn().mockImplementation(() => Promise.resolve(setlist));
+      setlist.destroy = jest.fn().mockResolvedValue();
+      return setlist;
+    };
+
+    const makeMockEntry = (overrides = {}) => {
+      const entry = { id: 'entry-1', setlist_id: 'setlist-1', song_id: 'song-1', position: 0, notes: null, transpose: 0, scroll_speed: null, ...overrides };
+      entry.save = jest.fn().mockImplementation(() => Promise.resolve(entry));
+      return entry;
+    };
+
+    const mockSongs = [
+      { id: 'song-1', title: 'Wheat Kings', artist: 'Tragically Hip', key: 'G' },
+      { id: 'song-2', title: 'Bobcaygeon', artist: 'Tragically Hip', key: 'G' }
+    ];
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/setlists');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list setlists with their song counts, leaving out songs in the trash', async () => {
+      sequelize.models.Setlist.findAll.mockResolvedValue([makeMockSetlist()]);
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([
+        { setlist_id: 'setlist-1', song_id: 'song-1' },
+        { setlist_id: 'setlist-1', song_id: 'song-2' },
+        { setlist_id: 'setlist-1', song_id: 'song-3' }
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1' }, { id: 'song-2' }]);
+
+      const response = await request(app)
+        .get('/api/setlists')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { id: 'setlist-1', name: 'Friday gig', song_count: 2, created_at: null, updated_at: null }
+      ]);
+      expect(sequelize.models.Setlist.findAll).toHaveBeenCalledWith({ where: { user_id: 'test-user-123' }, order: [['name', 'ASC']] });
+    });
+
+    it('should create a setlist with its entries in order', async () => {
+      sequelize.models.Song.count.mockResolvedValue(2);
+      sequelize.models.Setlist.create.mockResolvedValue(makeMockSetlist());
+      sequelize.models.SetlistEntry.create.mockImplementation(data => Promise.resolve(data));
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([
+        makeMockEntry({ notes: 'Count in slow', transpose: -2 }),
+        makeMockEntry({ id: 'entry-2', song_id: 'song-2', position: 1, scroll_speed: 4 })
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue(mockSongs);
+
+      const response = await request(app)
+        .post('/api/setlists')
+        .set('Cookie', authCookie())
+        .send({
+          name: 'Friday gig',
+          entries: [{ song_id: 'song-1', notes: 'Count in slow', transpose: -2 }, { song_id: 'song-2', scroll_speed: 4 }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.entries).toEqual([
+        {
+          id: 'entry-1',
+          position: 0,
+          notes: 'Count in slow',
+          transpose: -2,
+          scroll_speed: null,
+          song: { id: 'song-1', title: 'Wheat Kings', artist: 'Tragically Hip', key: 'G' }
+        },
+        {
+          id: 'entry-2',
+          position: 1,
+          notes: null,
+          transpose: 0,
+          scroll_speed: 4,
+          song: { id: 'song-2', title: 'Bobcaygeon', artist: 'Tragically Hip', key: 'G' }
+        }
+      ]);
+      expect(sequelize.models.Song.count).toHaveBeenCalledWith({ where: { id: ['song-1', 'song-2'], user_id: 'test-user-123' } });
+      expect(sequelize.models.SetlistEntry.create).toHaveBeenCalledWith({
+        setlist_id: 'setlist-1', song_id: 'song-2', position: 1, notes: null, transpose: 0, scroll_speed: 4
+      });
+
+      sequelize.models.SetlistEntry.create.mockReset();
+    });
+
+    it('should return 400 for a setlist without a name or with invalid entries', async () => {
+      const nameResponse = await request(app)
+        .post('/api/setlists')
+        .set('Cookie', authCookie())
+        .send({ entries: [] });
+      const entryResponse = await request(app)
+        .post('/api/setlists')
+        .set('Cookie', authCookie())
+        .send({ name: 'Gig', entries: [{ song_id: 'song-1', transpose: 14 }] });
+
+      expect(nameResponse.status).toBe(400);
+      expect(nameResponse.body).toMatchObject({ status: 'error', message: 'name is required' });
+      expect(entryResponse.status).toBe(400);
+      expect(entryResponse.body).toMatchObject({ message: 'transpose must be an integer between -11 and 11' });
+    });
+
+    it('should return the JSON 400 for setlist requests without a body', async () => {
+      const createResponse = await request(app)
+        .post('/api/setlists')
+        .set('Cookie', authCookie());
+      const orderResponse = await request(app)
+        .put('/api/setlists/setlist-1/order')
+        .set('Cookie', authCookie());
+      const entryResponse = await request(app)
+        .post('/api/setlists/setlist-1/entries')
+        .set('Cookie', authCookie());
+
+      expect(createResponse.status).toBe(400);
+      expect(createResponse.body).toMatchObject({ status: 'error', message: 'name is required' });
+      expect(orderResponse.status).toBe(400);
+      expect(orderResponse.body).toMatchObject({ status: 'error', message: 'entry_ids must be an array' });
+      expect(entryResponse.status).toBe(400);
+      expect(entryResponse.body).toMatchObject({ status: 'error', message: 'Each entry must have a song_id' });
+    });
+
+    it('should keep the name of a setlist updated without a body', async () => {
+      const setlist = makeMockSetlist();
+      sequelize.models.Setlist.findOne.mockResolvedValue(setlist);
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .put('/api/setlists/setlist-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'setlist-1', name: 'Friday gig' });
+    });
+
+    it("should return 400 when an entry points at another user's song", async () => {
+      sequelize.models.Song.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .post('/api/setlists')
+        .set('Cookie', authCookie())
+        .send({ name: 'Gig', entries: [{ song_id: 'someone-elses-song' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'Every song_id must be one of your songs' });
+      expect(sequelize.models.Setlist.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a setlist of another user', async () => {
+      sequelize.models.Setlist.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/setlists/setlist-other')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ status: 'error', message: 'Setlist not found' });
+      expect(sequelize.models.Setlist.findOne).toHaveBeenCalledWith({ where: { id: 'setlist-other', user_id: 'test-user-123' } });
+    });
+
+    it('should reorder entries', async () => {
+      const first = makeMockEntry();
+      const second = makeMockEntry({ id: 'entry-2', song_id: 'song-2', position: 1 });
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([first, second]);
+      sequelize.models.Song.findAll.mockResolvedValue(mockSongs);
+
+      const response = await request(app)
+        .put('/api/setlists/setlist-1/order')
+        .set('Cookie', authCookie())
+        .send({ entry_ids: ['entry-2', 'entry-1'] });
+
+      expect(response.status).toBe(200);
+      expect(first.position).toBe(1);
+      expect(second.position).toBe(0);
+      expect(first.save).toHaveBeenCalled();
+    });
+
+    it('should return 400 when the new order leaves out an entry', async () => {
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([makeMockEntry(), makeMockEntry({ id: 'entry-2' })]);
+
+      const response = await request(app)
+        .put('/api/setlists/setlist-1/order')
+        .set('Cookie', authCookie())
+        .send({ entry_ids: ['entry-2', 'entry-2'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'entry_ids must list every entry of the setlist exactly once' });
+    });
+
+    it('should duplicate a setlist with its entries', async () => {
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.Setlist.create.mockResolvedValue(makeMockSetlist({ id: 'setlist-2', name: 'Friday gig (copy)' }));
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([makeMockEntry({ notes: 'Capo 2', transpose: 1 })]);
+      sequelize.models.SetlistEntry.create.mockImplementation(data => Promise.resolve(data));
+      sequelize.models.Song.findAll.mockResolvedValue(mockSongs);
+
+      const response = await request(app)
+        .post('/api/setlists/setlist-1/duplicate')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ id: 'setlist-2', name: 'Friday gig (copy)' });
+      expect(sequelize.models.Setlist.create).toHaveBeenCalledWith({ name: 'Friday gig (copy)', user_id: 'test-user-123' });
+      expect(sequelize.models.SetlistEntry.create).toHaveBeenCalledWith({
+        setlist_id: 'setlist-2', song_id: 'song-1', position: 0, notes: 'Capo 2', transpose: 1, scroll_speed: null
+      });
+
+      sequelize.models.SetlistEntry.create.mockReset();
+    });
+
+    it('should append a new entry after the last one', async () => {
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.Song.count.mockResolvedValue(1);
+      sequelize.models.SetlistEntry.max.mockResolvedValue(4);
+      sequelize.models.SetlistEntry.create.mockImplementation(data => Promise.resolve(data));
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/setlists/setlist-1/entries')
+        .set('Cookie', authCookie())
+        .send({ song_id: 'song-2', notes: 'Encore' });
+
+      expect(response.status).toBe(201);
+      expect(sequelize.models.SetlistEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        setlist_id: 'setlist-1', song_id: 'song-2', position: 5, notes: 'Encore'
+      }));
+
+      sequelize.models.SetlistEntry.create.mockReset();
+    });
+
+    it('should update the overrides of an entry', async () => {
+      const entry = makeMockEntry({ notes: 'old' });
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.SetlistEntry.findOne.mockResolvedValue(entry);
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([entry]);
+      sequelize.models.Song.findAll.mockResolvedValue(mockSongs);
+
+      const response = await request(app)
+        .put('/api/setlists/setlist-1/entries/entry-1')
+        .set('Cookie', authCookie())
+        .send({ transpose: 3, scroll_speed: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries[0]).toMatchObject({ notes: 'old', transpose: 3, scroll_speed: null });
+      expect(sequelize.models.SetlistEntry.findOne).toHaveBeenCalledWith({ where: { id: 'entry-1', setlist_id: 'setlist-1' } });
+    });
+
+    it('should leave an entry as it is when the request has no body', async () => {
+      const entry = makeMockEntry({ notes: 'old' });
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.SetlistEntry.findOne.mockResolvedValue(entry);
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([entry]);
+      sequelize.models.Song.findAll.mockResolvedValue(mockSongs);
+
+      const response = await request(app)
+        .put('/api/setlists/setlist-1/entries/entry-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries[0]).toMatchObject({ notes: 'old', transpose: 0, scroll_speed: null });
+    });
+
+    it('should return the whole gig with rendered tabs and videos', async () => {
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([makeMockEntry({ transpose: 2, scroll_speed: 9 })]);
+      sequelize.models.Song.findAll.mockResolvedValue([mockSongs[0]]);
+      sequelize.models.Tab.findAll.mockResolvedValue([{ id: 'tab-1', song_id: 'song-1', text: 'G  C  D\nla', scroll_speed: 3 }]);
+      sequelize.models.Video.findAll.mockResolvedValue([{ id: 'video-1', song_id: 'song-1', video_type: 'live', url: 'https://youtu.be/abc' }]);
+
+      const response = await request(app)
+        .get('/api/setlists/setlist-1/gig')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries[0]).toMatchObject({
+        transpose: 2,
+        tab: { id: 'tab-1', text: 'A  D  E\nla', scroll_speed: 9, capo: null, key: 'A', chords: ['A', 'D', 'E'] },
+        videos: [{ id: 'video-1', video_type: 'live', url: 'https://www.youtube.com/embed/abc' }]
+      });
+      expect(sequelize.models.Tab.findAll).toHaveBeenCalledWith({ where: { song_id: ['song-1'], is_default: true } });
+    });
+
+    it('should leave workspace songs out of the gig after leaving the workspace', async () => {
+      sequelize.models.Setlist.findOne.mockResolvedValue(makeMockSetlist());
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([makeMockEntry({ song_id: 'song-9' })]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+      sequelize.models.Tab.findAll.mockResolvedValue([]);
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/setlists/setlist-1/gig')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries).toEqual([]);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({
+        where: { id: ['song-9'], user_id: 'test-user-123' },
+        attributes: ['id']
+      });
+      expect(sequelize.models.Tab.findAll).toHaveBeenCalledWith({ where: { song_id: [], is_default: true } });
+    });
+
+    it('should delete a setlist with its entries', async () => {
+      const setlist = makeMockSetlist();
+      sequelize.models.Setlist.findOne.mockResolvedValue(setlist);
+
+      const response = await request(app)
+        .delete('/api/setlists/setlist-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(sequelize.models.SetlistEntry.destroy).toHaveBeenCalledWith({ where: { setlist_id: 'setlist-1' } });
+      expect(setlist.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('tags', () => {
+    const makeMockTag = (overrides = {}) => {
+      const tag = { id: 'tag-1', name: 'learning', user_id: 'test-user-123', ...overrides };
+      tag.save = jest.fn().mockImplementation(() => Promise.resolve(tag));
+      tag.destroy = jest.fn().mockResolvedValue();
+      return tag;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/tags');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list tags with their song counts, leaving out songs in the trash', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([makeMockTag(), makeMockTag({ id: 'tag-2', name: 'rock' })]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([
+        { tag_id: 'tag-2', song_id: 'song-1' },
+        { tag_id: 'tag-2', song_id: 'song-2' },
+        { tag_id: 'tag-1', song_id: 'song-3' }
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1' }, { id: 'song-2' }]);
+
+      const response = await request(app)
+        .get('/api/tags')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { id: 'tag-1', name: 'learning', song_count: 0 },
+        { id: 'tag-2', name: 'rock', song_count: 2 }
+      ]);
+      expect(sequelize.models.Tag.findAll).toHaveBeenCalledWith({ where: { user_id: 'test-user-123' }, order: [['name', 'ASC']] });
+    });
+
+    it('should create a tag', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([]);
+      sequelize.models.Tag.create.mockResolvedValue(makeMockTag({ name: 'Wedding set' }));
+
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Cookie', authCookie())
+        .send({ name: '  Wedding   set ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ id: 'tag-1', name: 'Wedding set', song_count: 0 });
+      expect(sequelize.models.Tag.create).toHaveBeenCalledWith({ name: 'Wedding set', user_id: 'test-user-123' });
+    });
+
+    it('should return 409 for a tag that already exists in another case', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([makeMockTag({ name: 'Learning' })]);
+
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Cookie', authCookie())
+        .send({ name: 'learning' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({ status: 'error', message: 'A tag with that name already exists' });
+      expect(sequelize.models.Tag.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid tag name', async () => {
+      const emptyResponse = await request(app)
+        .post('/api/tags')
+        .set('Cookie', authCookie())
+        .send({ name: ' ' });
+      const commaResponse = await request(app)
+        .post('/api/tags')
+        .set('Cookie', authCookie())
+        .send({ name: 'rock, pop' });
+
+      expect(emptyResponse.status).toBe(400);
+      expect(emptyResponse.body).toMatchObject({ message: 'Tag names must be non-empty strings' });
+      expect(commaResponse.status).toBe(400);
+      expect(commaResponse.body).toMatchObject({ message: 'Tag names cannot contain commas' });
+    });
+
+    it('should rename a tag', async () => {
+      const tag = makeMockTag();
+      sequelize.models.Tag.findAll.mockResolvedValue([tag, makeMockTag({ id: 'tag-2', name: 'rock' })]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([{ song_id: 'song-1' }, { song_id: 'song-2' }, { song_id: 'song-3' }]);
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1' }, { id: 'song-2' }, { id: 'song-3' }]);
+
+      const response = await request(app)
+        .put('/api/tags/tag-1')
+        .set('Cookie', authCookie())
+        .send({ name: 'Learning' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'tag-1', name: 'Learning', song_count: 3 });
+      expect(tag.save).toHaveBeenCalled();
+    });
+
+    it('should return 409 when renaming onto another tag', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([makeMockTag(), makeMockTag({ id: 'tag-2', name: 'rock' })]);
+
+      const response = await request(app)
+        .put('/api/tags/tag-1')
+        .set('Cookie', authCookie())
+        .send({ name: 'Rock' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 for a tag of another user', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([]);
+      sequelize.models.Tag.findOne.mockResolvedValue(null);
+
+      const renameResponse = await request(app)
+        .put('/api/tags/tag-other')
+        .set('Cookie', authCookie())
+        .send({ name: 'mine' });
+      const deleteResponse = await request(app)
+        .delete('/api/tags/tag-other')
+        .set('Cookie', authCookie());
+
+      expect(renameResponse.status).toBe(404);
+      expect(deleteResponse.status).toBe(404);
+      expect(deleteResponse.body).toMatchObject({ message: 'Tag not found' });
+    });
+
+    it('should delete a tag and untag its songs', async () => {
+      const tag = makeMockTag();
+      sequelize.models.Tag.findOne.mockResolvedValue(tag);
+
+      const response = await request(app)
+        .delete('/api/tags/tag-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(sequelize.models.SongTag.destroy).toHaveBeenCalledWith({ where: { tag_id: 'tag-1' } });
+      expect(tag.destroy).toHaveBeenCalled();
+    });
+
+    it("should replace a song's tags and add new names to the vocabulary", async () => {
+      sequelize.models.Song.findOne.mockResolvedValue({ id: 'song-1', user_id: 'test-user-123' });
+      sequelize.models.Tag.findAll.mockResolvedValue([makeMockTag({ name: 'Learning' })]);
+      sequelize.models.Tag.create.mockResolvedValue(makeMockTag({ id: 'tag-2', name: 'gig-ready' }));
+      sequelize.models.SongTag.destroy.mockResolvedValue(1);
+      sequelize.models.SongTag.create.mockImplementation(data => Promise.resolve(data));
+
+      const response = await request(app)
+        .put('/api/songs/song-1/tags')
+        .set('Cookie', authCookie())
+        .send({ tags: ['learning', 'gig-ready', 'Learning'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ tags: [{ id: 'tag-2', name: 'gig-ready' }, { id: 'tag-1', name: 'Learning' }] });
+      expect(sequelize.models.Tag.create).toHaveBeenCalledTimes(1);
+      expect(sequelize.models.Tag.create).toHaveBeenCalledWith({ name: 'gig-ready', user_id: 'test-user-123' });
+      expect(sequelize.models.SongTag.destroy).toHaveBeenCalledWith({ where: { song_id: 'song-1' } });
+      expect(sequelize.models.SongTag.create).toHaveBeenCalledWith({ song_id: 'song-1', tag_id: 'tag-1' });
+      expect(sequelize.models.SongTag.create).toHaveBeenCalledWith({ song_id: 'song-1', tag_id: 'tag-2' });
+    });
+
+    it('should return 400 when tags is not a list of names', async () => {
+      const response = await request(app)
+        .put('/api/songs/song-1/tags')
+        .set('Cookie', authCookie())
+        .send({ tags: 'rock' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'tags must be an array of tag names' });
+    });
+
+    it("should return 404 when tagging another user's song", async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put('/api/songs/song-other/tags')
+        .set('Cookie', authCookie())
+        .send({ tags: ['rock'] });
+
+      expect(response.status).toBe(404);
+      expect(sequelize.models.SongTag.destroy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('practice log', () => {
+    const makePracticeSong = (overrides = {}) => {
+      const song = { id: 'song-1', title: 'Blackbird', artist: 'Beatles', user_id: 'test-user-123', last_practiced_at: null, ...overrides };
+      song.save = jest.fn().mockImplementation(() => Promise.resolve(song));
+      return song;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/practice/summary');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should log a session and work out its end from the duration', async () => {
+      const song = makePracticeSong();
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.PracticeSession.create.mockImplementation(data => Promise.resolve({ id: 'session-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/songs/song-1/practice')
+        .set('Cookie', authCookie())
+        .send({ started_at: '2026-10-15T18:00:00Z', duration_seconds: 1200, tempo: 90, rating: 4 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({
+        id: 'session-1',
+        started_at: '2026-10-15T18:00:00.000Z',
+        ended_at: '2026-10-15T18:20:00.000Z',
+        duration_seconds: 1200,
+        tempo: 90,
+        scroll_speed: null,
+        rating: 4
+      });
+      expect(sequelize.models.PracticeSession.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'test-user-123', song_id: 'song-1', duration_seconds: 1200
+      }));
+      expect(song.last_practiced_at).toEqual(new Date('2026-10-15T18:20:00Z'));
+      expect(song.save).toHaveBeenCalled();
+    });
+
+    it('should work out the duration from the start and end', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(makePracticeSong());
+      sequelize.models.PracticeSession.create.mockImplementation(data => Promise.resolve({ id: 'session-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/songs/song-1/practice')
+        .set('Cookie', authCookie())
+        .send({ started_at: '2026-10-15T18:00:00Z', ended_at: '2026-10-15T18:45:30Z', scroll_speed: 12 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ duration_seconds: 2730, scroll_speed: 12 });
+    });
+
+    it('should not move last_practiced_at back for a session logged late', async () => {
+      const song = makePracticeSong({ last_practiced_at: new Date('2026-10-16T10:00:00Z') });
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.PracticeSession.create.mockImplementation(data => Promise.resolve({ id: 'session-1', ...data }));
+
+      await request(app)
+        .post('/api/songs/song-1/practice')
+        .set('Cookie', authCookie())
+        .send({ started_at: '2026-10-15T18:00:00Z', duration_seconds: 600 });
+
+      expect(song.save).not.toHaveBeenCalled();
+    });
+
+    it("should keep a workspace song's last_practiced_at to each member's own sessions", async () => {
+      const song = makePracticeSong({ user_id: null, workspace_id: 'ws-1' });
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([{ workspace_id: 'ws-1', role: 'viewer' }]);
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.PracticeSession.create.mockImplementation(data => Promise.resolve({ id: 'session-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/songs/song-1/practice')
+        .set('Cookie', authCookie())
+        .send({ started_at: '2026-10-15T18:00:00Z', duration_seconds: 600 });
+
+      expect(response.status).toBe(201);
+      expect(song.last_practiced_at).toBeNull();
+      expect(song.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid session', async () => {
+      const cases = [
+        [{ duration_seconds: 600 }, 'started_at must be a date'],
+        [{ started_at: '2026-10-15T18:00:00Z' }, 'ended_at or duration_seconds is required'],
+        [{ started_at: '2026-10-15T18:00:00Z', ended_at: '2026-10-15T17:00:00Z' }, 'ended_at must be after started_at'],
+        [{ started_at: '2026-10-15T18:00:00Z', ended_at: '2026-10-15T18:10:00Z', duration_seconds: 900 },
+          'duration_seconds cannot be longer than the time between started_at and ended_at'],
+        [{ started_at: '2026-10-15T18:00:00Z', duration_seconds: 600, rating: 6 }, 'rating must be an integer between 1 and 5'],
+        [{ started_at: '2026-10-15T18:00:00Z', duration_seconds: 600, tempo: 'fast' }, 'tempo must be an integer between 20 and 400']
+      ];
+
+      for (const [body, message] of cases) {
+        const response = await request(app)
+          .post('/api/songs/song-1/practice')
+          .set('Cookie', authCookie())
+          .send(body);
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ status: 'error', message });
+      }
+      expect(sequelize.models.PracticeSession.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 when logging practice on another user's song", async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/songs/song-other/practice')
+        .set('Cookie', authCookie())
+        .send({ started_at: '2026-10-15T18:00:00Z', duration_seconds: 600 });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return the practice history of a song, newest first', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(makePracticeSong({ last_practiced_at: '2026-10-16T09:00:00.000Z' }));
+      sequelize.models.PracticeSession.findAll.mockResolvedValue([
+        { id: 'session-2', started_at: '2026-10-15T18:00:00.000Z', ended_at: '2026-10-15T18:20:00.000Z', duration_seconds: 1200, tempo: 90, scroll_speed: null, rating: 4 },
+        { id: 'session-1', started_at: '2026-10-14T18:00:00.000Z', ended_at: '2026-10-14T18:10:00.000Z', duration_seconds: 630, tempo: null, scroll_speed: 10, rating: 3 },
+        { id: 'session-0', started_at: '2026-10-13T18:00:00.000Z', ended_at: '2026-10-13T18:05:00.000Z', duration_seconds: 300, tempo: null, scroll_speed: null, rating: null }
+      ]);
+
+      const response = await request(app)
+        .get('/api/songs/song-1/practice')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        song_id: 'song-1',
+        last_practiced_at: '2026-10-15T18:20:00.000Z',
+        total_sessions: 3,
+        total_minutes: 36,
+        average_rating: 3.5
+      });
+      expect(response.body.sessions.map(session => session.id)).toEqual(['session-2', 'session-1', 'session-0']);
+      expect(sequelize.models.PracticeSession.findAll).toHaveBeenCalledWith({ where: { song_id: 'song-1', user_id: 'test-user-123' }, order: [['started_at', 'DESC']] });
+    });
+
+    it('should delete a session and recompute last_practiced_at', async () => {
+      const song = makePracticeSong({ last_practiced_at: new Date('2026-10-15T18:20:00Z') });
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.PracticeSession.destroy.mockResolvedValue(1);
+      sequelize.models.PracticeSession.max.mockResolvedValue(new Date('2026-10-14T18:10:00Z'));
+
+      const response = await request(app)
+        .delete('/api/songs/song-1/practice/session-2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(sequelize.models.PracticeSession.destroy).toHaveBeenCalledWith({ where: { id: 'session-2', song_id: 'song-1', user_id: 'test-user-123' } });
+      expect(sequelize.models.PracticeSession.max).toHaveBeenCalledWith('ended_at', { where: { song_id: 'song-1', user_id: 'test-user-123' } });
+      expect(song.last_practiced_at).toEqual(new Date('2026-10-14T18:10:00Z'));
+      expect(song.save).toHaveBeenCalled();
+    });
+
+    it('should return 404 for a session that does not exist', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(makePracticeSong());
+      sequelize.models.PracticeSession.destroy.mockResolvedValue(0);
+
+      const response = await request(app)
+        .delete('/api/songs/song-1/practice/missing')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Practice session not found' });
+    });
+
+    it('should summarize practice across all songs, leaving out songs in the trash', async () => {
+      sequelize.models.PracticeSession.findAll.mockResolvedValue([
+        { song_id: 'song-1', started_at: new Date(Date.now() - 60 * 60 * 1000), duration_seconds: 1800 },
+        { song_id: 'song-2', started_at: new Date(Date.now() - 25 * 60 * 60 * 1000), duration_seconds: 600 },
+        { song_id: 'song-trashed', started_at: new Date(Date.now() - 60 * 60 * 1000), duration_seconds: 3600 }
+      ]);
+      sequelize.models.Song.findAll.mockImplementation(options => Promise.resolve(options.limit
+        ? [{ id: 'song-3', title: 'Old', artist: 'C', last_practiced_at: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) }]
+        : [{ id: 'song-1' }, { id: 'song-2' }]));
+
+      const response = await request(app)
+        .get('/api/practice/summary?weeks=4')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ total_sessions: 2, total_minutes: 40 });
+      expect(response.body.current_streak_days).toBeGreaterThanOrEqual(1);
+      expect(response.body.minutes_per_week).toHaveLength(4);
+      expect(response.body.neglected_songs).toEqual([
+        expect.objectContaining({ id: 'song-3', days_since: expect.any(Number) })
+      ]);
+      expect(sequelize.models.PracticeSession.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { user_id: 'test-user-123' } }));
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({ where: { id: ['song-1', 'song-2', 'song-trashed'] }, attributes: ['id'] });
+
+      sequelize.models.Song.findAll.mockReset();
+    });
+
+    it('should list never practiced songs and practiced workspace songs as neglected', async () => {
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([{ workspace_id: 'ws-1', role: 'viewer' }]);
+      sequelize.models.PracticeSession.findAll.mockResolvedValue([
+        { song_id: 'song-9', started_at: '2026-09-01T18:00:00.000Z', ended_at: '2026-09-01T18:30:00.000Z', duration_seconds: 1800 },
+        { song_id: 'song-9', started_at: '2026-09-10T18:00:00.000Z', ended_at: '2026-09-10T18:30:00.000Z', duration_seconds: 1800 }
+      ]);
+      sequelize.models.Song.findAll.mockImplementation(options => {
+        if (options.limit) return Promise.resolve([{ id: 'song-3', title: 'New', artist: 'C', last_practiced_at: null }]);
+        if (options.where.workspace_id) return Promise.resolve([{ id: 'song-9', title: 'Band Song', artist: 'The Band' }]);
+        return Promise.resolve([{ id: 'song-9' }]);
+      });
+
+      const response = await request(app)
+        .get('/api/practice/summary')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.neglected_songs).toEqual([
+        { id: 'song-3', title: 'New', artist: 'C', last_practiced_at: null, days_since: null },
+        expect.objectContaining({ id: 'song-9', last_practiced_at: '2026-09-10T18:30:00.000Z' })
+      ]);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { user_id: 'test-user-123' },
+        order: [['last_practiced_at', 'ASC NULLS FIRST'], ['artist', 'ASC'], ['title', 'ASC']]
+      }));
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: ['song-9'], workspace_id: ['ws-1'] }
+      }));
+
+      sequelize.models.Song.findAll.mockReset();
+    });
+
+    it('should return 400 for an invalid number of weeks', async () => {
+      const response = await request(app)
+        .get('/api/practice/summary?weeks=0')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'weeks must be an integer between 1 and 52' });
+    });
+
+    it('should sort songs by when they were last practiced', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/songs?sort=last_practiced_at')
+        .set('Cookie', authCookie());
+
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        order: [['last_practiced_at', 'DESC NULLS LAST'], ['artist', 'ASC'], ['title', 'ASC'], ['id', 'ASC']]
+      }));
+    });
+  });
+
+  describe('POST /api/songs/bulk', () => {
+    const bulk = (body) => request(app)
+      .post('/api/songs/bulk')
+      .set('Cookie', authCookie())
+      .send(body);
+
+    beforeEach(() => {
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1' }, { id: 'song-2' }]);
+    });
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).post('/api/songs/bulk').send({ action: 'delete', song_ids: ['song-1'] });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should move the songs that are found to the trash and report the others', async () => {
+      sequelize.models.Song.update.mockResolvedValue([2]);
+
+      const response = await bulk({ action: 'delete', song_ids: ['song-1', 'song-2', 'song-9', 'song-1'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        action: 'delete',
+        succeeded: 2,
+        failed: 1,
+        results: [
+          { song_id: 'song-1', status: 'ok' },
+          { song_id: 'song-2', status: 'ok' },
+          { song_id: 'song-9', status: 'error', message: 'Song not found' }
+        ]
+      });
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({
+        where: { id: ['song-1', 'song-2', 'song-9'], user_id: 'test-user-123' },
+        attributes: ['id']
+      });
+      expect(sequelize.models.Song.update).toHaveBeenCalledWith({ deleted_at: expect.any(Date) }, { where: { id: ['song-1', 'song-2'] } });
+      expect(sequelize.models.Video.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should add tags the songs do not have yet, creating new tags', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'Rock' }]);
+      sequelize.models.Tag.create.mockResolvedValue({ id: 'tag-2', name: 'gig-ready' });
+      sequelize.models.SongTag.findAll.mockResolvedValue([{ song_id: 'song-1', tag_id: 'tag-1' }]);
+      sequelize.models.SongTag.bulkCreate.mockResolvedValue([]);
+
+      const response = await bulk({ action: 'tag', song_ids: ['song-1', 'song-2'], tags: ['rock', 'gig-ready'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.succeeded).toBe(2);
+      expect(sequelize.models.Tag.create).toHaveBeenCalledWith({ name: 'gig-ready', user_id: 'test-user-123' });
+      expect(sequelize.models.SongTag.bulkCreate).toHaveBeenCalledWith([
+        { song_id: 'song-1', tag_id: 'tag-2' },
+        { song_id: 'song-2', tag_id: 'tag-1' },
+        { song_id: 'song-2', tag_id: 'tag-2' }
+      ]);
+    });
+
+    it('should remove tags, ignoring names that are not tags', async () => {
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'Rock' }]);
+      sequelize.models.SongTag.destroy.mockResolvedValue(1);
+
+      const response = await bulk({ action: 'untag', song_ids: ['song-1', 'song-2'], tags: ['rock', 'jazz'] });
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.SongTag.destroy).toHaveBeenCalledWith({ where: { song_id: ['song-1', 'song-2'], tag_id: ['tag-1'] } });
+    });
+
+    it('should rename the artist of the songs', async () => {
+      sequelize.models.Song.update.mockResolvedValue([2]);
+
+      const response = await bulk({ action: 'rename_artist', song_ids: ['song-1', 'song-2'], artist: ' The Beatles ' });
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.Song.update).toHaveBeenCalledWith(
+        { artist: 'The Beatles', updated_at: expect.any(Date) },
+        { where: { id: ['song-1', 'song-2'] } }
+      );
+    });
+
+    it('should add the songs to the end of a setlist in the order given', async () => {
+      const setlist = { id: 'setlist-1', save: jest.fn().mockResolvedValue() };
+      sequelize.models.Setlist.findOne.mockResolvedValue(setlist);
+      sequelize.models.SetlistEntry.max.mockResolvedValue(3);
+      sequelize.models.SetlistEntry.create.mockResolvedValue({});
+
+      const response = await bulk({ action: 'add_to_setlist', song_ids: ['song-2', 'song-1'], setlist_id: 'setlist-1' });
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.Setlist.findOne).toHaveBeenCalledWith({ where: { id: 'setlist-1', user_id: 'test-user-123' } });
+      expect(sequelize.models.SetlistEntry.create).toHaveBeenCalledWith(expect.objectContaining({ song_id: 'song-2', position: 4 }));
+      expect(sequelize.models.SetlistEntry.create).toHaveBeenCalledWith(expect.objectContaining({ song_id: 'song-1', position: 5 }));
+      expect(setlist.save).toHaveBeenCalled();
+    });
+
+    it('should return 404 for a setlist that is not found', async () => {
+      sequelize.models.Setlist.findOne.mockResolvedValue(null);
+
+      const response = await bulk({ action: 'add_to_setlist', song_ids: ['song-1'], setlist_id: 'setlist-9' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Setlist not found' });
+      expect(sequelize.models.SetlistEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should set the scroll speed of the default tabs', async () => {
+      sequelize.models.Tab.update.mockResolvedValue([2]);
+
+      const response = await bulk({ action: 'set_scroll_speed', song_ids: ['song-1', 'song-2'], scroll_speed: 25 });
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.Tab.update).toHaveBeenCalledWith(
+        { scroll_speed: 25 },
+        { where: { song_id: ['song-1', 'song-2'], is_default: true } }
+      );
+    });
+
+    it('should not run the action when none of the songs are found', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      const response = await bulk({ action: 'set_scroll_speed', song_ids: ['song-9'], scroll_speed: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ succeeded: 0, failed: 1 });
+      expect(sequelize.models.Tab.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unknown action', async () => {
+      const response = await bulk({ action: 'transpose', song_ids: ['song-1'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        message: 'action must be one of delete, tag, untag, rename_artist, add_to_setlist, set_scroll_speed'
+      });
+    });
+
+    it('should return 400 for a missing or oversized list of songs', async () => {
+      const empty = await bulk({ action: 'delete', song_ids: [] });
+      const oversized = await bulk({ action: 'delete', song_ids: Array.from({ length: 501 }, (_, i) => `song-${i}`) });
+
+      expect(empty.status).toBe(400);
+      expect(empty.body).toMatchObject({ message: 'song_ids must be a list of 1 to 500 song IDs' });
+      expect(oversized.status).toBe(400);
+    });
+
+    it('should return 400 when the action is missing its fields', async () => {
+      const tags = await bulk({ action: 'tag', song_ids: ['song-1'] });
+      const artist = await bulk({ action: 'rename_artist', song_ids: ['song-1'], artist: '' });
+      const speed = await bulk({ action: 'set_scroll_speed', song_ids: ['song-1'], scroll_speed: 'fast' });
+
+      expect(tags.body).toMatchObject({ message: 'tags must be an array of tag names' });
+      expect(artist.body).toMatchObject({ message: 'artist must be a non-empty string' });
+      expect(speed.body).toMatchObject({ message: 'scroll_speed must be an integer or null' });
+      expect(sequelize.models.Song.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trash', () => {
+    const makeMockSong = (overrides = {}) => {
+      const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', deleted_at: null, ...overrides };
+      song.save = jest.fn().mockImplementation(() => Promise.resolve(song));
+      return song;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/trash');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should move a deleted song to the trash and keep its tabs and videos', async () => {
+      const song = makeMockSong();
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+
+      const response = await request(app)
+        .delete('/api/songs/song-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(song.deleted_at).toEqual(expect.any(Date));
+      expect(song.save).toHaveBeenCalled();
+      expect(sequelize.models.Video.destroy).not.toHaveBeenCalled();
+      expect(sequelize.models.Tab.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should list the trash with when each song will be purged', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([
+        makeMockSong({ deleted_at: new Date('2024-05-01T10:00:00.000Z') })
+      ]);
+
+      const response = await request(app)
+        .get('/api/trash')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{
+        id: 'song-1',
+        title: 'Wonderwall',
+        artist: 'Oasis',
+        key: 'F#m',
+        deleted_at: '2024-05-01T10:00:00.000Z',
+        purge_at: '2024-05-31T10:00:00.000Z'
+      }]);
+      expect(sequelize.models.Song.scope).toHaveBeenCalledWith('trashed');
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { user_id: 'test-user-123' },
+        order: [['deleted_at', 'DESC']]
+      }));
+    });
+
+    it('should restore a song from the trash', async () => {
+      const song = makeMockSong({ deleted_at: new Date() });
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+
+      const response = await request(app)
+        .post('/api/trash/song-1/restore')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' });
+      expect(song.deleted_at).toBeNull();
+      expect(sequelize.models.Song.scope).toHaveBeenCalledWith('trashed');
+      expect(sequelize.models.Song.findOne).toHaveBeenCalledWith({ where: { id: 'song-1', user_id: 'test-user-123' } });
+    });
+
+    it('should return 404 when restoring a song that is not in the trash', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/trash/song-1/restore')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Song not found in trash' });
+    });
+
+    it('should restore everything in the trash', async () => {
+      sequelize.models.Song.update.mockResolvedValue([3]);
+
+      const response = await request(app)
+        .post('/api/trash/restore')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ restored: 3 });
+      expect(sequelize.models.Song.update).toHaveBeenCalledWith({ deleted_at: null }, { where: { user_id: 'test-user-123' } });
+    });
+
+    it('should empty the trash, deleting the songs and everything that belongs to them', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1' }, { id: 'song-2' }]);
+      sequelize.models.Tab.findAll.mockResolvedValue([{ id: 'tab-1' }]);
+      sequelize.models.Video.destroy.mockResolvedValue(0);
+      sequelize.models.Tab.destroy.mockResolvedValue(1);
+      sequelize.models.TabRevision.destroy.mockResolvedValue(1);
+      sequelize.models.SetlistEntry.destroy.mockResolvedValue(0);
+      sequelize.models.SongTag.destroy.mockResolvedValue(0);
+      sequelize.models.PracticeSession.destroy.mockResolvedValue(0);
+      sequelize.models.Song.destroy.mockResolvedValue(2);
+
+      const response = await request(app)
+        .delete('/api/trash')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ deleted: 2 });
+      expect(sequelize.models.Song.unscoped).toHaveBeenCalled();
+      expect(sequelize.models.Song.destroy).toHaveBeenCalledWith({ where: { id: ['song-1', 'song-2'] } });
+      expect(sequelize.models.Video.destroy).toHaveBeenCalledWith({ where: { song_id: ['song-1', 'song-2'] } });
+      expect(sequelize.models.SetlistEntry.destroy).toHaveBeenCalledWith({ where: { song_id: ['song-1', 'song-2'] } });
+      expect(sequelize.models.PracticeSession.destroy).toHaveBeenCalledWith({ where: { song_id: ['song-1', 'song-2'] } });
+    });
+
+    it('should leave setlist entries of songs in the trash out of the setlist', async () => {
+      const setlist = { id: 'setlist-1', name: 'Friday gig', created_at: null, updated_at: null };
+      sequelize.models.Setlist.findOne.mockResolvedValue(setlist);
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([
+        { id: 'entry-1', song_id: 'song-1', position: 0, transpose: 0 },
+        { id: 'entry-2', song_id: 'song-2', position: 1, transpose: 0 }
+      ]);
+      sequelize.models.Song.findAll.mockResolvedValue([makeMockSong()]);
+
+      const response = await request(app)
+        .get('/api/setlists/setlist-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries.map(entry => entry.id)).toEqual(['entry-1']);
+    });
+  });
+
+  describe('share links', () => {
+    const makeMockLink = (overrides = {}) => {
+      const link = { id: 'share-1', token: 'token-abc', song_id: 'song-1', user_id: 'test-user-123', expires_at: null, created_at: null, ...overrides };
+      link.destroy = jest.fn().mockResolvedValue();
+      return link;
+    };
+    const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', user_id: 'test-user-123' };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).post('/api/songs/song-1/shares');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should create a share link with a random token', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.ShareLink.create.mockImplementation(data => Promise.resolve({ id: 'share-1', created_at: null, ...data }));
+      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .post('/api/songs/song-1/shares')
+        .set('Cookie', authCookie())
+        .send({ expires_at: expiresAt });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ id: 'share-1', expires_at: expiresAt, expired: false });
+      expect(response.body.token).toMatch(/^[\w-]{32}$/);
+      expect(sequelize.models.ShareLink.create).toHaveBeenCalledWith({
+        token: response.body.token,
+        song_id: 'song-1',
+        user_id: 'test-user-123',
+        expires_at: new Date(expiresAt)
+      });
+    });
+
+    it('should return 400 for an expiry in the past', async () => {
+      const response = await request(app)
+        .post('/api/songs/song-1/shares')
+        .set('Cookie', authCookie())
+        .send({ expires_at: '2020-01-01T00:00:00.000Z' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'expires_at must be a date in the future' });
+    });
+
+    it('should return 404 when sharing a song that is not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/songs/song-1/shares')
+        .set('Cookie', authCookie())
+        .send({});
+
+      expect(response.status).toBe(404);
+      expect(sequelize.models.ShareLink.create).not.toHaveBeenCalled();
+    });
+
+    it("should list a song's share links and flag the expired ones", async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.ShareLink.findAll.mockResolvedValue([
+        makeMockLink(),
+        makeMockLink({ id: 'share-2', token: 'token-def', expires_at: new Date('2020-01-01T00:00:00.000Z') })
+      ]);
+
+      const response = await request(app)
+        .get('/api/songs/song-1/shares')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { id: 'share-1', token: 'token-abc', expires_at: null, expired: false, created_at: null },
+        { id: 'share-2', token: 'token-def', expires_at: '2020-01-01T00:00:00.000Z', expired: true, created_at: null }
+      ]);
+    });
+
+    it('should revoke a share link', async () => {
+      const link = makeMockLink();
+      sequelize.models.ShareLink.findOne.mockResolvedValue(link);
+
+      const response = await request(app)
+        .delete('/api/songs/song-1/shares/share-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(link.destroy).toHaveBeenCalled();
+      expect(sequelize.models.ShareLink.findOne).toHaveBeenCalledWith({ where: { id: 'share-1', song_id: 'song-1' } });
+    });
+
+    it('should return 404 when revoking a share link that is not found', async () => {
+      sequelize.models.ShareLink.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/api/songs/song-1/shares/share-9')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Share link not found' });
+    });
+
+    it('should return the shared song, tab and videos without auth', async () => {
+      sequelize.models.ShareLink.findOne.mockResolvedValue(makeMockLink());
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-1', text: 'Capo 2\nEm7 G', scroll_speed: 20 });
+      sequelize.models.Video.findAll.mockResolvedValue([{ id: 'video-1', video_type: 'tutorial', url: 'https://youtu.be/abc' }]);
+
+      const response = await request(app).get('/api/shared/token-abc?transpose=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        song: { title: 'Wonderwall', artist: 'Oasis', key: 'F#m' },
+        tab: { text: 'Capo 2\nF#m7 A', scroll_speed: 20, capo: 2, chords: ['F#m7', 'A'], transpose: 2 },
+        videos: [{ video_type: 'tutorial', url: 'https://www.youtube.com/embed/abc' }],
+        expires_at: null
+      });
+      expect(sequelize.models.ShareLink.findOne).toHaveBeenCalledWith({ where: { token: 'token-abc' } });
+      expect(sequelize.models.Song.findOne).toHaveBeenCalledWith({ where: { id: 'song-1' } });
+    });
+
+    it('should return 404 for an unknown or expired token', async () => {
+      sequelize.models.ShareLink.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(makeMockLink({ expires_at: new Date('2020-01-01T00:00:00.000Z') }));
+
+      const unknown = await request(app).get('/api/shared/token-xyz');
+      const expired = await request(app).get('/api/shared/token-abc');
+
+      expect(unknown.status).toBe(404);
+      expect(unknown.body).toMatchObject({ message: 'Share link not found' });
+      expect(expired.status).toBe(404);
+      expect(sequelize.models.Song.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the shared song is in the trash', async () => {
+      sequelize.models.ShareLink.findOne.mockResolvedValue(makeMockLink());
+      sequelize.models.Song.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/shared/token-abc');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('forks', () => {
+    const makeMockSong = (overrides = {}) => {
+      const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'G', key_source: 'manual', user_id: 'teacher-1', ...overrides };
+      song.save = jest.fn().mockImplementation(() => Promise.resolve(song));
+      return song;
+    };
+    const makeMockTab = (overrides = {}) => {
+      const tab = { id: 'tab-1', text: 'G C\nla la', scroll_speed: 20, ...overrides };
+      tab.save = jest.fn().mockImplementation(() => Promise.resolve(tab));
+      return tab;
+    };
+    const shareLink = { id: 'share-1', token: 'token-abc', song_id: 'song-1', expires_at: null };
+
+    it('should return 401 when forking without auth token', async () => {
+      const response = await request(app).post('/api/shared/token-abc/fork');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should copy a shared song, its tab and videos into the library', async () => {
+      sequelize.models.ShareLink.findOne.mockResolvedValue(shareLink);
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.Video.findAll.mockResolvedValue([{ id: 'video-1', url: 'https://youtu.be/abc', video_type: 'tutorial' }]);
+      sequelize.models.TabRevision.findOne.mockResolvedValue({ id: 'rev-1' });
+      sequelize.models.Song.create.mockImplementation(data => Promise.resolve({ id: 'song-2', ...data }));
+      sequelize.models.Tab.create.mockImplementation(data => Promise.resolve({ id: 'tab-2', ...data }));
+      sequelize.models.Video.create.mockImplementation(data => Promise.resolve({ id: 'video-2', ...data }));
+      sequelize.models.TabRevision.count.mockResolvedValue(0);
+      sequelize.models.TabRevision.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/shared/token-abc/fork')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(201);
+      expect(response.body.song).toEqual({
+        id: 'song-2', title: 'Wonderwall', artist: 'Oasis', key: 'G', key_source: 'manual', forked_from_song_id: 'song-1'
+      });
+      expect(response.body.tab).toEqual({ id: 'tab-2', text: 'G C\nla la', scroll_speed: 20 });
+      expect(sequelize.models.Song.create).toHaveBeenCalledWith({
+        title: 'Wonderwall',
+        artist: 'Oasis',
+        user_id: 'test-user-123',
+        key: 'G',
+        key_source: 'manual',
+        forked_from_song_id: 'song-1',
+        upstream_revision_id: 'rev-1'
+      });
+      expect(sequelize.models.Video.create).toHaveBeenCalledWith({ url: 'https://youtu.be/abc', video_type: 'tutorial', song_id: 'song-2' });
+      expect(sequelize.models.TabRevision.findOne).toHaveBeenCalledWith({ where: { tab_id: 'tab-1' }, order: [['created_at', 'DESC']] });
+    });
+
+    it('should return 404 when forking with an unknown token', async () => {
+      sequelize.models.ShareLink.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/shared/token-xyz/fork')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(sequelize.models.Song.create).not.toHaveBeenCalled();
+    });
+
+    it('should report changes the original author made since the fork', async () => {
+      const fork = makeMockSong({ id: 'song-2', user_id: 'test-user-123', forked_from_song_id: 'song-1', upstream_revision_id: 'rev-1' });
+      sequelize.models.Song.findOne.mockResolvedValueOnce(fork).mockResolvedValueOnce(makeMockSong({ title: 'Wonderwall (live)' }));
+      sequelize.models.ShareLink.findAll.mockResolvedValue([shareLink]);
+      sequelize.models.Tab.findOne
+        .mockResolvedValueOnce(makeMockTab({ id: 'tab-2' }))
+        .mockResolvedValueOnce(makeMockTab({ text: 'G D\nla la' }));
+      sequelize.models.TabRevision.findOne.mockResolvedValue({ id: 'rev-2' });
+
+      const response = await request(app)
+        .get('/api/songs/song-2/upstream')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        song_id: 'song-1',
+        available: true,
+        changed: true,
+        title: 'Wonderwall (live)',
+        artist: 'Oasis',
+        changes: [
+          { type: 'removed', old_line: 0, new_line: null, text: 'G C' },
+          { type: 'added', old_line: null, new_line: 0, text: 'G D' },
+          { type: 'equal', old_line: 1, new_line: 1, text: 'la la' }
+        ]
+      });
+      expect(sequelize.models.Song.findOne).toHaveBeenLastCalledWith({ where: { id: 'song-1' } });
+    });
+
+    it('should report the original as unavailable once it is no longer shared', async () => {
+      const fork = makeMockSong({ id: 'song-2', user_id: 'test-user-123', forked_from_song_id: 'song-1', upstream_revision_id: 'rev-1' });
+      sequelize.models.Song.findOne.mockResolvedValueOnce(fork).mockResolvedValueOnce(makeMockSong());
+      sequelize.models.ShareLink.findAll.mockResolvedValue([{ ...shareLink, expires_at: new Date('2020-01-01') }]);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab({ id: 'tab-2' }));
+
+      const response = await request(app)
+        .get('/api/songs/song-2/upstream')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ song_id: 'song-1', available: false, changed: false });
+    });
+
+    it('should return 404 for the upstream of a song that is not a fork', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong({ user_id: 'test-user-123', forked_from_song_id: null }));
+
+      const response = await request(app)
+        .get('/api/songs/song-1/upstream')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Song is not a fork' });
+    });
+
+    it("should pull the original author's tab into the fork", async () => {
+      const fork = makeMockSong({ id: 'song-2', user_id: 'test-user-123', key_source: 'detected', forked_from_song_id: 'song-1', upstream_revision_id: 'rev-1' });
+      const tab = makeMockTab({ id: 'tab-2', text: 'G C\nla la, my notes' });
+      sequelize.models.Song.findOne.mockResolvedValueOnce(fork).mockResolvedValueOnce(makeMockSong());
+      sequelize.models.ShareLink.findAll.mockResolvedValue([shareLink]);
+      sequelize.models.Tab.findOne
+        .mockResolvedValueOnce(tab)
+        .mockResolvedValueOnce(makeMockTab({ text: 'D A\nla la' }));
+      sequelize.models.TabRevision.findOne.mockResolvedValue({ id: 'rev-2' });
+      sequelize.models.TabRevision.count.mockResolvedValue(1);
+      sequelize.models.TabRevision.create.mockResolvedValue({});
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/songs/song-2/upstream/pull')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.tab).toEqual({ id: 'tab-2', text: 'D A\nla la', scroll_speed: 20 });
+      expect(response.body.song).toMatchObject({ id: 'song-2', key: 'D' });
+      expect(tab.chords).toBe('D,A');
+      expect(tab.save).toHaveBeenCalled();
+      expect(sequelize.models.TabRevision.create).toHaveBeenCalledWith({ tab_id: 'tab-2', text: 'D A\nla la' });
+      expect(fork.upstream_revision_id).toBe('rev-2');
+      expect(fork.save).toHaveBeenCalled();
+    });
+
+    it('should return 409 when pulling from an original that is no longer shared', async () => {
+      const fork = makeMockSong({ id: 'song-2', user_id: 'test-user-123', forked_from_song_id: 'song-1' });
+      sequelize.models.Song.findOne.mockResolvedValueOnce(fork).mockResolvedValueOnce(null);
+      sequelize.models.ShareLink.findAll.mockResolvedValue([shareLink]);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab({ id: 'tab-2' }));
+
+      const response = await request(app)
+        .post('/api/songs/song-2/upstream/pull')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({ message: 'The original song is no longer shared' });
+      expect(fork.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('workspaces', () => {
+    const workspace = { id: 'ws-1', name: 'The Band', created_at: null };
+    const makeMockMember = (overrides = {}) => {
+      const member = { id: 'member-1', workspace_id: 'ws-1', user_id: 'test-user-123', role: 'owner', created_at: null, ...overrides };
+      member.save = jest.fn().mockImplementation(() => Promise.resolve(member));
+      member.destroy = jest.fn().mockResolvedValue();
+      return member;
+    };
+    const makeMockSong = (overrides = {}) => {
+      const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', user_id: null, workspace_id: 'ws-1', ...overrides };
+      song.save = jest.fn().mockImplementation(() => Promise.resolve(song));
+      return song;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/workspaces');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should create a workspace with the creator as its owner', async () => {
+      sequelize.models.Workspace.create.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.create.mockResolvedValue(makeMockMember());
+
+      const response = await request(app)
+        .post('/api/workspaces')
+        .set('Cookie', authCookie())
+        .send({ name: '  The Band ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ id: 'ws-1', name: 'The Band', role: 'owner', created_at: null });
+      expect(sequelize.models.Workspace.create).toHaveBeenCalledWith({ name: 'The Band' });
+      expect(sequelize.models.WorkspaceMember.create).toHaveBeenCalledWith({ workspace_id: 'ws-1', user_id: 'test-user-123', role: 'owner' });
+    });
+
+    it('should return 400 when creating a workspace without a name', async () => {
+      const response = await request(app)
+        .post('/api/workspaces')
+        .set('Cookie', authCookie())
+        .send({ name: ' ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'name is required' });
+    });
+
+    it("should list the user's workspaces with their role in each", async () => {
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([makeMockMember({ role: 'editor' })]);
+      sequelize.models.Workspace.findAll.mockResolvedValue([workspace]);
+
+      const response = await request(app)
+        .get('/api/workspaces')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 'ws-1', name: 'The Band', role: 'editor', created_at: null }]);
+    });
+
+    it('should show a workspace with its members', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'viewer' }));
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([
+        makeMockMember({ user_id: 'drummer-1' }),
+        makeMockMember({ role: 'viewer' })
+      ]);
+
+      const response = await request(app)
+        .get('/api/workspaces/ws-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        id: 'ws-1',
+        name: 'The Band',
+        role: 'viewer',
+        created_at: null,
+        members: [
+          { user_id: 'drummer-1', role: 'owner', joined_at: null },
+          { user_id: 'test-user-123', role: 'viewer', joined_at: null }
+        ]
+      });
+    });
+
+    it('should return 404 for a workspace the user is not a member of', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/workspaces/ws-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Workspace not found' });
+    });
+
+    it('should only let owners invite members', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'editor' }));
+
+      const response = await request(app)
+        .post('/api/workspaces/ws-1/invitations')
+        .set('Cookie', authCookie())
+        .send({ role: 'editor' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ message: 'Only owners of this workspace can do this' });
+      expect(sequelize.models.WorkspaceInvitation.create).not.toHaveBeenCalled();
+    });
+
+    it('should create an invitation that expires after a week', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember());
+      sequelize.models.WorkspaceInvitation.create.mockImplementation(data => Promise.resolve({ id: 'invite-1', created_at: null, ...data }));
+
+      const response = await request(app)
+        .post('/api/workspaces/ws-1/invitations')
+        .set('Cookie', authCookie())
+        .send({});
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ id: 'invite-1', role: 'viewer' });
+      expect(response.body.token).toMatch(/^[\w-]{32}$/);
+      const expiresIn = new Date(response.body.expires_at).getTime() - Date.now();
+      expect(expiresIn).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+      expect(expiresIn).toBeLessThanOrEqual(7 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should return 400 for an unknown role', async () => {
+      const response = await request(app)
+        .post('/api/workspaces/ws-1/invitations')
+        .set('Cookie', authCookie())
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'role must be one of owner, editor, viewer' });
+    });
+
+    it('should add the user who accepts an invitation and use the invitation up', async () => {
+      const invitation = { id: 'invite-1', workspace_id: 'ws-1', token: 'token-abc', role: 'editor', destroy: jest.fn().mockResolvedValue() };
+      sequelize.models.WorkspaceInvitation.findOne.mockResolvedValue(invitation);
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(null);
+      sequelize.models.WorkspaceMember.create.mockResolvedValue(makeMockMember({ role: 'editor' }));
+
+      const response = await request(app)
+        .post('/api/invitations/token-abc/accept')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'ws-1', name: 'The Band', role: 'editor', created_at: null });
+      expect(sequelize.models.WorkspaceMember.create).toHaveBeenCalledWith({ workspace_id: 'ws-1', user_id: 'test-user-123', role: 'editor' });
+      expect(invitation.destroy).toHaveBeenCalled();
+      expect(sequelize.models.WorkspaceInvitation.findOne).toHaveBeenCalledWith({
+        where: { token: 'token-abc', expires_at: { [Sequelize.Op.gt]: expect.any(Date) } }
+      });
+    });
+
+    it('should return 409 when accepting an invitation to a workspace the user is already in', async () => {
+      sequelize.models.WorkspaceInvitation.findOne.mockResolvedValue({ id: 'invite-1', workspace_id: 'ws-1', role: 'viewer', destroy: jest.fn() });
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember());
+
+      const response = await request(app)
+        .post('/api/invitations/token-abc/accept')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(409);
+      expect(sequelize.models.WorkspaceMember.create).not.toHaveBeenCalled();
+    });
+
+    it('should change the role of a member', async () => {
+      const drummer = makeMockMember({ user_id: 'drummer-1', role: 'viewer' });
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne
+        .mockResolvedValueOnce(makeMockMember())
+        .mockResolvedValueOnce(drummer);
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([makeMockMember(), drummer]);
+
+      const response = await request(app)
+        .put('/api/workspaces/ws-1/members/drummer-1')
+        .set('Cookie', authCookie())
+        .send({ role: 'editor' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ user_id: 'drummer-1', role: 'editor', joined_at: null });
+      expect(drummer.save).toHaveBeenCalled();
+    });
+
+    it('should not let the last owner leave', async () => {
+      const owner = makeMockMember();
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(owner);
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([owner, makeMockMember({ user_id: 'drummer-1', role: 'editor' })]);
+
+      const response = await request(app)
+        .delete('/api/workspaces/ws-1/members/test-user-123')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({ message: 'A workspace must keep at least one owner' });
+      expect(owner.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should let a viewer leave a workspace', async () => {
+      const viewer = makeMockMember({ role: 'viewer' });
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(viewer);
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([makeMockMember({ user_id: 'drummer-1' }), viewer]);
+
+      const response = await request(app)
+        .delete('/api/workspaces/ws-1/members/test-user-123')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(viewer.destroy).toHaveBeenCalled();
+    });
+
+    it('should delete a workspace with its songs and tags', async () => {
+      const doomed = { ...workspace, destroy: jest.fn().mockResolvedValue() };
+      sequelize.models.Workspace.findOne.mockResolvedValue(doomed);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember());
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1' }]);
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1' }, { id: 'tag-2' }]);
+      sequelize.models.Tab.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .delete('/api/workspaces/ws-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(sequelize.models.Song.destroy).toHaveBeenCalledWith({ where: { id: ['song-1'] } });
+      expect(sequelize.models.SongTag.destroy).toHaveBeenCalledWith({ where: { tag_id: ['tag-1', 'tag-2'] } });
+      expect(sequelize.models.Tag.destroy).toHaveBeenCalledWith({ where: { workspace_id: 'ws-1' } });
+      expect(sequelize.models.WorkspaceMember.destroy).toHaveBeenCalledWith({ where: { workspace_id: 'ws-1' } });
+      expect(doomed.destroy).toHaveBeenCalled();
+    });
+
+    it('should let members of a workspace read its songs', async () => {
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([makeMockMember({ role: 'viewer' })]);
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-1', text: 'Em7 G', chords: 'Em7,G' });
+      sequelize.models.SongTag.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/songs/song-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'song-1', workspace_id: 'ws-1' });
+      expect(sequelize.models.Song.findOne).toHaveBeenCalledWith({
+        where: { id: 'song-1', [Sequelize.Op.or]: [{ user_id: 'test-user-123' }, { workspace_id: ['ws-1'] }] }
+      });
+    });
+
+    it('should not let viewers change the songs of a workspace', async () => {
+      const song = makeMockSong();
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([makeMockMember({ role: 'viewer' })]);
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+
+      const response = await request(app)
+        .delete('/api/songs/song-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ message: 'Your role in this workspace only allows viewing its songs' });
+      expect(song.save).not.toHaveBeenCalled();
+    });
+
+    it('should let editors add songs to a workspace', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'editor' }));
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+      sequelize.models.Song.create.mockImplementation(data => Promise.resolve({ id: 'song-1', ...data }));
+      sequelize.models.Tab.create.mockResolvedValue({ id: 'tab-1', text: 'Em7 G', scroll_speed: null });
+      sequelize.models.TabRevision.count.mockResolvedValue(0);
+      sequelize.models.TabRevision.create.mockResolvedValue({});
 
       const response = await request(app)
         .post('/api/songs')
         .set('Cookie', authCookie())
-        .send(validPayload);
+        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Em7 G', workspace_id: 'ws-1' });
 
       expect(response.status).toBe(201);
-      expect(response.body).toEqual({
-        song: { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' },
-        tab: { id: 'tab-new-123', text: 'Em7 G Dsus4 A7sus4', scroll_speed: null },
-        videos: [
-          { id: 'video-new-1', video_type: 'youtube', url: 'https://youtube.com/watch?v=abc' },
-          { id: 'video-new-2', video_type: 'youtube', url: 'https://youtube.com/watch?v=xyz' }
-        ]
+      expect(response.body.song).toMatchObject({ id: 'song-1', workspace_id: 'ws-1' });
+      expect(sequelize.models.Song.create).toHaveBeenCalledWith(expect.objectContaining({ workspace_id: 'ws-1' }));
+      expect(sequelize.models.Song.create.mock.calls[0][0]).not.toHaveProperty('user_id');
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { workspace_id: 'ws-1' } }));
+    });
+
+    it("should list a workspace's songs", async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'viewer' }));
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+      sequelize.models.Song.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/songs?workspace_id=ws-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.Song.count).toHaveBeenCalledWith({ where: { workspace_id: 'ws-1' } });
+    });
+
+    it('should return 404 when listing the songs of a workspace the user is not in', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/songs?workspace_id=ws-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(sequelize.models.Song.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should tag a workspace song with the tags of the workspace', async () => {
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([makeMockMember({ role: 'editor' })]);
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'Setlist' }]);
+      sequelize.models.Tag.create.mockImplementation(data => Promise.resolve({ id: 'tag-2', ...data }));
+      sequelize.models.SongTag.destroy.mockResolvedValue(0);
+      sequelize.models.SongTag.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .put('/api/songs/song-1/tags')
+        .set('Cookie', authCookie())
+        .send({ tags: ['setlist', 'Encore'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tags).toEqual([{ id: 'tag-2', name: 'Encore' }, { id: 'tag-1', name: 'Setlist' }]);
+      expect(sequelize.models.Tag.findAll).toHaveBeenCalledWith({ where: { workspace_id: 'ws-1' } });
+      expect(sequelize.models.Tag.create).toHaveBeenCalledWith({ name: 'Encore', workspace_id: 'ws-1' });
+    });
+
+    it('should not let viewers share the songs of a workspace', async () => {
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([makeMockMember({ role: 'viewer' })]);
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+
+      const response = await request(app)
+        .post('/api/songs/song-1/shares')
+        .set('Cookie', authCookie())
+        .send({});
+
+      expect(response.status).toBe(403);
+      expect(sequelize.models.ShareLink.create).not.toHaveBeenCalled();
+    });
+
+    it('should not merge songs of different libraries', async () => {
+      sequelize.models.WorkspaceMember.findAll
+        .mockResolvedValueOnce([makeMockMember({ role: 'editor' })])
+        .mockResolvedValueOnce([makeMockMember({ role: 'editor' })]);
+      sequelize.models.Song.findOne
+        .mockResolvedValueOnce(makeMockSong())
+        .mockResolvedValueOnce(makeMockSong({ id: 'song-2', user_id: 'test-user-123', workspace_id: null }));
+
+      const response = await request(app)
+        .post('/api/songs/song-1/merge')
+        .set('Cookie', authCookie())
+        .send({ song_id: 'song-2' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'Both songs must be in the same library' });
+      expect(sequelize.models.Tab.update).not.toHaveBeenCalled();
+    });
+
+    it('should run bulk actions on the songs of a workspace', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'editor' }));
+      sequelize.models.Song.findAll.mockResolvedValue([{ id: 'song-1' }]);
+      sequelize.models.Song.update.mockResolvedValue([1]);
+
+      const response = await request(app)
+        .post('/api/songs/bulk')
+        .set('Cookie', authCookie())
+        .send({ action: 'rename_artist', artist: 'Oasis', song_ids: ['song-1', 'song-2'], workspace_id: 'ws-1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ succeeded: 1, failed: 1 });
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({ where: { id: ['song-1', 'song-2'], workspace_id: 'ws-1' }, attributes: ['id'] });
+    });
+
+    it('should not let viewers run bulk changes on the songs of a workspace', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'viewer' }));
+
+      const response = await request(app)
+        .post('/api/songs/bulk')
+        .set('Cookie', authCookie())
+        .send({ action: 'delete', song_ids: ['song-1'], workspace_id: 'ws-1' });
+
+      expect(response.status).toBe(403);
+      expect(sequelize.models.Song.update).not.toHaveBeenCalled();
+    });
+
+    it("should filter a workspace's songs by the tags of the workspace", async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'viewer' }));
+      sequelize.models.Tag.findAll.mockResolvedValue([{ id: 'tag-1', name: 'Encore' }]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([{ song_id: 'song-1', tag_id: 'tag-1' }]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+      sequelize.models.Song.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/songs?workspace_id=ws-1&tags=encore')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.Tag.findAll).toHaveBeenCalledWith({ where: { workspace_id: 'ws-1' } });
+      expect(sequelize.models.Song.count).toHaveBeenCalledWith({ where: { workspace_id: 'ws-1', id: ['song-1'] } });
+    });
+
+    it("should list a workspace's tags, duplicates and artists", async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'viewer' }));
+      sequelize.models.Tag.findAll.mockResolvedValue([]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      for (const url of ['/api/tags', '/api/songs/duplicates', '/api/artists', '/api/search/songs?q=wonderwall']) {
+        const response = await request(app)
+          .get(`${url}${url.includes('?') ? '&' : '?'}workspace_id=ws-1`)
+          .set('Cookie', authCookie());
+
+        expect(response.status).toBe(200);
+      }
+      expect(sequelize.models.Tag.findAll).toHaveBeenCalledWith({ where: { workspace_id: 'ws-1' }, order: [['name', 'ASC']] });
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledTimes(2);
+      sequelize.models.Song.findAll.mock.calls.forEach(([options]) => {
+        expect(options.where).toEqual({ workspace_id: 'ws-1' });
       });
+      expect(sequelize.query).toHaveBeenCalledWith(expect.stringContaining('songs.workspace_id = :ownerId'), expect.objectContaining({
+        replacements: expect.objectContaining({ ownerId: 'ws-1' })
+      }));
+    });
 
-      expect(sequelize.models.Song.create).toHaveBeenCalledWith({
-        title: 'Wonderwall',
-        artist: 'Oasis',
-        user_id: 'test-user-123'
+    it('should search the lyrics of a workspace', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'viewer' }));
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/search/lyrics?q=today&workspace_id=ws-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(sequelize.query).toHaveBeenCalledWith(expect.stringContaining('songs.workspace_id = :ownerId'), expect.objectContaining({
+        replacements: expect.objectContaining({ ownerId: 'ws-1' })
+      }));
+    });
+
+    it('should create a tag in the workspace given as a query param', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'editor' }));
+      sequelize.models.Tag.findAll.mockResolvedValue([]);
+      sequelize.models.Tag.create.mockImplementation(data => Promise.resolve({ id: 'tag-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/tags?workspace_id=ws-1')
+        .set('Cookie', authCookie())
+        .send({ name: 'Encore' });
+
+      expect(response.status).toBe(201);
+      expect(sequelize.models.Tag.create).toHaveBeenCalledWith({ name: 'Encore', workspace_id: 'ws-1' });
+    });
+
+    it('should not let viewers rename the tags or artists of a workspace', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue(workspace);
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(makeMockMember({ role: 'viewer' }));
+
+      const tagResponse = await request(app)
+        .put('/api/tags/tag-1?workspace_id=ws-1')
+        .set('Cookie', authCookie())
+        .send({ name: 'Encore' });
+      const artistResponse = await request(app)
+        .post('/api/artists/merge')
+        .set('Cookie', authCookie())
+        .send({ from: 'oasis', to: 'Oasis', workspace_id: 'ws-1' });
+
+      expect(tagResponse.status).toBe(403);
+      expect(artistResponse.status).toBe(403);
+      expect(sequelize.models.Song.update).not.toHaveBeenCalled();
+    });
+
+    it('should let viewers put workspace songs in their setlists and log practice on them', async () => {
+      sequelize.models.WorkspaceMember.findAll
+        .mockResolvedValueOnce([makeMockMember({ role: 'viewer' })])
+        .mockResolvedValueOnce([makeMockMember({ role: 'viewer' })]);
+      sequelize.models.Song.count.mockResolvedValue(1);
+      sequelize.models.Setlist.findOne.mockResolvedValue({ id: 'setlist-1', name: 'Gig', save: jest.fn().mockResolvedValue() });
+      sequelize.models.SetlistEntry.max.mockResolvedValue(null);
+      sequelize.models.SetlistEntry.create.mockImplementation(data => Promise.resolve({ id: 'entry-1', ...data }));
+      sequelize.models.SetlistEntry.findAll.mockResolvedValue([]);
+      sequelize.models.Song.findAll.mockResolvedValue([]);
+
+      const setlistResponse = await request(app)
+        .post('/api/setlists/setlist-1/entries')
+        .set('Cookie', authCookie())
+        .send({ song_id: 'song-1' });
+
+      expect(setlistResponse.status).toBe(201);
+      expect(sequelize.models.Song.count).toHaveBeenCalledWith({
+        where: { id: ['song-1'], [Sequelize.Op.or]: [{ user_id: 'test-user-123' }, { workspace_id: ['ws-1'] }] }
       });
-      expect(sequelize.models.Tab.create).toHaveBeenCalledWith({
-        text: 'Em7 G Dsus4 A7sus4',
-        scroll_speed: null,
-        song_id: 'song-new-123'
+
+      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
+      sequelize.models.PracticeSession.create.mockImplementation(data => Promise.resolve({ id: 'session-1', ...data }));
+
+      const practiceResponse = await request(app)
+        .post('/api/songs/song-1/practice')
+        .set('Cookie', authCookie())
+        .send({ started_at: '2026-10-14T18:00:00Z', ended_at: '2026-10-14T18:10:00Z' });
+
+      expect(practiceResponse.status).toBe(201);
+      expect(sequelize.models.PracticeSession.create).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'test-user-123', song_id: 'song-1' }));
+    });
+  });
+
+  describe('live sessions', () => {
+    const startSession = (body = {}) => request(app)
+      .post('/api/live-sessions')
+      .set('Cookie', authCookie())
+      .send(body);
+
+    const waitForFollowers = async (sessionId, count) => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const response = await request(app).get(`/api/live-sessions/${sessionId}`).set('Cookie', authCookie());
+        if (response.body.follower_count === count) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error('Follower did not connect');
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).post('/api/live-sessions');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should start a session led by the user', async () => {
+      const response = await startSession();
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        leader_id: 'test-user-123',
+        workspace_id: null,
+        state: { song: null, section: null, transpose: 0, scrolling: false, scroll_speed: null },
+        follower_count: 0
       });
-      expect(sequelize.models.Video.create).toHaveBeenCalledTimes(2);
     });
 
-    it('should create tab with provided scroll_speed', async () => {
-      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
-      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: 3 };
+    it('should not let viewers start a session in a workspace', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue({ id: 'ws-1', name: 'The Band' });
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue({ workspace_id: 'ws-1', user_id: 'test-user-123', role: 'viewer' });
 
-      sequelize.models.Song.create.mockResolvedValue(mockSong);
-      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+      const response = await startSession({ workspace_id: 'ws-1' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should switch songs and tell followers', async () => {
+      const session = (await startSession()).body;
+      sequelize.models.Song.findOne.mockResolvedValue({ id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' });
+      sequelize.models.Tab.findOne.mockResolvedValue({ id: 'tab-1', text: '[Intro]\nEm7 G\n[Verse]\nEm7 G\nToday is gonna be', scroll_speed: 25 });
+
+      const following = request(app).get(`/api/live-sessions/${session.id}/events`).set('Cookie', authCookie()).then(response => response);
+      await waitForFollowers(session.id, 1);
+
+      const songResponse = await request(app)
+        .post(`/api/live-sessions/${session.id}/commands`)
+        .set('Cookie', authCookie())
+        .send({ type: 'song', song_id: 'song-1' });
+      const sectionResponse = await request(app)
+        .post(`/api/live-sessions/${session.id}/commands`)
+        .set('Cookie', authCookie())
+        .send({ type: 'section', section: 1 });
+      await request(app).delete(`/api/live-sessions/${session.id}`).set('Cookie', authCookie());
+      const stream = await following;
+
+      expect(songResponse.status).toBe(200);
+      expect(sectionResponse.body.state).toEqual({
+        song: { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' },
+        section: { index: 1, name: 'Verse', line: 2 },
+        transpose: 0,
+        scrolling: false,
+        scroll_speed: 25
+      });
+      expect(sequelize.models.Song.findOne).toHaveBeenCalledWith({ where: { id: 'song-1', user_id: 'test-user-123' } });
+      expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(stream.text).toBe([
+        'retry: 2000',
+        'id: 0\nevent: state\ndata: {"song":null,"section":null,"transpose":0,"scrolling":false,"scroll_speed":null}\n',
+        'id: 1\nevent: song\ndata: {"song":{"id":"song-1","title":"Wonderwall","artist":"Oasis","key":"F#m"},"section":null,"transpose":0,"scrolling":false,"scroll_speed":25}\n',
+        'id: 2\nevent: section\ndata: {"section":{"index":1,"name":"Verse","line":2}}\n',
+        'id: 3\nevent: end\ndata: {}\n\n'
+      ].join('\n'));
+    });
+
+    it('should catch a follower who connects mid-set up on the current state', async () => {
+      const session = (await startSession()).body;
+      await request(app)
+        .post(`/api/live-sessions/${session.id}/commands`)
+        .set('Cookie', authCookie())
+        .send({ type: 'transpose', transpose: 2 });
+      await request(app)
+        .post(`/api/live-sessions/${session.id}/commands`)
+        .set('Cookie', authCookie())
+        .send({ type: 'scroll_start', scroll_speed: 40 });
+
+      const following = request(app).get(`/api/live-sessions/${session.id}/events`).set('Cookie', authCookie()).then(response => response);
+      await waitForFollowers(session.id, 1);
+      await request(app).delete(`/api/live-sessions/${session.id}`).set('Cookie', authCookie());
+      const stream = await following;
+
+      expect(stream.text.split('\n\n')[0]).toBe(
+        'retry: 2000\nid: 2\nevent: state\ndata: {"song":null,"section":null,"transpose":2,"scrolling":true,"scroll_speed":40}'
+      );
+    });
+
+    it('should return 409 when jumping to a section before a song is picked', async () => {
+      const session = (await startSession()).body;
 
       const response = await request(app)
-        .post('/api/songs')
+        .post(`/api/live-sessions/${session.id}/commands`)
         .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', scroll_speed: 3 });
+        .send({ type: 'section', section: 0 });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({ message: 'Pick a song before jumping to a section' });
+    });
+
+    it('should switch to a song that has no tab', async () => {
+      const session = (await startSession()).body;
+      sequelize.models.Song.findOne.mockResolvedValue({ id: 'song-2', title: 'Untitled', artist: 'Oasis', key: null });
+      sequelize.models.Tab.findOne.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .post(`/api/live-sessions/${session.id}/commands`)
+        .set('Cookie', authCookie())
+        .send({ type: 'song', song_id: 'song-2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.state).toMatchObject({ song: { id: 'song-2' }, scroll_speed: null });
+    });
+
+    it('should only let the leader control a session', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue({ id: 'ws-1', name: 'The Band' });
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue({ workspace_id: 'ws-1', user_id: 'test-user-123', role: 'owner' });
+      const session = (await startSession({ workspace_id: 'ws-1' })).body;
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue({ workspace_id: 'ws-1', user_id: 'drummer-1', role: 'editor' });
+
+      const response = await request(app)
+        .post(`/api/live-sessions/${session.id}/commands`)
+        .set('Cookie', authCookie('drummer-1'))
+        .send({ type: 'scroll_stop' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ message: 'Only the leader can control this session' });
+    });
+
+    it('should return 404 to users outside the workspace of a session', async () => {
+      sequelize.models.Workspace.findOne.mockResolvedValue({ id: 'ws-1', name: 'The Band' });
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValueOnce({ workspace_id: 'ws-1', user_id: 'test-user-123', role: 'owner' });
+      const session = (await startSession({ workspace_id: 'ws-1' })).body;
+      sequelize.models.WorkspaceMember.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/live-sessions/${session.id}/events`)
+        .set('Cookie', authCookie('stranger-1'));
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Live session not found' });
+    });
+
+    it('should return 400 for an unknown command', async () => {
+      const response = await request(app)
+        .post('/api/live-sessions/session-1/commands')
+        .set('Cookie', authCookie())
+        .send({ type: 'pause' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('annotations', () => {
+    const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', user_id: 'test-user-123' };
+    const tabText = '[Intro]\nEm7  G  Dsus4  A7sus4\n[Verse]\nEm7  G\nToday is gonna be the day';
+    const makeMockTab = (overrides = {}) => {
+      const tab = { id: 'tab-1', text: tabText, scroll_speed: null, ...overrides };
+      tab.save = jest.fn().mockImplementation(() => Promise.resolve(tab));
+      return tab;
+    };
+    const makeMockAnnotation = (overrides = {}) => {
+      const annotation = { id: 'note-1', tab_id: 'tab-1', user_id: 'test-user-123', line: 1, text: 'Let ring', created_at: null, updated_at: null, ...overrides };
+      annotation.save = jest.fn().mockImplementation(() => Promise.resolve(annotation));
+      return annotation;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/tabs/song-1/annotations');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should add an annotation to a line of the default tab', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabAnnotation.create.mockImplementation(data => Promise.resolve(makeMockAnnotation({ id: 'note-2', ...data })));
+
+      const response = await request(app)
+        .post('/api/tabs/song-1/annotations')
+        .set('Cookie', authCookie())
+        .send({ line: 3, text: ' Palm mute here ' });
 
       expect(response.status).toBe(201);
-      expect(response.body.tab).toEqual({ id: 'tab-new-123', text: 'Am G', scroll_speed: 3 });
-      expect(sequelize.models.Tab.create).toHaveBeenCalledWith({
-        text: 'Am G',
-        scroll_speed: 3,
-        song_id: 'song-new-123'
+      expect(response.body).toEqual({ id: 'note-2', line: 3, text: 'Palm mute here', user_id: 'test-user-123', created_at: null, updated_at: null });
+      expect(sequelize.models.TabAnnotation.create).toHaveBeenCalledWith({ line: 3, text: 'Palm mute here', tab_id: 'tab-1', user_id: 'test-user-123' });
+    });
+
+    it('should return 400 for a line past the end of the tab', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+
+      const response = await request(app)
+        .post('/api/tabs/song-1/annotations')
+        .set('Cookie', authCookie())
+        .send({ line: 5, text: 'Watch the drummer for the stop' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'line must be the index of a line of the tab' });
+      expect(sequelize.models.TabAnnotation.create).not.toHaveBeenCalled();
+    });
+
+    it('should return the annotations with the tab', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabAnnotation.findAll.mockResolvedValueOnce([makeMockAnnotation(), makeMockAnnotation({ id: 'note-2', line: null })]);
+
+      const response = await request(app)
+        .get('/api/tabs/song-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.annotations).toEqual([
+        { id: 'note-1', line: 1, text: 'Let ring', user_id: 'test-user-123', created_at: null, updated_at: null },
+        { id: 'note-2', line: null, text: 'Let ring', user_id: 'test-user-123', created_at: null, updated_at: null }
+      ]);
+      expect(sequelize.models.TabAnnotation.findAll).toHaveBeenCalledWith({
+        where: { tab_id: 'tab-1' },
+        order: [['line', 'ASC NULLS LAST'], ['created_at', 'ASC']]
       });
     });
 
-    it('should create tab with null scroll_speed when not provided', async () => {
-      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
-      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+    it('should move annotations down when a capo line is added to the rendered tab', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabAnnotation.findAll.mockResolvedValueOnce([makeMockAnnotation()]);
 
-      sequelize.models.Song.create.mockResolvedValue(mockSong);
-      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+      const response = await request(app)
+        .get('/api/tabs/song-1?capo=2')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.text.split('\n')[0]).toBe('Capo 2');
+      expect(response.body.annotations[0].line).toBe(2);
+    });
+
+    it('should keep annotations on their lines when the tab text is edited', async () => {
+      const noteOnChords = makeMockAnnotation();
+      const noteOnVerse = makeMockAnnotation({ id: 'note-2', line: 2 });
+      const noteOnRemovedLine = makeMockAnnotation({ id: 'note-3', line: 4 });
+      sequelize.models.Song.findOne.mockResolvedValue({ ...song, save: jest.fn().mockResolvedValue(song) });
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabRevision.count.mockResolvedValue(1);
+      sequelize.models.TabRevision.create.mockResolvedValue({});
+      sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.TabAnnotation.findAll.mockResolvedValueOnce([noteOnChords, noteOnVerse, noteOnRemovedLine]);
+
+      const response = await request(app)
+        .put('/api/songs/song-1')
+        .set('Cookie', authCookie())
+        .send({ tab_text: 'Capo 2\n\n[Intro]\nEm7  G  Dsus4  A7sus4  Cadd9\n[Verse]\nEm7  G' });
+
+      expect(response.status).toBe(200);
+      expect(sequelize.models.TabAnnotation.findAll).toHaveBeenCalledWith({ where: { tab_id: 'tab-1', line: { [Sequelize.Op.ne]: null } } });
+      expect(noteOnChords.line).toBe(3);
+      expect(noteOnVerse.line).toBe(4);
+      expect(noteOnRemovedLine.line).toBeNull();
+      expect(noteOnChords.save).toHaveBeenCalled();
+      expect(noteOnRemovedLine.save).toHaveBeenCalled();
+    });
+
+    it('should not diff the tab text when it has no annotations to move', async () => {
+      const lineMapping = jest.spyOn(Annotations, 'lineMapping');
+      sequelize.models.Song.findOne.mockResolvedValue({ ...song, save: jest.fn().mockResolvedValue(song) });
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabRevision.count.mockResolvedValue(1);
+      sequelize.models.TabRevision.create.mockResolvedValue({});
+      sequelize.models.Video.findAll.mockResolvedValue([]);
 
       const response = await request(app)
-        .post('/api/songs')
+        .put('/api/songs/song-1')
         .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G' });
+        .send({ tab_text: 'Capo 2\n\n[Intro]\nEm7  G' });
 
-      expect(response.status).toBe(201);
-      expect(response.body.tab).toMatchObject({ scroll_speed: null });
-      expect(sequelize.models.Tab.create).toHaveBeenCalledWith({
-        text: 'Am G',
-        scroll_speed: null,
-        song_id: 'song-new-123'
-      });
+      expect(response.status).toBe(200);
+      expect(lineMapping).not.toHaveBeenCalled();
+      lineMapping.mockRestore();
     });
 
-    it('should create song with no videos when videos array is empty', async () => {
-      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
-      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+    it('should move an annotation to another line', async () => {
+      const annotation = makeMockAnnotation({ line: null });
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabAnnotation.findOne.mockResolvedValue(annotation);
 
-      sequelize.models.Song.create.mockResolvedValue(mockSong);
-      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+      const response = await request(app)
+        .put('/api/tabs/song-1/annotations/note-1')
+        .set('Cookie', authCookie())
+        .send({ line: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 'note-1', line: 2, text: 'Let ring' });
+      expect(annotation.save).toHaveBeenCalled();
+      expect(sequelize.models.TabAnnotation.findOne).toHaveBeenCalledWith({ where: { id: 'note-1', tab_id: 'tab-1' } });
+    });
+
+    it('should return 404 when updating an annotation that is not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabAnnotation.findOne.mockResolvedValue(null);
 
       const response = await request(app)
-        .post('/api/songs')
+        .put('/api/tabs/song-1/annotations/note-9')
         .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos: [] });
+        .send({ text: 'Let ring' });
 
-      expect(response.status).toBe(201);
-      expect(response.body.videos).toEqual([]);
-      expect(sequelize.models.Video.create).not.toHaveBeenCalled();
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Annotation not found' });
     });
 
-    it('should create song with no videos when videos is omitted', async () => {
-      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
-      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+    it('should delete an annotation', async () => {
+      sequelize.models.Song.findOne.mockResolvedValue(song);
+      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
+      sequelize.models.TabAnnotation.destroy.mockResolvedValue(1);
 
-      sequelize.models.Song.create.mockResolvedValue(mockSong);
-      sequelize.models.Tab.create.mockResolvedValue(mockTab);
+      const response = await request(app)
+        .delete('/api/tabs/song-1/annotations/note-1')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(204);
+      expect(sequelize.models.TabAnnotation.destroy).toHaveBeenCalledWith({ where: { id: 'note-1', tab_id: 'tab-1' } });
+    });
+
+    it('should not let workspace viewers annotate', async () => {
+      sequelize.models.WorkspaceMember.findAll.mockResolvedValueOnce([{ workspace_id: 'ws-1', user_id: 'test-user-123', role: 'viewer' }]);
+      sequelize.models.Song.findOne.mockResolvedValue({ ...song, user_id: null, workspace_id: 'ws-1' });
 
       const response = await request(app)
-        .post('/api/songs')
+        .post('/api/tabs/song-1/annotations')
         .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G' });
+        .send({ line: 1, text: 'Let ring' });
 
-      expect(response.status).toBe(201);
-      expect(response.body.videos).toEqual([]);
-      expect(sequelize.models.Video.create).not.toHaveBeenCalled();
+      expect(response.status).toBe(403);
+      expect(sequelize.models.TabAnnotation.create).not.toHaveBeenCalled();
     });
+  });
 
-    it('should allow exactly 5 videos', async () => {
-      const videos = Array.from({ length: 5 }, (_, i) => ({
-        url: `https://youtube.com/watch?v=${i}`,
-        video_type: 'youtube'
-      }));
+  describe('artists', () => {
+    const songs = [
+      { id: 'song-1', title: 'Hey Jude', artist: 'The Beatles', key: 'F' },
+      { id: 'song-2', title: 'Yesterday', artist: 'Beatles', key: 'Am' },
+      { id: 'song-3', title: 'Let it Be', artist: 'The Beatles', key: 'C' },
+      { id: 'song-4', title: 'Dream On', artist: 'Aeromsith', key: 'Fm' },
+      { id: 'song-5', title: 'Dude Looks Like a Lady', artist: 'Aerosmith', key: 'A' }
+    ];
 
-      const mockSong = { id: 'song-new-123', title: 'Wonderwall', artist: 'Oasis' };
-      const mockTab = { id: 'tab-new-123', text: 'Am G', scroll_speed: null };
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/artists');
 
-      sequelize.models.Song.create.mockResolvedValue(mockSong);
-      sequelize.models.Tab.create.mockResolvedValue(mockTab);
-      videos.forEach((_, i) => {
-        sequelize.models.Video.create.mockResolvedValueOnce({
-          id: `video-${i}`,
-          video_type: 'youtube',
-          url: `https://youtube.com/watch?v=${i}`
-        });
-      });
+      expect(response.status).toBe(401);
+    });
+
+    it('should list artists with their spellings and song counts', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue(songs);
 
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send({ title: 'Wonderwall', artist: 'Oasis', tab_text: 'Am G', videos });
+        .get('/api/artists')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(201);
-      expect(response.body.videos).toHaveLength(5);
-      expect(sequelize.models.Video.create).toHaveBeenCalledTimes(5);
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { name: 'Aeromsith', variants: ['Aeromsith'], song_count: 1 },
+        { name: 'Aerosmith', variants: ['Aerosmith'], song_count: 1 },
+        { name: 'The Beatles', variants: ['Beatles', 'The Beatles'], song_count: 3 }
+      ]);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith({ where: { user_id: 'test-user-123' }, attributes: ['id', 'artist'] });
     });
 
-    it('should return 500 on database error', async () => {
-      sequelize.models.Song.create.mockRejectedValue(new Error('Database error'));
+    it('should filter artists by a typo-tolerant query', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue(songs);
 
       const response = await request(app)
-        .post('/api/songs')
-        .set('Cookie', authCookie())
-        .send(validPayload);
+        .get('/api/artists?query=aerosmith')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(500);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Internal Server Error'
+      expect(response.status).toBe(200);
+      expect(response.body.map(artist => artist.name)).toEqual(['Aeromsith', 'Aerosmith']);
+    });
+
+    it("should list an artist's songs under any spelling", async () => {
+      sequelize.models.Song.findAll.mockResolvedValue(songs);
+
+      const response = await request(app)
+        .get('/api/artists/beatles/songs')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        name: 'The Beatles',
+        variants: ['Beatles', 'The Beatles'],
+        songs: [songs[0], songs[1], songs[2]]
       });
     });
-  });
 
-  describe('PUT /api/songs/:songId', () => {
-    const validPayload = {
-      title: 'Wonderwall Updated',
-      artist: 'Oasis',
-      tab_text: 'Em G D A'
-    };
+    it('should return 404 for an artist without songs', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue(songs);
 
-    const makeMockSong = (overrides = {}) => ({
-      id: 'song-123',
-      title: 'Old Title',
-      artist: 'Oasis',
-      save: jest.fn().mockResolvedValue({ id: 'song-123', title: 'Wonderwall Updated', artist: 'Oasis', ...overrides })
+      const response = await request(app)
+        .get('/api/artists/Oasis/songs')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ message: 'Artist not found' });
     });
 
-    const makeMockTab = (overrides = {}) => {
-      const tab = { id: 'tab-123', text: 'Am G', scroll_speed: null, ...overrides };
-      tab.save = jest.fn().mockResolvedValue({ id: 'tab-123', text: 'Em G D A', scroll_speed: null, ...overrides });
-      return tab;
-    };
+    it('should rename every spelling of the merged artists', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue(songs);
+      sequelize.models.Song.update.mockResolvedValue([1]);
 
-    it('should return 401 without auth token', async () => {
       const response = await request(app)
-        .put('/api/songs/song-123')
-        .send(validPayload);
+        .post('/api/artists/merge')
+        .set('Cookie', authCookie())
+        .send({ from: ['Aeromsith'], to: ' Aerosmith ' });
 
-      expect(response.status).toBe(401);
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ name: 'Aerosmith', variants: ['Aerosmith'], song_count: 2, renamed: 1 });
+      expect(sequelize.models.Song.update).toHaveBeenCalledWith(
+        { artist: 'Aerosmith', updated_at: expect.any(Date) },
+        { where: { id: ['song-4'], user_id: 'test-user-123' } }
+      );
     });
 
-    it('should return 400 when videos is not an array', async () => {
+    it('should return 400 for a merge without a target name', async () => {
       const response = await request(app)
-        .put('/api/songs/song-123')
+        .post('/api/artists/merge')
         .set('Cookie', authCookie())
-        .send({ ...validPayload, videos: 'not-array' });
+        .send({ from: 'Beatles', to: ' ' });
 
       expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'videos must be an array'
-      });
+      expect(response.body).toMatchObject({ message: 'to must be a non-empty artist name' });
+      expect(sequelize.models.Song.update).not.toHaveBeenCalled();
     });
 
-    it('should return 400 when more than 5 videos are provided', async () => {
-      const videos = Array.from({ length: 6 }, (_, i) => ({
-        url: `https://youtube.com/watch?v=${i}`,
-        video_type: 'youtube'
-      }));
-
+    it('should return 400 for a merge from something other than names', async () => {
       const response = await request(app)
-        .put('/api/songs/song-123')
+        .post('/api/artists/merge')
         .set('Cookie', authCookie())
-        .send({ ...validPayload, videos });
+        .send({ from: [], to: 'The Beatles' });
 
       expect(response.status).toBe(400);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Maximum of 5 videos allowed'
-      });
+      expect(response.body).toMatchObject({ message: 'from must be an artist name or a list of artist names' });
     });
 
-    it('should return 404 when song not found', async () => {
-      sequelize.models.Song.findOne.mockResolvedValue(null);
+    it('should return 404 when no song has the artist being merged', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue(songs);
 
       const response = await request(app)
-        .put('/api/songs/non-existent')
+        .post('/api/artists/merge')
         .set('Cookie', authCookie())
-        .send(validPayload);
+        .send({ from: 'Oasis', to: 'The Beatles' });
 
       expect(response.status).toBe(404);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Song not found'
-      });
+      expect(sequelize.models.Song.update).not.toHaveBeenCalled();
     });
+  });
 
-    it('should update song and tab successfully', async () => {
-      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
-      sequelize.models.Tab.findOne.mockResolvedValue(makeMockTab());
-      sequelize.models.Video.findAll.mockResolvedValue([]);
+  describe('duplicate songs', () => {
+    const makeMockSong = (overrides = {}) => {
+      const song = { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', key_source: 'detected', last_practiced_at: null, ...overrides };
+      song.save = jest.fn().mockImplementation(() => Promise.resolve(song));
+      song.destroy = jest.fn().mockResolvedValue();
+      return song;
+    };
+
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/songs/duplicates');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list clusters of likely duplicates, oldest song first', async () => {
+      sequelize.models.Song.findAll.mockResolvedValue([
+        { id: 'song-1', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', created_at: '2024-01-01T00:00:00.000Z' },
+        { id: 'song-2', title: 'Hey Jude', artist: 'The Beatles', key: 'F', created_at: '2024-01-02T00:00:00.000Z' },
+        { id: 'song-3', title: 'Wonderwal', artist: 'oasis', key: 'F#m', created_at: '2024-01-03T00:00:00.000Z' },
+        { id: 'song-4', title: 'Hey Jude (Remastered)', artist: 'Beatles', key: 'F', created_at: '2024-01-04T00:00:00.000Z' },
+        { id: 'song-5', title: 'Hey You', artist: 'The Beatles', key: 'G', created_at: '2024-01-05T00:00:00.000Z' }
+      ]);
 
       const response = await request(app)
-        .put('/api/songs/song-123')
+        .get('/api/songs/duplicates')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(cluster => ({ score: cluster.score, ids: cluster.songs.map(song => song.id) }))).toEqual([
+        { score: 1, ids: ['song-2', 'song-4'] },
+        { score: 0.833, ids: ['song-1', 'song-3'] }
+      ]);
+      expect(sequelize.models.Song.findAll).toHaveBeenCalledWith(expect.objectContaining({ order: [['created_at', 'ASC']] }));
+    });
+
+    it('should merge a song into another, keeping the chosen tab and the videos of both', async () => {
+      const song = makeMockSong();
+      const other = makeMockSong({ id: 'song-2', key: 'G', key_source: 'manual', last_practiced_at: new Date('2024-03-01') });
+      const video = (id, url) => ({ id, url, video_type: 'youtube' });
+
+      sequelize.models.Song.findOne.mockResolvedValueOnce(song).mockResolvedValueOnce(other);
+      sequelize.models.Tab.findOne
+        .mockResolvedValueOnce({ id: 'tab-1', text: 'Em7 G', scroll_speed: null })
+        .mockResolvedValueOnce({ id: 'tab-2', text: 'Capo 2\nEm7 G', scroll_speed: 20 });
+      sequelize.models.Video.findAll
+        .mockResolvedValueOnce([video('video-1', 'abc'), video('video-2', 'def'), video('video-3', 'ghi')])
+        .mockResolvedValueOnce([video('video-4', 'https://youtu.be/abc'), video('video-5', 'jkl'), video('video-6', 'mno'), video('video-7', 'pqr')]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([{ tag_id: 'tag-1' }]);
+      sequelize.models.Tab.findAll.mockResolvedValue([{ id: 'tab-1' }]);
+      sequelize.models.Tab.destroy.mockResolvedValue(1);
+      sequelize.models.TabRevision.destroy.mockResolvedValue(1);
+      sequelize.models.Tab.update.mockResolvedValue([2]);
+      sequelize.models.Video.destroy.mockResolvedValue(2);
+      sequelize.models.Video.update.mockResolvedValue([2]);
+      sequelize.models.SongTag.destroy.mockResolvedValue(1);
+      sequelize.models.SongTag.update.mockResolvedValue([1]);
+      sequelize.models.SetlistEntry.update.mockResolvedValue([1]);
+      sequelize.models.PracticeSession.update.mockResolvedValue([3]);
+
+      const response = await request(app)
+        .post('/api/songs/song-1/merge')
         .set('Cookie', authCookie())
-        .send(validPayload);
+        .send({ song_id: 'song-2', tab_id: 'tab-2' });
 
       expect(response.status).toBe(200);
-      expect(response.body).toMatchObject({
-        song: { id: 'song-123', title: 'Wonderwall Updated', artist: 'Oasis' },
-        tab: { id: 'tab-123', text: 'Em G D A', scroll_speed: null },
-        videos: []
-      });
+      expect(response.body.tab).toEqual({ id: 'tab-2', text: 'Capo 2\nEm7 G', scroll_speed: 20 });
+      expect(response.body.song).toMatchObject({ id: 'song-1', key: 'G', key_source: 'manual' });
+      expect(response.body.videos.map(v => v.id)).toEqual(['video-1', 'video-2', 'video-3', 'video-5', 'video-6']);
+
+      expect(sequelize.models.Tab.destroy).toHaveBeenCalledWith({ where: { id: 'tab-1' } });
+      expect(sequelize.models.Tab.update).toHaveBeenCalledWith({ song_id: 'song-1' }, { where: { song_id: 'song-2' } });
+      expect(sequelize.models.Video.destroy).toHaveBeenCalledWith({ where: { id: ['video-4', 'video-7'] } });
+      expect(sequelize.models.Video.update).toHaveBeenCalledWith({ song_id: 'song-1' }, { where: { id: ['video-5', 'video-6'] } });
+      expect(sequelize.models.SongTag.destroy).toHaveBeenCalledWith({ where: { song_id: 'song-2', tag_id: ['tag-1'] } });
+      expect(sequelize.models.SongTag.update).toHaveBeenCalledWith({ song_id: 'song-1' }, { where: { song_id: 'song-2' } });
+      expect(sequelize.models.SetlistEntry.update).toHaveBeenCalledWith({ song_id: 'song-1' }, { where: { song_id: 'song-2' } });
+      expect(sequelize.models.PracticeSession.update).toHaveBeenCalledWith({ song_id: 'song-1' }, { where: { song_id: 'song-2' } });
+      expect(sequelize.models.Song.update).toHaveBeenCalledWith({ forked_from_song_id: 'song-1' }, { where: { forked_from_song_id: 'song-2' } });
+      expect(song.last_practiced_at).toEqual(new Date('2024-03-01'));
+      expect(song.save).toHaveBeenCalled();
+      expect(other.destroy).toHaveBeenCalled();
     });
 
-    it('should update tab with provided scroll_speed', async () => {
-      const mockTab = makeMockTab({ scroll_speed: 5, text: 'Em G D A' });
-      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
-      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+    it("should keep the song's own tab when no tab is chosen", async () => {
+      const song = makeMockSong();
+      const other = makeMockSong({ id: 'song-2', key: 'G' });
+
+      sequelize.models.Song.findOne.mockResolvedValueOnce(song).mockResolvedValueOnce(other);
+      sequelize.models.Tab.findOne
+        .mockResolvedValueOnce({ id: 'tab-1', text: 'Em7 G', scroll_speed: null })
+        .mockResolvedValueOnce({ id: 'tab-2', text: 'G C', scroll_speed: null });
       sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([]);
+      sequelize.models.Tab.findAll.mockResolvedValue([{ id: 'tab-2' }]);
 
       const response = await request(app)
-        .put('/api/songs/song-123')
+        .post('/api/songs/song-1/merge')
         .set('Cookie', authCookie())
-        .send({ ...validPayload, scroll_speed: 5 });
+        .send({ song_id: 'song-2' });
 
       expect(response.status).toBe(200);
-      expect(response.body.tab).toMatchObject({ scroll_speed: 5 });
-      expect(mockTab.scroll_speed).toBe(5);
-      expect(mockTab.save).toHaveBeenCalled();
+      expect(response.body.tab.id).toBe('tab-1');
+      expect(response.body.song.key).toBe('F#m');
+      expect(sequelize.models.Tab.destroy).toHaveBeenCalledWith({ where: { id: 'tab-2' } });
     });
 
-    it('should not change scroll_speed when scroll_speed is not in the request body', async () => {
-      const mockTab = makeMockTab({ scroll_speed: 5 });
-      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
-      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
+    it('should return 400 for a tab that is not the default tab of either song', async () => {
+      sequelize.models.Song.findOne.mockResolvedValueOnce(makeMockSong()).mockResolvedValueOnce(makeMockSong({ id: 'song-2' }));
+      sequelize.models.Tab.findOne
+        .mockResolvedValueOnce({ id: 'tab-1', text: 'Em7 G', scroll_speed: null })
+        .mockResolvedValueOnce({ id: 'tab-2', text: 'G C', scroll_speed: null });
       sequelize.models.Video.findAll.mockResolvedValue([]);
+      sequelize.models.SongTag.findAll.mockResolvedValue([]);
 
-      await request(app)
-        .put('/api/songs/song-123')
+      const response = await request(app)
+        .post('/api/songs/song-1/merge')
         .set('Cookie', authCookie())
-        .send(validPayload);
+        .send({ song_id: 'song-2', tab_id: 'tab-3' });
 
-      expect(mockTab.scroll_speed).toBe(5);
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'tab_id must be the default tab of one of the two songs' });
+      expect(sequelize.models.Tab.update).not.toHaveBeenCalled();
     });
 
-    it('should update only scroll_speed when only scroll_speed is provided', async () => {
-      const mockTab = makeMockTab({ scroll_speed: null });
-      sequelize.models.Song.findOne.mockResolvedValue(makeMockSong());
-      sequelize.models.Tab.findOne.mockResolvedValue(mockTab);
-      sequelize.models.Video.findAll.mockResolvedValue([]);
+    it('should return 400 when merging a song into itself', async () => {
+      const response = await request(app)
+        .post('/api/songs/song-1/merge')
+        .set('Cookie', authCookie())
+        .send({ song_id: 'song-1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'song_id must be the ID of another song' });
+    });
+
+    it('should return 404 when either song is not found', async () => {
+      sequelize.models.Song.findOne.mockResolvedValueOnce(makeMockSong()).mockResolvedValueOnce(null);
 
       const response = await request(app)
-        .put('/api/songs/song-123')
+        .post('/api/songs/song-1/merge')
         .set('Cookie', authCookie())
-        .send({ scroll_speed: 8 });
+        .send({ song_id: 'song-2' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('chord diagrams', () => {
+    it('should return 401 without auth token', async () => {
+      const response = await request(app).get('/api/chords/G');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return voicings for a single chord', async () => {
+      const response = await request(app)
+        .get('/api/chords/D%2FC%23?voicings=2')
+        .set('Cookie', authCookie());
 
       expect(response.status).toBe(200);
-      expect(mockTab.scroll_speed).toBe(8);
-      expect(mockTab.save).toHaveBeenCalled();
+      expect(response.body.name).toBe('D/C#');
+      expect(response.body.instrument).toBe('guitar');
+      expect(response.body.voicings).toHaveLength(2);
+      expect(response.body.voicings[0]).toEqual({
+        frets: [-1, 4, 0, 2, 2, 2],
+        fingers: [0, 4, 0, 1, 2, 3],
+        barre: null,
+        base_fret: 1
+      });
     });
 
-    it('should return 500 on database error', async () => {
-      sequelize.models.Song.findOne.mockRejectedValue(new Error('Database error'));
+    it('should return 404 for a chord it cannot voice', async () => {
+      const response = await request(app)
+        .get('/api/chords/Hello')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ status: 'error', message: 'Chord not found' });
+    });
+
+    it('should return 400 for an unknown instrument or voicing count', async () => {
+      const instrumentResponse = await request(app)
+        .get('/api/chords/G?instrument=banjo')
+        .set('Cookie', authCookie());
+      const voicingsResponse = await request(app)
+        .get('/api/chords/G?voicings=0')
+        .set('Cookie', authCookie());
+
+      expect(instrumentResponse.status).toBe(400);
+      expect(instrumentResponse.body).toMatchObject({ message: 'instrument must be one of guitar, ukulele' });
+      expect(voicingsResponse.status).toBe(400);
+      expect(voicingsResponse.body).toMatchObject({ message: 'voicings must be an integer between 1 and 10' });
+    });
 
+    it('should return diagrams for several chords at once', async () => {
       const response = await request(app)
-        .put('/api/songs/song-123')
-        .set('Cookie', authCookie())
-        .send(validPayload);
+        .get('/api/chords?names=C,Am,Hello&instrument=ukulele&voicings=1')
+        .set('Cookie', authCookie());
 
-      expect(response.status).toBe(500);
-      expect(response.body).toMatchObject({
-        status: 'error',
-        message: 'Internal Server Error'
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        instrument: 'ukulele',
+        chords: [
+          { name: 'C', voicings: [{ frets: [0, 0, 0, 3], fingers: [0, 0, 0, 3], barre: null, base_fret: 1 }] },
+          { name: 'Am', voicings: [{ frets: [2, 0, 0, 0], fingers: [2, 0, 0, 0], barre: null, base_fret: 1 }] },
+          { name: 'Hello', voicings: [] }
+        ]
       });
     });
+
+    it('should return 400 when no chord names are given', async () => {
+      const response = await request(app)
+        .get('/api/chords')
+        .set('Cookie', authCookie());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ message: 'names must be a comma-separated list of 1 to 50 chords' });
+    });
   });
 
   describe('POST /api/auth/google', () => {
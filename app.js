@@ -8,14 +8,305 @@ function checkVideoUrl(url) {
   return 'https://www.youtube.com/embed/' + url;
 }
 
+// Returns the 400 message for an invalid videos payload, or null when it is acceptable
+function validateVideos(videos) {
+  if (!videos) return null;
+  if (!Array.isArray(videos)) return 'videos must be an array';
+  if (videos.length > 5) return 'Maximum of 5 videos allowed';
+  if (videos.some(v => !v.url || !v.video_type)) return 'Each video must have a url and video_type';
+  return null;
+}
+
+// Chords are stored comma-separated on the tab; rows written before that column existed fall back to the text
+function tabChords(tab) {
+  if (tab.chords) return tab.chords.split(',');
+  return Chords.uniqueChords(tab.text || '');
+}
+
+function parseChordList(value) {
+  if (value === undefined) return { chords: null };
+  const chords = String(value).split(',').map(name => name.trim()).filter(Boolean);
+  if (chords.length === 0 || chords.some(name => !Chords.parseChord(name))) {
+    return { error: true };
+  }
+  return { chords };
+}
+
+// Resolves to the ids of the owner's songs whose chords pass the only_chords / has_chord filters
+function findSongIdsByChords(owner, onlyChords, hasChords) {
+  return sequelize.models.Song.findAll({ where: owner, attributes: ['id'] })
+    .then(songs => sequelize.models.Tab.findAll({
+      where: { song_id: songs.map(song => song.id), is_default: true },
+      attributes: ['song_id', 'text', 'chords']
+    }))
+    .then(tabs => tabs
+      .filter(tab => {
+        const chords = tabChords(tab);
+        if (onlyChords && !Chords.playableWith(chords, onlyChords)) return false;
+        if (hasChords && !Chords.usesChords(chords, hasChords)) return false;
+        return true;
+      })
+      .map(tab => tab.song_id));
+}
+
+// Resolves to the tabs of the owner's songs whose lyrics match the search terms, best match first
+// and at most one tab per song. Without a lyric index (a SQLite database that was never indexed)
+// nothing matches, so searches fall back to titles and artists.
+function findLyricMatches(owner, terms) {
+  if (terms.length === 0) return Promise.resolve([]);
+  const dialect = sequelize.getDialect();
+  const ownerColumn = owner.workspace_id ? 'workspace_id' : 'user_id';
+
+  return sequelize.query(Search.lyricSearchSql(dialect, ownerColumn), {
+    replacements: { match: Search.matchExpression(terms, dialect), ownerId: owner[ownerColumn] },
+    type: Sequelize.QueryTypes.SELECT
+  })
+    .then(rows => rows.filter((row, index) => rows.findIndex(other => other.song_id === row.song_id) === index))
+    .catch(err => {
+      if (!/no such table: tab_lyrics/.test(err.message)) throw err;
+      console.error('Lyric index missing, run npm run index-lyrics:', err.message);
+      return [];
+    });
+}
+
+// Creates the SQLite lyric and song name indexes and their triggers if they are missing, and
+// rebuilds them from the tabs and songs
+function setUpSearchIndexes() {
+  if (sequelize.getDialect() !== 'sqlite') return Promise.resolve();
+  return [...Search.SQLITE_SETUP, ...Fuzzy.SQLITE_SETUP]
+    .reduce((done, statement) => done.then(() => sequelize.query(statement)), Promise.resolve());
+}
+
+// Resolves to the owner's songs whose title or artist is close to the query, best match first.
+// Only the candidates picked by the trigram index are scored. SQLite can't pick by trigrams when
+// every word of the query is shorter than three letters, so those songs are picked by the words
+// instead, and a SQLite database without the index scores all of the owner's songs.
+function findFuzzyMatches(owner, query) {
+  const dialect = sequelize.getDialect();
+  const ownerColumn = owner.workspace_id ? 'workspace_id' : 'user_id';
+  const match = Fuzzy.candidateMatch(query);
+  const attributes = ['id', 'title', 'artist', 'key'];
+
+  const candidates = dialect !== 'postgres' && !match
+    ? sequelize.models.Song.findAll({
+      where: {
+        ...owner,
+        [Sequelize.Op.or]: Fuzzy.normalize(query).split(' ').flatMap(word => [
+          { title: { [sequelize.likeOp]: `%${word}%` } },
+          { artist: { [sequelize.likeOp]: `%${word}%` } }
+        ])
+      },
+      attributes,
+      limit: Fuzzy.MAX_CANDIDATES
+    })
+    : sequelize.query(Fuzzy.candidateSql(dialect, ownerColumn), {
+      replacements: { query: Fuzzy.normalize(query), match, ownerId: owner[ownerColumn] },
+      type: Sequelize.QueryTypes.SELECT
+    })
+      .catch(err => {
+        if (!/no such table: song_names/.test(err.message)) throw err;
+        console.error('Song name index missing, restart the development server:', err.message);
+        return sequelize.models.Song.findAll({ where: owner, attributes });
+      });
+
+  return candidates.then(songs => Fuzzy.rankSongs(songs, query));
+}
+
+// Reads the tab rendering options from the query string; returns { error } for a 400
+function parseTabOptions(query) {
+  const options = {};
+
+  if (query.transpose !== undefined && query.to_key !== undefined) {
+    return { error: 'transpose and to_key cannot be combined' };
+  }
+
+  if (query.transpose !== undefined) {
+    // A literal "+" arrives as a space unless the client encodes it
+    const transpose = String(query.transpose).trim();
+    if (!/^[+-]?\d+$/.test(transpose) || Math.abs(parseInt(transpose)) > 11) {
+      return { error: 'transpose must be an integer between -11 and 11' };
+    }
+    options.transpose = parseInt(transpose);
+  }
+
+  if (query.to_key !== undefined) {
+    options.toKey = Chords.parseKey(String(query.to_key));
+    if (!options.toKey) {
+      return { error: 'to_key must be a key such as E, Bb or F#m' };
+    }
+  }
+
+  if (query.capo !== undefined) {
+    const capo = String(query.capo).trim();
+    if (!/^\d+$/.test(capo) || parseInt(capo) > 12) {
+      return { error: 'capo must be a fret between 0 and 12' };
+    }
+    options.capo = parseInt(capo);
+  }
+
+  if (query.key !== undefined) {
+    options.key = Chords.parseKey(String(query.key));
+    if (!options.key) {
+      return { error: 'key must be a key such as E, Bb or F#m' };
+    }
+  }
+
+  if (query.notation !== undefined) {
+    if (!['chords', 'nashville', 'roman'].includes(query.notation)) {
+      return { error: 'notation must be one of chords, nashville, roman' };
+    }
+    if (query.notation !== 'chords') options.notation = query.notation;
+  }
+
+  return { options };
+}
+
+// Reads the instrument and voicing count for the chord diagram endpoints; returns { error } for a 400
+function parseDiagramOptions(query) {
+  const instrument = query.instrument || 'guitar';
+  if (!Object.keys(ChordDiagrams.INSTRUMENTS).includes(instrument)) {
+    return { error: `instrument must be one of ${Object.keys(ChordDiagrams.INSTRUMENTS).join(', ')}` };
+  }
+
+  const voicings = query.voicings !== undefined ? String(query.voicings).trim() : '3';
+  if (!/^\d+$/.test(voicings) || parseInt(voicings) < 1 || parseInt(voicings) > 10) {
+    return { error: 'voicings must be an integer between 1 and 10' };
+  }
+
+  return { options: { instrument, voicings: parseInt(voicings) } };
+}
+
+// Reads a manual key from a request body: undefined when absent, null to go back to detection
+function parseKeyField(value) {
+  if (value === undefined) return { key: undefined };
+  if (value === null || value === '') return { key: null };
+  const key = Chords.parseKey(String(value));
+  if (!key) return { error: 'key must be a key such as E, Bb or F#m' };
+  return { key: Chords.formatKey(key) };
+}
+
+// A manual key sticks until it is cleared; otherwise the key follows the chords of the default tab
+function setSongKey(song, text, manualKey) {
+  if (manualKey) {
+    song.key = manualKey;
+    song.key_source = 'manual';
+  } else if (manualKey === null || song.key_source !== 'manual') {
+    song.key = Chords.detectSongKey(text || '');
+    song.key_source = 'detected';
+  }
+}
+
+const DUPLICATE_MODES = ['warn', 'reject', 'allow'];
+
+function parseDuplicateMode(value) {
+  if (value === undefined) return { mode: 'warn' };
+  if (!DUPLICATE_MODES.includes(value)) return { error: `duplicates must be one of ${DUPLICATE_MODES.join(', ')}` };
+  return { mode: value };
+}
+
+// Likely duplicates of a new song among the owner's songs; none are looked for when they are allowed
+function findSongDuplicates(owner, song, mode) {
+  if (mode === 'allow') return Promise.resolve([]);
+
+  return sequelize.models.Song.findAll({ where: owner, attributes: ['id', 'title', 'artist', 'key'] })
+    .then(songs => Duplicates.findDuplicates(song, songs).map(({ song: duplicate, score }) => ({
+      id: duplicate.id,
+      title: duplicate.title,
+      artist: duplicate.artist,
+      key: duplicate.key,
+      score
+    })));
+}
+
+// Creates the song unless it looks like a duplicate and those are rejected
+function createSongChecked(res, owner, fields, mode) {
+  return findSongDuplicates(owner, fields, mode)
+    .then(duplicates => {
+      if (mode === 'reject' && duplicates.length > 0) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'This song looks like a duplicate of one you already have',
+          duplicates,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return createSong(owner, fields)
+        .then(({ song, tab, videos: createdVideos }) => {
+          res.status(201).json({ ...formatSongResponse(song, tab, createdVideos), duplicates });
+        });
+    });
+}
+
+// Applies capo, transposition and notation options to the stored tab text. Keys are sounding
+// (concert) keys: the song's key is the ?key= param, then the stored key, then what the chords
+// suggest, and the stored capo is taken into account when working out the shift. Returns { error }
+// for a 400 when to_key is major and the song minor, or the other way round.
+function renderTabText(text, options, songKey) {
+  const storedCapo = Chords.parseCapo(text)?.fret || 0;
+  const capo = options.capo ?? storedCapo;
+  const detectedKey = Chords.detectKey(text);
+  const concertKey = options.key || songKey || (detectedKey && Chords.shiftKey(detectedKey, storedCapo));
+
+  if (options.toKey && concertKey && options.toKey.minor !== concertKey.minor) {
+    return { error: `to_key must be a ${concertKey.minor ? 'minor' : 'major'} key, like the song's key ${Chords.formatKey(concertKey)}` };
+  }
+
+  let semitones = options.transpose || 0;
+  if (options.toKey) {
+    semitones = concertKey ? Chords.semitonesBetween(concertKey, options.toKey) : 0;
+  }
+
+  // The key of the chord shapes in the returned text
+  const shapeKey = concertKey && Chords.shiftKey(concertKey, semitones - capo);
+  const targetKey = options.toKey && capo === 0 ? options.toKey : shapeKey;
+  const preferFlats = targetKey ? Chords.keyPrefersFlats(targetKey) : false;
+
+  const capoText = options.capo !== undefined ? Chords.setCapoLine(text, capo) : text;
+  const chordText = Chords.transposeText(capoText, storedCapo - capo + semitones, preferFlats);
+
+  return {
+    text: options.notation && shapeKey ? Chords.numberText(chordText, shapeKey, options.notation) : chordText,
+    chords: Chords.uniqueChords(chordText),
+    capo: capo || null,
+    transpose: semitones,
+    key: concertKey && Chords.formatKey(semitones ? Chords.shiftKey(concertKey, semitones) : concertKey),
+    shapeKey,
+  };
+}
+
+// Fields added to a rendered tab response for the options that were used
+function renderedTabFields(rendered, options) {
+  return {
+    capo: rendered.capo,
+    chords: rendered.chords,
+    ...((options.transpose !== undefined || options.toKey !== undefined) && { transpose: rendered.transpose }),
+    ...(options.notation && { notation: options.notation, key: rendered.key })
+  };
+}
+
 const express = require('express');
 const app = express();
 const PORT = process.env.PORT || 3001;
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
+const { randomBytes, randomUUID } = require('crypto');
 const sequelize = require('./sequelize');
 const { Sequelize } = require('sequelize');
 const { requireAuth, handleGoogleAuth } = require('./Auth');
+const Chords = require('./Chords');
+const Sections = require('./Sections');
+const ChordPro = require('./ChordPro');
+const Diff = require('./Diff');
+const ChordDiagrams = require('./ChordDiagrams');
+const Practice = require('./Practice');
+const Search = require('./Search');
+const Fuzzy = require('./Fuzzy');
+const Artists = require('./Artists');
+const Duplicates = require('./Duplicates');
+const Workspaces = require('./Workspaces');
+const LiveSessions = require('./LiveSessions');
+const Annotations = require('./Annotations');
 
 allowedOrigins = [
   'http://localhost:3002',
@@ -37,64 +328,3931 @@ app.post('/api/auth/logout', (_req, res) => {
   res.sendStatus(204);
 });
 
+// `owner` is { user_id } or { workspace_id }; `origin` records where a forked song was copied from
+function createSong(owner, { title, artist, tab_text, scroll_speed, videos, key }, origin = {}) {
+  const song = { title, artist, ...owner, ...origin };
+  setSongKey(song, tab_text, key);
+
+  return sequelize.models.Song.create(song)
+    .then(song => {
+      const tabPromise = sequelize.models.Tab.create({
+        text: tab_text,
+        scroll_speed: scroll_speed ?? null,
+        chords: Chords.uniqueChords(tab_text).join(','),
+        lyrics: Search.lyricText(tab_text),
+        is_default: true,
+        song_id: song.id
+      });
+
+      const videoPromises = (videos || []).map(video =>
+        sequelize.models.Video.create({
+          url: video.url,
+          video_type: video.video_type,
+          song_id: song.id
+        })
+      );
+
+      const revisionPromise = tabPromise.then(tab => recordRevision(tab));
+
+      return Promise.all([tabPromise, revisionPromise, ...videoPromises])
+        .then(([tab, _revision, ...createdVideos]) => ({ song, tab, videos: createdVideos }));
+    });
+}
+
+// Stores a new version of a tab's text. Tabs created before revisions were kept get their
+// previous text recorded first, so the version being replaced is never lost.
+function recordRevision(tab, previousText) {
+  const TabRevision = sequelize.models.TabRevision;
+
+  return TabRevision.count({ where: { tab_id: tab.id } })
+    .then(count => {
+      if (count > 0 || previousText === undefined) return null;
+      return TabRevision.create({ tab_id: tab.id, text: previousText, created_at: tab.updated_at || new Date() });
+    })
+    .then(() => TabRevision.create({ tab_id: tab.id, text: tab.text }));
+}
+
+const PERMISSION_DENIED_MESSAGES = {
+  edit: 'Your role in this workspace only allows viewing its songs',
+  manage: 'Only owners of this workspace can do this'
+};
+
+// Where clause for the songs a user can see: their own, and those of the workspaces they are a
+// member of
+function visibleSongsWhere(userId, memberships) {
+  return memberships.length === 0
+    ? { user_id: userId }
+    : { [Sequelize.Op.or]: [{ user_id: userId }, { workspace_id: memberships.map(member => member.workspace_id) }] };
+}
+
+// Resolves to the song with the user's role on it, or null when the user can't see the song.
+// Users own their own songs; on a workspace song they have the role of their membership.
+function findSongAccess(userId, songId, Song = sequelize.models.Song) {
+  return sequelize.models.WorkspaceMember.findAll({ where: { user_id: userId } })
+    .then(memberships => {
+      const where = { id: songId, ...visibleSongsWhere(userId, memberships) };
+
+      return Song.findOne({ where })
+        .then(song => {
+          if (!song) return null;
+          const membership = song.workspace_id && memberships.find(member => member.workspace_id === song.workspace_id);
+          return { song, role: membership ? membership.role : 'owner' };
+        });
+    });
+}
+
+function findVisibleSong(userId, songId) {
+  return findSongAccess(userId, songId).then(access => access && access.song);
+}
+
+// Loads a song the user may change; responds with the 404, or the 403 when the user may only view
+// the song, and resolves to null in that case
+function findEditableSong(res, userId, songId) {
+  return findSongAccess(userId, songId)
+    .then(access => {
+      if (!access || !Workspaces.roleAllows(access.role, 'edit')) {
+        res.status(access ? 403 : 404).json({
+          status: 'error',
+          message: access ? PERMISSION_DENIED_MESSAGES.edit : 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+        return null;
+      }
+      return access.song;
+    });
+}
+
+// Loads a workspace and the user's membership of it. Responds with the 404 when the user isn't a
+// member, or the 403 when their role doesn't allow the permission, and resolves to null then.
+function findWorkspaceAccess(res, userId, workspaceId, permission) {
+  return Promise.all([
+    sequelize.models.Workspace.findOne({ where: { id: workspaceId } }),
+    sequelize.models.WorkspaceMember.findOne({ where: { workspace_id: workspaceId, user_id: userId } })
+  ])
+    .then(([workspace, member]) => {
+      if (!workspace || !member || !Workspaces.roleAllows(member.role, permission)) {
+        res.status(workspace && member ? 403 : 404).json({
+          status: 'error',
+          message: workspace && member ? PERMISSION_DENIED_MESSAGES[permission] : 'Workspace not found',
+          timestamp: new Date().toISOString(),
+        });
+        return null;
+      }
+      return { workspace, member };
+    });
+}
+
+// The library a song belongs to, as a where clause like the one findSongOwner resolves to
+function songOwner(song) {
+  return song.workspace_id ? { workspace_id: song.workspace_id } : { user_id: song.user_id };
+}
+
+// The songs a request works on, as a where clause: the user's own, or a workspace's when a
+// workspace_id is given. Resolves to null when findWorkspaceAccess has already responded.
+function findSongOwner(res, userId, workspaceId, permission) {
+  if (workspaceId === undefined) return Promise.resolve({ user_id: userId });
+  return findWorkspaceAccess(res, userId, String(workspaceId), permission)
+    .then(access => access && { workspace_id: access.workspace.id });
+}
+
+// Moves a tab's annotations along with their lines when its text changes. Annotations whose line
+// was removed are kept, without a line, for the user to place again.
+function reanchorAnnotations(tabId, previousText, text) {
+  return sequelize.models.TabAnnotation.findAll({ where: { tab_id: tabId, line: { [Sequelize.Op.ne]: null } } })
+    .then(annotations => {
+      if (annotations.length === 0) return [];
+
+      const mapping = Annotations.lineMapping(previousText, text);
+      return Promise.all(annotations
+        .filter(annotation => Annotations.moveAnchor(mapping, annotation.line) !== annotation.line)
+        .map(annotation => {
+          annotation.line = Annotations.moveAnchor(mapping, annotation.line);
+          return annotation.save();
+        }));
+    });
+}
+
+function formatAnnotation(annotation) {
+  return {
+    id: annotation.id,
+    line: annotation.line,
+    text: annotation.text,
+    user_id: annotation.user_id,
+    created_at: annotation.created_at,
+    updated_at: annotation.updated_at
+  };
+}
+
+// A tab's annotations in line order, those without a line last
+function findAnnotations(tabId) {
+  return sequelize.models.TabAnnotation.findAll({
+    where: { tab_id: tabId },
+    order: [['line', 'ASC NULLS LAST'], ['created_at', 'ASC']]
+  });
+}
+
+// The single-tab endpoints all work on the song's default arrangement
+function findDefaultTab(songId) {
+  return sequelize.models.Tab.findOne({ where: { song_id: songId, is_default: true } });
+}
+
+// Re-detects the song's key after its default tab changes; manual keys are left alone
+function refreshSongKey(song, text) {
+  if (song.key_source === 'manual') return Promise.resolve(song);
+  setSongKey(song, text);
+  return song.save();
+}
+
+// Deletes tabs along with their revision history and annotations
+function destroyTabs(where) {
+  return sequelize.models.Tab.findAll({ where, attributes: ['id'] })
+    .then(tabs => Promise.all([
+      sequelize.models.TabRevision.destroy({ where: { tab_id: tabs.map(tab => tab.id) } }),
+      sequelize.models.TabAnnotation.destroy({ where: { tab_id: tabs.map(tab => tab.id) } }),
+      sequelize.models.Tab.destroy({ where })
+    ]));
+}
+
+// Resolves to those of the song ids that aren't in the trash
+function liveSongIds(songIds) {
+  const ids = [...new Set(songIds)];
+  if (ids.length === 0) return Promise.resolve([]);
+  return sequelize.models.Song.findAll({ where: { id: ids }, attributes: ['id'] })
+    .then(songs => songs.map(song => song.id));
+}
+
+// Resolves to those of the song ids that aren't in the trash and that the user can still see
+function visibleSongIds(userId, songIds) {
+  const ids = [...new Set(songIds)];
+  if (ids.length === 0) return Promise.resolve([]);
+  return sequelize.models.WorkspaceMember.findAll({ where: { user_id: userId } })
+    .then(memberships => sequelize.models.Song.findAll({
+      where: { id: ids, ...visibleSongsWhere(userId, memberships) },
+      attributes: ['id']
+    }))
+    .then(songs => songs.map(song => song.id));
+}
+
+// Deletes everything that belongs to one or more songs, but not the songs themselves
+function destroySongData(songIds) {
+  return Promise.all([
+    sequelize.models.Video.destroy({ where: { song_id: songIds } }),
+    destroyTabs({ song_id: songIds }),
+    sequelize.models.SetlistEntry.destroy({ where: { song_id: songIds } }),
+    sequelize.models.SongTag.destroy({ where: { song_id: songIds } }),
+    sequelize.models.PracticeSession.destroy({ where: { song_id: songIds } }),
+    sequelize.models.ShareLink.destroy({ where: { song_id: songIds } })
+  ]);
+}
+
+function formatTab(tab) {
+  return {
+    id: tab.id,
+    name: tab.name,
+    is_default: tab.is_default,
+    text: tab.text,
+    scroll_speed: tab.scroll_speed
+  };
+}
+
+function formatSongResponse(song, tab, videos) {
+  return {
+    song: {
+      id: song.id,
+      title: song.title,
+      artist: song.artist,
+      key: song.key,
+      key_source: song.key_source,
+      forked_from_song_id: song.forked_from_song_id,
+      workspace_id: song.workspace_id
+    },
+    tab: {
+      id: tab.id,
+      text: tab.text,
+      scroll_speed: tab.scroll_speed
+    },
+    videos: videos.map(v => ({
+      id: v.id,
+      video_type: v.video_type,
+      url: v.url
+    }))
+  };
+}
+
+// Columns that can be nullable sort their nulls last in either direction. Every order ends on the
+// id so that pages never overlap when several songs share the sort value.
+const SONG_SORT_ORDERS = {
+  artist: { column: 'artist', direction: 'ASC', then: [['title', 'ASC']] },
+  title: { column: 'title', direction: 'ASC', then: [['artist', 'ASC']] },
+  key: { column: 'key', direction: 'ASC', nullable: true, then: [['artist', 'ASC'], ['title', 'ASC']] },
+  created_at: { column: 'created_at', direction: 'DESC', date: true, then: [] },
+  updated_at: { column: 'updated_at', direction: 'DESC', date: true, then: [] },
+  last_practiced_at: { column: 'last_practiced_at', direction: 'DESC', nullable: true, date: true, then: [['artist', 'ASC'], ['title', 'ASC']] }
+};
+
+// The columns a sort order compares, in order, as [column, direction, nullable]
+function songSortKeys(sort, direction) {
+  const { column, nullable, then } = SONG_SORT_ORDERS[sort];
+  return [[column, direction, Boolean(nullable)], ...then.map(([name, thenDirection]) => [name, thenDirection, false]), ['id', 'ASC', false]];
+}
+
+function songOrder(sort, direction) {
+  return songSortKeys(sort, direction).map(([column, keyDirection, nullable]) => [column, nullable ? `${keyDirection} NULLS LAST` : keyDirection]);
+}
+
+// Where clause for the songs that come after a song in a sort order, given the song's values of
+// the sort keys: equal on the first few keys and past it on the next. Nulls sort last, so every
+// value is followed by the nulls and a null only by songs that tie on it.
+function songsAfterWhere(sort, direction, values) {
+  const keys = songSortKeys(sort, direction);
+
+  return {
+    [Sequelize.Op.or]: keys.flatMap(([column, keyDirection, nullable], index) => {
+      if (values[index] === null) return [];
+      const past = { [column]: { [keyDirection === 'ASC' ? Sequelize.Op.gt : Sequelize.Op.lt]: values[index] } };
+      return [{
+        [Sequelize.Op.and]: [
+          ...keys.slice(0, index).map(([earlier], earlierIndex) => ({ [earlier]: values[earlierIndex] })),
+          nullable ? { [Sequelize.Op.or]: [past, { [column]: null }] } : past
+        ]
+      }];
+    })
+  };
+}
+
+// Cursors are opaque to clients: base64url JSON of the order and the sort key values of the last
+// song of the page, so the next page starts right after it even when songs were added or removed
+function encodeSongCursor(page, song) {
+  const after = songSortKeys(page.sort, page.direction).map(([column]) => song[column] ?? null);
+  return Buffer.from(JSON.stringify({ sort: page.sort, direction: page.direction, after })).toString('base64url');
+}
+
+function decodeSongCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Object.keys(SONG_SORT_ORDERS).includes(position.sort) || !['ASC', 'DESC'].includes(position.direction)) return null;
+
+    const { after } = position;
+    const keys = songSortKeys(position.sort, position.direction);
+    if (!Array.isArray(after) || after.length !== keys.length) return null;
+    if (!after.every((value, index) => typeof value === 'string' || (value === null && keys[index][2]))) return null;
+
+    if (SONG_SORT_ORDERS[position.sort].date && after[0] !== null) {
+      after[0] = new Date(after[0]);
+      if (isNaN(after[0])) return null;
+    }
+    return position;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Reads the paging and sort params of GET /api/songs; returns { error } for a 400. A cursor carries
+// its own sort order, which a sort or direction param given alongside it has to agree with.
+function parseSongPage(query) {
+  const limit = query.limit !== undefined ? String(query.limit).trim() : '10';
+  if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > 100) {
+    return { error: 'limit must be an integer between 1 and 100' };
+  }
+
+  if (query.cursor !== undefined && query.offset !== undefined) {
+    return { error: 'cursor and offset cannot be combined' };
+  }
+
+  const cursor = query.cursor !== undefined ? decodeSongCursor(query.cursor) : null;
+  if (query.cursor !== undefined && !cursor) return { error: 'cursor is invalid' };
+
+  const offset = query.offset !== undefined ? String(query.offset).trim() : '0';
+  if (!/^\d+$/.test(offset)) return { error: 'offset must be a non-negative integer' };
+
+  const sort = query.sort || cursor?.sort || 'artist';
+  if (!Object.keys(SONG_SORT_ORDERS).includes(sort)) {
+    return { error: `sort must be one of ${Object.keys(SONG_SORT_ORDERS).join(', ')}` };
+  }
+
+  if (query.direction !== undefined && !['asc', 'desc'].includes(query.direction)) {
+    return { error: 'direction must be one of asc, desc' };
+  }
+  const direction = query.direction?.toUpperCase() || (cursor && cursor.sort === sort ? cursor.direction : SONG_SORT_ORDERS[sort].direction);
+
+  if (cursor && (cursor.sort !== sort || cursor.direction !== direction)) {
+    return { error: 'cursor belongs to a different sort order' };
+  }
+
+  return { page: { limit: parseInt(limit), offset: parseInt(offset), after: cursor ? cursor.after : null, sort, direction } };
+}
+
 app.get('/api/songs', requireAuth, (req, res) => {
   const userId = req.token.user_id;
 
-  const limit = req.query.limit ? parseInt(req.query.limit) : 10;
-  const offset = req.query.offset ? parseInt(req.query.offset) : 0;
   const query = req.query.query ? `%${req.query.query.trim()}%` : null;
 
-  sequelize.models.Song.findAll({
-    where: {
-      user_id: userId,
-      ...(query && {
-        [Sequelize.Op.or]: [
-          { title: { [sequelize.likeOp]: query } },
-          { artist: { [sequelize.likeOp]: query } }
-        ]
-      })
-    },
-    order: [['artist', 'ASC'], ['title', 'ASC']],
-    limit,
-    offset
-  })
-  .then(result => {
-    res.json(result);
-  })
-  .catch(err => {
-    console.error('Error executing query', err.stack);
-    res.status(500).json({
-      status: 'error',
-      message: 'Internal Server Error',
-      timestamp: new Date().toISOString(),
+  const { page, error: pageError } = parseSongPage(req.query);
+  if (pageError) {
+    return res.status(400).json({
+      status: 'error',
+      message: pageError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const onlyChords = parseChordList(req.query.only_chords);
+  const hasChords = parseChordList(req.query.has_chord);
+
+  if (onlyChords.error || hasChords.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: `${onlyChords.error ? 'only_chords' : 'has_chord'} must be a comma-separated list of chords`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const key = req.query.key !== undefined ? Chords.parseKey(String(req.query.key)) : null;
+  if (req.query.key !== undefined && !key) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'key must be a key such as E, Bb or F#m',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const tags = req.query.tags !== undefined
+    ? String(req.query.tags).split(',').map(name => name.trim()).filter(Boolean)
+    : null;
+  if (tags && tags.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'tags must be a comma-separated list of tag names',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const tagMode = req.query.tag_mode || 'all';
+  if (!['all', 'any'].includes(tagMode)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'tag_mode must be one of all, any',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => {
+      if (!owner) return;
+
+      // Each filter that can't be expressed on the songs table resolves to a list of matching song ids
+      const idFilters = [];
+      if (onlyChords.chords || hasChords.chords) {
+        idFilters.push(findSongIdsByChords(owner, onlyChords.chords, hasChords.chords));
+      }
+      if (tags) {
+        idFilters.push(findSongIdsByTags(owner, tags, tagMode));
+      }
+
+      // Besides the substring match, a query finds songs by their lyrics and by near misses of the title or artist
+      const lyricMatches = query ? findLyricMatches(owner, Search.searchTerms(req.query.query)) : Promise.resolve([]);
+      const fuzzyMatches = query ? findFuzzyMatches(owner, req.query.query) : Promise.resolve([]);
+
+      return Promise.all([Promise.all(idFilters), lyricMatches, fuzzyMatches])
+        .then(([idLists, lyricRows, fuzzyResults]) => {
+          const ids = idLists.length > 0
+            ? idLists.reduce((kept, list) => kept.filter(id => list.includes(id)))
+            : null;
+          const matchedIds = [...new Set([...lyricRows.map(row => row.song_id), ...fuzzyResults.map(result => result.song.id)])];
+
+          const where = {
+            ...owner,
+            ...(ids && { id: ids }),
+            ...(key && { key: Chords.keySpellings(key) }),
+            ...(query && {
+              [Sequelize.Op.or]: [
+                { title: { [sequelize.likeOp]: query } },
+                { artist: { [sequelize.likeOp]: query } },
+                ...(matchedIds.length > 0 ? [{ id: matchedIds }] : [])
+              ]
+            })
+          };
+
+          // One song more than the page shows whether there is a next page
+          return Promise.all([
+            sequelize.models.Song.findAll({
+              where: page.after
+                ? { ...where, [Sequelize.Op.and]: [songsAfterWhere(page.sort, page.direction, page.after)] }
+                : where,
+              order: songOrder(page.sort, page.direction),
+              limit: page.limit + 1,
+              offset: page.offset
+            }),
+            sequelize.models.Song.count({ where })
+          ]);
+        })
+        .then(([rows, total]) => {
+          const songs = rows.slice(0, page.limit);
+          res.json({
+            songs,
+            total,
+            limit: page.limit,
+            next_cursor: rows.length > page.limit ? encodeSongCursor(page, songs[songs.length - 1]) : null
+          });
+        });
+    })
+  .catch(err => {
+    console.error('Error executing query', err.stack);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal Server Error',
+      timestamp: new Date().toISOString(),
+    });
+  });
+});
+
+// Ranked lyric search. Each result carries the lyric line that matched best, with the ranges of
+// the matching words so the client can highlight them.
+app.get('/api/search/lyrics', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const terms = Search.searchTerms(req.query.q || '');
+
+  if (terms.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'q must contain at least one word',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const limit = req.query.limit !== undefined ? String(req.query.limit).trim() : '20';
+  if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > 50) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'limit must be an integer between 1 and 50',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => {
+      if (!owner) return;
+
+      return findLyricMatches(owner, terms)
+        .then(rows => rows.slice(0, parseInt(limit)))
+        .then(rows => sequelize.models.Song.findAll({ where: { id: rows.map(row => row.song_id), ...owner } })
+          .then(songs => {
+            res.json(rows
+              .map(row => ({ row, song: songs.find(s => s.id === row.song_id) }))
+              .filter(({ song }) => song)
+              .map(({ row, song }) => ({
+                song: { id: song.id, title: song.title, artist: song.artist, key: song.key },
+                tab: { id: row.tab_id, name: row.name, is_default: Boolean(row.is_default) },
+                rank: Number(row.rank),
+                snippet: Search.lyricSnippet(row.lyrics, terms)
+              })));
+          }));
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Typo-tolerant search on titles and artists, scored from 0 to 1
+app.get('/api/search/songs', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const q = req.query.q || '';
+
+  if (!Fuzzy.normalize(q)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'q must contain at least one word',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const limit = req.query.limit !== undefined ? String(req.query.limit).trim() : '20';
+  if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > 50) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'limit must be an integer between 1 and 50',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => {
+      if (!owner) return;
+
+      return findFuzzyMatches(owner, q)
+        .then(results => {
+          res.json(results.slice(0, parseInt(limit)).map(({ song, score, matched }) => ({
+            song: { id: song.id, title: song.title, artist: song.artist, key: song.key },
+            score,
+            matched
+          })));
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Oldest song first in each cluster, which is usually the one to merge the others into
+app.get('/api/songs/duplicates', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => owner && sequelize.models.Song.findAll({
+      where: owner,
+      attributes: ['id', 'title', 'artist', 'key', 'created_at'],
+      order: [['created_at', 'ASC']]
+    })
+      .then(songs => {
+        res.json(Duplicates.duplicateClusters(songs).map(cluster => ({
+          score: cluster.score,
+          songs: cluster.songs.map(song => ({
+            id: song.id,
+            title: song.title,
+            artist: song.artist,
+            key: song.key,
+            created_at: song.created_at
+          }))
+        })));
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/songs/:id', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  const songId = req.params.id;
+  findVisibleSong(userId, songId)
+    .then(result => {
+      if (!result) {
+        return res.status(404).json({
+          id: 'not_found',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      } 
+
+      const song = result;
+
+      return Promise.all([findDefaultTab(songId), findSongTags(songId)])
+        .then(([tab, tags]) => {
+          res.json({
+            id: song.id,
+            title: song.title,
+            artist: song.artist,
+            key: song.key,
+            key_source: song.key_source,
+            forked_from_song_id: song.forked_from_song_id,
+            workspace_id: song.workspace_id,
+            chords: tab ? tabChords(tab) : [],
+            tags
+          });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/tabs/:songId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  const { options, error } = parseTabOptions(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findDefaultTab(songId)
+        .then(result => findAnnotations(result.id)
+          .then(annotations => {
+            const rendered = renderTabText(result.text, options, Chords.parseKey(song.key));
+            if (rendered.error) {
+              return res.status(400).json({
+                status: 'error',
+                message: rendered.error,
+                timestamp: new Date().toISOString(),
+              });
+            }
+
+            // Rendering keeps every line where it was, except that setting a capo can add a capo line on top
+            const lineOffset = rendered.text.split('\n').length - result.text.split('\n').length;
+
+            res.json({
+              id: result.id,
+              text: rendered.text,
+              scroll_speed: result.scroll_speed,
+              ...renderedTabFields(rendered, options),
+              annotations: annotations.map(annotation => ({
+                ...formatAnnotation(annotation),
+                line: annotation.line === null ? null : annotation.line + lineOffset
+              }))
+            });
+          }));
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/tabs/:songId/sections', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  const { options, error } = parseTabOptions(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findDefaultTab(songId)
+        .then(result => {
+          // Sections are found on the chord names, since a line of numbers doesn't read as a chord line
+          const rendered = renderTabText(result.text, { ...options, notation: undefined }, Chords.parseKey(song.key));
+          if (rendered.error) {
+            return res.status(400).json({
+              status: 'error',
+              message: rendered.error,
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          const sections = Sections.parseSections(rendered.text);
+
+          if (options.notation && rendered.shapeKey) {
+            sections.forEach(section => section.lines
+              .filter(line => line.type === 'chord')
+              .forEach(line => {
+                line.text = Chords.numberText(line.text, rendered.shapeKey, options.notation);
+              }));
+          }
+
+          res.json({
+            id: result.id,
+            capo: rendered.capo,
+            ...(options.notation && { notation: options.notation, key: rendered.key }),
+            sections
+          });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/tabs/:songId/revisions', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findDefaultTab(songId)
+        .then(tab => sequelize.models.TabRevision.findAll({
+          where: { tab_id: tab.id },
+          order: [['created_at', 'DESC']]
+        }))
+        .then(revisions => {
+          res.json(revisions.map((revision, index) => ({
+            id: revision.id,
+            created_at: revision.created_at,
+            line_count: revision.text.split('\n').length,
+            current: index === 0
+          })));
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Diff.diffLines gives up on texts that differ in too many lines, rather than blocking the server
+function respondDiffTooLarge(res) {
+  return res.status(422).json({
+    status: 'error',
+    message: 'The texts differ in too many lines to compare',
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Must be registered before /revisions/:revisionId so "diff" isn't taken for an id
+app.get('/api/tabs/:songId/revisions/diff', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+  const { from, to } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'from and to revision ids are required',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findDefaultTab(songId)
+        .then(tab => sequelize.models.TabRevision.findAll({ where: { tab_id: tab.id, id: [from, to] } }))
+        .then(revisions => {
+          const fromRevision = revisions.find(revision => revision.id === from);
+          const toRevision = revisions.find(revision => revision.id === to);
+
+          if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Revision not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          const changes = Diff.diffLines(fromRevision.text, toRevision.text);
+          if (!changes) return respondDiffTooLarge(res);
+
+          res.json({
+            from: { id: fromRevision.id, created_at: fromRevision.created_at },
+            to: { id: toRevision.id, created_at: toRevision.created_at },
+            changes
+          });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/tabs/:songId/revisions/:revisionId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, revisionId } = req.params;
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findDefaultTab(songId)
+        .then(tab => sequelize.models.TabRevision.findOne({ where: { id: revisionId, tab_id: tab.id } }))
+        .then(revision => {
+          if (!revision) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Revision not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          res.json({
+            id: revision.id,
+            created_at: revision.created_at,
+            text: revision.text
+          });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/tabs/:songId/revisions/:revisionId/restore', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, revisionId } = req.params;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return findDefaultTab(songId)
+        .then(tab => sequelize.models.TabRevision.findOne({ where: { id: revisionId, tab_id: tab.id } })
+          .then(revision => {
+            if (!revision) {
+              return res.status(404).json({
+                status: 'error',
+                message: 'Revision not found',
+                timestamp: new Date().toISOString(),
+              });
+            }
+
+            // Restoring adds a new revision rather than rewinding, so the restore itself can be undone
+            const previousText = tab.text;
+            tab.text = revision.text;
+            tab.chords = Chords.uniqueChords(revision.text).join(',');
+            tab.lyrics = Search.lyricText(revision.text);
+            tab.updated_at = new Date();
+
+            return tab.save()
+              .then(savedTab => Promise.all([
+                recordRevision(tab, previousText),
+                reanchorAnnotations(tab.id, previousText, tab.text),
+                refreshSongKey(song, tab.text)
+              ])
+                .then(() => {
+                  res.json({
+                    id: savedTab.id,
+                    text: savedTab.text,
+                    scroll_speed: savedTab.scroll_speed
+                  });
+                }));
+          }));
+    })
+    .catch(err => {
+      console.error('Error restoring revision', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/tabs/:songId/annotations', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findDefaultTab(songId)
+        .then(tab => findAnnotations(tab.id))
+        .then(annotations => {
+          res.json(annotations.map(formatAnnotation));
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/tabs/:songId/annotations', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return findDefaultTab(songId)
+        .then(tab => {
+          const { fields, error } = Annotations.parseAnnotation(req.body, tab.text.split('\n').length);
+          if (error) {
+            return res.status(400).json({
+              status: 'error',
+              message: error,
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          return sequelize.models.TabAnnotation.create({ ...fields, tab_id: tab.id, user_id: userId })
+            .then(annotation => {
+              res.status(201).json(formatAnnotation(annotation));
+            });
+        });
+    })
+    .catch(err => {
+      console.error('Error creating annotation', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Also how an annotation that lost its line is placed again
+app.put('/api/tabs/:songId/annotations/:annotationId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, annotationId } = req.params;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return findDefaultTab(songId)
+        .then(tab => sequelize.models.TabAnnotation.findOne({ where: { id: annotationId, tab_id: tab.id } })
+          .then(annotation => {
+            if (!annotation) {
+              return res.status(404).json({
+                status: 'error',
+                message: 'Annotation not found',
+                timestamp: new Date().toISOString(),
+              });
+            }
+
+            const { fields, error } = Annotations.parseAnnotation(req.body, tab.text.split('\n').length, { partial: true });
+            if (error) {
+              return res.status(400).json({
+                status: 'error',
+                message: error,
+                timestamp: new Date().toISOString(),
+              });
+            }
+
+            Object.assign(annotation, fields, { updated_at: new Date() });
+            return annotation.save()
+              .then(() => {
+                res.json(formatAnnotation(annotation));
+              });
+          }));
+    })
+    .catch(err => {
+      console.error('Error updating annotation', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/tabs/:songId/annotations/:annotationId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, annotationId } = req.params;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return findDefaultTab(songId)
+        .then(tab => sequelize.models.TabAnnotation.destroy({ where: { id: annotationId, tab_id: tab.id } }))
+        .then(deleted => {
+          if (deleted === 0) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Annotation not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+          res.status(204).send();
+        });
+    })
+    .catch(err => {
+      console.error('Error deleting annotation', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/videos/:songId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      sequelize.models.Video.findAll({ where: { song_id: songId } })
+        .then(result => {
+          res.json(result.map(video => ({
+            id: video.id,
+            video_type: video.video_type,
+            url: checkVideoUrl(video.url)
+          })));
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/songs/:songId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      song.deleted_at = new Date();
+      return song.save()
+        .then(() => {
+          res.status(204).send();
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/songs', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { title, artist, tab_text, scroll_speed, videos } = req.body;
+
+  if (!title || !artist || !tab_text) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'title, artist, and tab_text are required',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const videosError = validateVideos(videos);
+  if (videosError) {
+    return res.status(400).json({
+      status: 'error',
+      message: videosError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const { key, error: keyError } = parseKeyField(req.body.key);
+  if (keyError) {
+    return res.status(400).json({
+      status: 'error',
+      message: keyError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const { mode, error: modeError } = parseDuplicateMode(req.query.duplicates);
+  if (modeError) {
+    return res.status(400).json({
+      status: 'error',
+      message: modeError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findSongOwner(res, userId, req.body.workspace_id, 'edit')
+    .then(owner => owner && createSongChecked(res, owner, { title, artist, tab_text, scroll_speed, videos, key }, mode))
+    .catch(err => {
+      console.error('Error creating song', err.message);
+      console.error('Error Stack', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/songs/import/chordpro', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const body = req.body || {};
+  const { chordpro, scroll_speed, videos } = body;
+
+  if (typeof chordpro !== 'string' || !chordpro.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'chordpro is required',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const parsed = ChordPro.parseChordPro(chordpro);
+
+  if (!parsed.title || !parsed.artist || !parsed.text) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'ChordPro document must have a {title}, an {artist} and a body',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const videosError = validateVideos(videos);
+  if (videosError) {
+    return res.status(400).json({
+      status: 'error',
+      message: videosError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const { mode, error: modeError } = parseDuplicateMode(req.query.duplicates);
+  if (modeError) {
+    return res.status(400).json({
+      status: 'error',
+      message: modeError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // A {key} directive is taken as a manual key; without a readable one the key is detected
+  const fields = { title: parsed.title, artist: parsed.artist, tab_text: parsed.text, scroll_speed, videos, key: parsed.key || undefined };
+  findSongOwner(res, userId, body.workspace_id, 'edit')
+    .then(owner => owner && createSongChecked(res, owner, fields, mode))
+    .catch(err => {
+      console.error('Error importing song', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Merges another song into this one and deletes it. The chosen default tab is kept and the other
+// dropped; arrangements, setlist entries, tags, practice history, share links and forks move over,
+// and the videos of both are kept up to the limit.
+app.post('/api/songs/:songId/merge', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+  const { song_id: otherId, tab_id: tabId } = req.body || {};
+
+  if (typeof otherId !== 'string' || !otherId || otherId === songId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'song_id must be the ID of another song',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  Promise.all([findSongAccess(userId, songId), findSongAccess(userId, otherId)])
+    .then(([access, otherAccess]) => {
+      if (!access || !otherAccess) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (![access, otherAccess].every(songAccess => Workspaces.roleAllows(songAccess.role, 'edit'))) {
+        return res.status(403).json({
+          status: 'error',
+          message: PERMISSION_DENIED_MESSAGES.edit,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { song } = access;
+      const other = otherAccess.song;
+      if (song.workspace_id !== other.workspace_id) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Both songs must be in the same library',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return Promise.all([
+        findDefaultTab(songId),
+        findDefaultTab(otherId),
+        sequelize.models.Video.findAll({ where: { song_id: songId } }),
+        sequelize.models.Video.findAll({ where: { song_id: otherId } }),
+        sequelize.models.SongTag.findAll({ where: { song_id: songId }, attributes: ['tag_id'] })
+      ])
+        .then(([tab, otherTab, videos, otherVideos, songTags]) => {
+          const kept = tabId === undefined
+            ? tab || otherTab
+            : [tab, otherTab].find(candidate => candidate && candidate.id === tabId);
+          if (!kept) {
+            return res.status(400).json({
+              status: 'error',
+              message: 'tab_id must be the default tab of one of the two songs',
+              timestamp: new Date().toISOString(),
+            });
+          }
+          const dropped = kept === tab ? otherTab : tab;
+
+          // The same video on both songs is kept once
+          const urls = new Set();
+          const keptVideos = [...videos, ...otherVideos].filter(video => {
+            const url = checkVideoUrl(video.url);
+            if (urls.has(url) || urls.size >= 5) return false;
+            urls.add(url);
+            return true;
+          });
+          const keptVideoIds = keptVideos.map(video => video.id);
+
+          const tabsPromise = (dropped ? destroyTabs({ id: dropped.id }) : Promise.resolve())
+            .then(() => sequelize.models.Tab.update({ song_id: songId }, { where: { song_id: otherId } }));
+          const videosPromise = Promise.all([
+            sequelize.models.Video.destroy({
+              where: { id: [...videos, ...otherVideos].filter(video => !keptVideoIds.includes(video.id)).map(video => video.id) }
+            }),
+            sequelize.models.Video.update(
+              { song_id: songId },
+              { where: { id: otherVideos.filter(video => keptVideoIds.includes(video.id)).map(video => video.id) } }
+            )
+          ]);
+          const tagsPromise = sequelize.models.SongTag.destroy({ where: { song_id: otherId, tag_id: songTags.map(songTag => songTag.tag_id) } })
+            .then(() => sequelize.models.SongTag.update({ song_id: songId }, { where: { song_id: otherId } }));
+          const setlistPromise = sequelize.models.SetlistEntry.update({ song_id: songId }, { where: { song_id: otherId } });
+          const practicePromise = sequelize.models.PracticeSession.update({ song_id: songId }, { where: { song_id: otherId } });
+          const sharePromise = sequelize.models.ShareLink.update({ song_id: songId }, { where: { song_id: otherId } });
+          // Forks of the merged-away song, including those in the trash, follow it into this one
+          const forksPromise = sequelize.models.Song.unscoped().update(
+            { forked_from_song_id: songId },
+            { where: { forked_from_song_id: otherId } }
+          );
+
+          // The key belongs with the tab it was detected from or set for
+          if (kept === otherTab) {
+            song.key = other.key;
+            song.key_source = other.key_source;
+          }
+          if (other.last_practiced_at && (!song.last_practiced_at || new Date(other.last_practiced_at) > new Date(song.last_practiced_at))) {
+            song.last_practiced_at = other.last_practiced_at;
+          }
+          song.updated_at = new Date();
+
+          return Promise.all([tabsPromise, videosPromise, tagsPromise, setlistPromise, practicePromise, sharePromise, forksPromise])
+            .then(() => Promise.all([song.save(), other.destroy()]))
+            .then(([savedSong]) => {
+              res.json(formatSongResponse(savedSong, kept, keptVideos));
+            });
+        });
+    })
+    .catch(err => {
+      console.error('Error merging songs', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/songs/:songId/chordpro', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findDefaultTab(songId)
+        .then(tab => {
+          const filename = `${song.artist} - ${song.title}`.replace(/[^\w\s.-]/g, '').trim() || 'song';
+
+          res.attachment(`${filename}.cho`);
+          res.type('text/plain; charset=utf-8');
+          res.send(ChordPro.toChordPro({ title: song.title, artist: song.artist, key: song.key, text: tab.text }));
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/songs/:songId/tabs', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return sequelize.models.Tab.findAll({
+        where: { song_id: songId },
+        order: [['is_default', 'DESC'], ['created_at', 'ASC']]
+      })
+        .then(tabs => {
+          res.json(tabs.map(tab => ({
+            id: tab.id,
+            name: tab.name,
+            is_default: tab.is_default,
+            scroll_speed: tab.scroll_speed,
+            chords: tabChords(tab)
+          })));
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/songs/:songId/tabs', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+  const { name, text, scroll_speed, is_default } = req.body || {};
+
+  if (!name || !text) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'name and text are required',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      const unsetDefault = is_default
+        ? sequelize.models.Tab.update({ is_default: false }, { where: { song_id: songId } })
+        : Promise.resolve();
+
+      return unsetDefault
+        .then(() => sequelize.models.Tab.create({
+          name,
+          text,
+          scroll_speed: scroll_speed ?? null,
+          chords: Chords.uniqueChords(text).join(','),
+          lyrics: Search.lyricText(text),
+          is_default: Boolean(is_default),
+          song_id: songId
+        }))
+        .then(tab => Promise.all([recordRevision(tab), tab.is_default && refreshSongKey(song, tab.text)])
+          .then(() => {
+            res.status(201).json(formatTab(tab));
+          }));
+    })
+    .catch(err => {
+      console.error('Error creating tab', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/songs/:songId/tabs/:tabId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, tabId } = req.params;
+
+  const { options, error } = parseTabOptions(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findVisibleSong(userId, songId)
+    .then(song => {
+      if (!song) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return sequelize.models.Tab.findOne({ where: { id: tabId, song_id: songId } })
+        .then(tab => {
+          if (!tab) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Tab not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          // The song's key belongs to its default tab; other arrangements may be in another key
+          const songKey = tab.is_default ? Chords.parseKey(song.key) : null;
+          const rendered = renderTabText(tab.text, options, songKey);
+          if (rendered.error) {
+            return res.status(400).json({
+              status: 'error',
+              message: rendered.error,
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          res.json({
+            ...formatTab(tab),
+            text: rendered.text,
+            ...renderedTabFields(rendered, options)
+          });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/songs/:songId/tabs/:tabId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, tabId } = req.params;
+  const body = req.body || {};
+
+  if (('name' in body && !body.name) || ('text' in body && !body.text)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'name and text cannot be empty',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return sequelize.models.Tab.findOne({ where: { id: tabId, song_id: songId } })
+        .then(tab => {
+          if (!tab) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Tab not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          if (tab.is_default && body.is_default === false) {
+            return res.status(400).json({
+              status: 'error',
+              message: 'A song must have a default tab; make another tab the default instead',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          const previousText = tab.text;
+          if ('name' in body) tab.name = body.name;
+          if ('scroll_speed' in body) tab.scroll_speed = body.scroll_speed ?? null;
+          if ('text' in body) {
+            tab.text = body.text;
+            tab.chords = Chords.uniqueChords(body.text).join(',');
+            tab.lyrics = Search.lyricText(body.text);
+          }
+
+          const textChanged = tab.text !== previousText;
+          if (textChanged) tab.updated_at = new Date();
+
+          const makeDefault = body.is_default === true && !tab.is_default;
+          const unsetDefault = makeDefault
+            ? sequelize.models.Tab.update({ is_default: false }, { where: { song_id: songId } })
+            : Promise.resolve();
+          if (makeDefault) tab.is_default = true;
+
+          return unsetDefault
+            .then(() => tab.save())
+            .then(savedTab => Promise.all([
+              textChanged && recordRevision(tab, previousText),
+              textChanged && reanchorAnnotations(tab.id, previousText, tab.text),
+              tab.is_default && (textChanged || makeDefault) && refreshSongKey(song, tab.text)
+            ])
+              .then(() => {
+                res.json(formatTab(savedTab));
+              }));
+        });
+    })
+    .catch(err => {
+      console.error('Error updating tab', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/songs/:songId/tabs/:tabId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, tabId } = req.params;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return sequelize.models.Tab.findOne({ where: { id: tabId, song_id: songId } })
+        .then(tab => {
+          if (!tab) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Tab not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          if (tab.is_default) {
+            return res.status(400).json({
+              status: 'error',
+              message: 'The default tab cannot be deleted; make another tab the default first',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          return destroyTabs({ id: tab.id, song_id: songId })
+            .then(() => {
+              res.status(204).send();
+            });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/songs/:songId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+  const body = req.body;
+
+  if (body.videos !== undefined && !Array.isArray(body.videos)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'videos must be an array',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (body.videos && body.videos.length > 5) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Maximum of 5 videos allowed',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (body.videos && body.videos.some(v => !v.url || !v.video_type)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Each video must have a url and video_type',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const { key, error: keyError } = parseKeyField(body.key);
+  if (keyError) {
+    return res.status(400).json({
+      status: 'error',
+      message: keyError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      if ('title' in body) song.title = body.title;
+      if ('artist' in body) song.artist = body.artist;
+
+      const tabPromise = findDefaultTab(songId)
+        .then(tab => {
+          if (!tab) {
+            return Promise.reject(new Error('Tab not found'));
+          }
+          const previousText = tab.text;
+          if ('tab_text' in body) {
+            tab.text = body.tab_text;
+            tab.chords = Chords.uniqueChords(body.tab_text || '').join(',');
+            tab.lyrics = Search.lyricText(body.tab_text || '');
+          }
+          if ('scroll_speed' in body) tab.scroll_speed = body.scroll_speed ?? null;
+
+          if (tab.text === previousText) return tab.save();
+
+          tab.updated_at = new Date();
+          return tab.save()
+            .then(savedTab => Promise.all([recordRevision(tab, previousText), reanchorAnnotations(tab.id, previousText, tab.text)])
+              .then(() => savedTab));
+        });
+
+      const songSavePromise = tabPromise.then(tab => {
+        setSongKey(song, tab.text, key);
+        song.updated_at = new Date();
+        return song.save();
+      });
+
+      const videosPromise = sequelize.models.Video.findAll({ where: { song_id: songId } })
+        .then(existingVideos => {
+          if (body.videos === undefined) {
+            return existingVideos;
+          }
+
+          const existingVideoIds = existingVideos.map(v => v.id);
+          const newVideoIds = body.videos.map(v => v.id).filter(Boolean);
+
+          const videosToDelete = existingVideoIds.filter(id => !newVideoIds.includes(id));
+          const videosToUpdate = existingVideos.filter(v => newVideoIds.includes(v.id));
+          const videosToCreate = body.videos.filter(v => !v.id);
+
+          videosToDelete.forEach(id => sequelize.models.Video.destroy({ where: { id } }));
+
+          const updatePromises = videosToUpdate.map(video => {
+            const newData = body.videos.find(v => v.id === video.id);
+            if (newData) {
+              video.url = newData.url;
+              video.video_type = newData.video_type;
+              return video.save();
+            }
+            return Promise.resolve();
+          });
+
+          const createPromises = videosToCreate.map(video =>
+            sequelize.models.Video.create({
+              url: video.url,
+              video_type: video.video_type,
+              song_id: songId
+            })
+          );
+
+          return Promise.all([...updatePromises, ...createPromises]);
+        });
+
+      return Promise.all([songSavePromise, tabPromise, videosPromise])
+        .then(([savedSong, tab, videos]) => {
+          res.status(200).json(formatSongResponse(savedSong, tab, videos));
+        });
+    })
+    .catch(err => {
+      console.error('Error updating song', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Returns the 400 message for an invalid setlist entry, or null when it is acceptable. New entries
+// need a song; updates only check the fields they include.
+function validateSetlistEntry(entry, { requireSong = true } = {}) {
+  if (!entry || typeof entry !== 'object') return 'Each entry must be an object';
+  if (requireSong && !entry.song_id) return 'Each entry must have a song_id';
+  if (entry.transpose !== undefined && entry.transpose !== null &&
+      (!Number.isInteger(entry.transpose) || Math.abs(entry.transpose) > 11)) {
+    return 'transpose must be an integer between -11 and 11';
+  }
+  if (entry.scroll_speed !== undefined && entry.scroll_speed !== null && !Number.isInteger(entry.scroll_speed)) {
+    return 'scroll_speed must be an integer';
+  }
+  if (entry.notes !== undefined && entry.notes !== null && typeof entry.notes !== 'string') {
+    return 'notes must be a string';
+  }
+  return null;
+}
+
+// Resolves to true when the user can see every one of the songs. A setlist is the user's own, so
+// it can hold songs of their workspaces whatever their role.
+function seesSongs(userId, songIds) {
+  const ids = [...new Set(songIds)];
+  if (ids.length === 0) return Promise.resolve(true);
+  return sequelize.models.WorkspaceMember.findAll({ where: { user_id: userId } })
+    .then(memberships => sequelize.models.Song.count({ where: { id: ids, ...visibleSongsWhere(userId, memberships) } }))
+    .then(count => count === ids.length);
+}
+
+// Entries of songs in the trash, or of workspace songs the setlist's owner can no longer see, are
+// kept, so they come back when the song is restored or the owner rejoins, but are left out
+function findSetlistEntries(setlist) {
+  return sequelize.models.SetlistEntry.findAll({
+    where: { setlist_id: setlist.id },
+    order: [['position', 'ASC'], ['created_at', 'ASC']]
+  })
+    .then(entries => visibleSongIds(setlist.user_id, entries.map(entry => entry.song_id))
+      .then(songIds => entries.filter(entry => songIds.includes(entry.song_id))));
+}
+
+function createSetlistEntries(setlistId, entries, firstPosition) {
+  return Promise.all(entries.map((entry, index) => sequelize.models.SetlistEntry.create({
+    setlist_id: setlistId,
+    song_id: entry.song_id,
+    position: firstPosition + index,
+    notes: entry.notes ?? null,
+    transpose: entry.transpose ?? 0,
+    scroll_speed: entry.scroll_speed ?? null
+  })));
+}
+
+function touchSetlist(setlist) {
+  setlist.updated_at = new Date();
+  return setlist.save();
+}
+
+// Positions are sort keys and can have gaps after songs are deleted, so entries report their index
+function formatSetlist(setlist, entries, songs) {
+  return {
+    id: setlist.id,
+    name: setlist.name,
+    created_at: setlist.created_at,
+    updated_at: setlist.updated_at,
+    entries: entries.map((entry, index) => {
+      const song = songs.find(s => s.id === entry.song_id);
+      return {
+        id: entry.id,
+        position: index,
+        notes: entry.notes,
+        transpose: entry.transpose,
+        scroll_speed: entry.scroll_speed,
+        song: song ? { id: song.id, title: song.title, artist: song.artist, key: song.key } : null
+      };
+    })
+  };
+}
+
+// Loads a setlist's entries along with the songs they point at and responds with the formatted setlist
+function sendSetlist(res, setlist, status = 200) {
+  return findSetlistEntries(setlist)
+    .then(entries => sequelize.models.Song.findAll({ where: { id: entries.map(entry => entry.song_id) } })
+      .then(songs => {
+        res.status(status).json(formatSetlist(setlist, entries, songs));
+      }));
+}
+
+app.get('/api/setlists', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  sequelize.models.Setlist.findAll({ where: { user_id: userId }, order: [['name', 'ASC']] })
+    .then(setlists => sequelize.models.SetlistEntry.findAll({
+      where: { setlist_id: setlists.map(setlist => setlist.id) },
+      attributes: ['setlist_id', 'song_id']
+    })
+      .then(entries => visibleSongIds(userId, entries.map(entry => entry.song_id))
+        .then(songIds => {
+          res.json(setlists.map(setlist => ({
+            id: setlist.id,
+            name: setlist.name,
+            song_count: entries.filter(entry => entry.setlist_id === setlist.id && songIds.includes(entry.song_id)).length,
+            created_at: setlist.created_at,
+            updated_at: setlist.updated_at
+          })));
+        })))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/setlists', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const body = req.body || {};
+  const { name } = body;
+  const entries = body.entries ?? [];
+
+  if (!name) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'name is required',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const entriesError = Array.isArray(entries)
+    ? entries.map(entry => validateSetlistEntry(entry)).find(Boolean)
+    : 'entries must be an array';
+  if (entriesError) {
+    return res.status(400).json({
+      status: 'error',
+      message: entriesError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  seesSongs(userId, entries.map(entry => entry.song_id))
+    .then(visible => {
+      if (!visible) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Every song_id must be one of your songs',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return sequelize.models.Setlist.create({ name, user_id: userId })
+        .then(setlist => createSetlistEntries(setlist.id, entries, 0)
+          .then(() => sendSetlist(res, setlist, 201)));
+    })
+    .catch(err => {
+      console.error('Error creating setlist', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/setlists/:setlistId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const setlistId = req.params.setlistId;
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return sendSetlist(res, setlist);
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Everything needed to play a gig in one response: each song's default tab with the entry's
+// transposition applied and its scroll speed override, plus the song's videos
+app.get('/api/setlists/:setlistId/gig', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const setlistId = req.params.setlistId;
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findSetlistEntries(setlist)
+        .then(entries => {
+          const songIds = [...new Set(entries.map(entry => entry.song_id))];
+
+          return Promise.all([
+            sequelize.models.Song.findAll({ where: { id: songIds } }),
+            sequelize.models.Tab.findAll({ where: { song_id: songIds, is_default: true } }),
+            sequelize.models.Video.findAll({ where: { song_id: songIds } })
+          ])
+            .then(([songs, tabs, videos]) => {
+              const formatted = formatSetlist(setlist, entries, songs);
+
+              formatted.entries.forEach((item, index) => {
+                const entry = entries[index];
+                const tab = tabs.find(t => t.song_id === entry.song_id);
+
+                if (tab) {
+                  const song = songs.find(s => s.id === entry.song_id);
+                  const rendered = renderTabText(tab.text, { transpose: entry.transpose }, Chords.parseKey(song?.key));
+                  item.tab = {
+                    id: tab.id,
+                    text: rendered.text,
+                    scroll_speed: entry.scroll_speed ?? tab.scroll_speed,
+                    capo: rendered.capo,
+                    key: rendered.key,
+                    chords: rendered.chords
+                  };
+                } else {
+                  item.tab = null;
+                }
+
+                item.videos = videos
+                  .filter(video => video.song_id === entry.song_id)
+                  .map(video => ({ id: video.id, video_type: video.video_type, url: checkVideoUrl(video.url) }));
+              });
+
+              res.json(formatted);
+            });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/setlists/:setlistId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const setlistId = req.params.setlistId;
+  const body = req.body || {};
+
+  if ('name' in body && !body.name) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'name cannot be empty',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if ('name' in body) setlist.name = body.name;
+
+      return touchSetlist(setlist)
+        .then(() => sendSetlist(res, setlist));
+    })
+    .catch(err => {
+      console.error('Error updating setlist', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/setlists/:setlistId/order', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const setlistId = req.params.setlistId;
+  const entryIds = req.body?.entry_ids;
+
+  if (!Array.isArray(entryIds)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'entry_ids must be an array',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findSetlistEntries(setlist)
+        .then(entries => {
+          const sameEntries = entryIds.length === entries.length &&
+            new Set(entryIds).size === entryIds.length &&
+            entries.every(entry => entryIds.includes(entry.id));
+
+          if (!sameEntries) {
+            return res.status(400).json({
+              status: 'error',
+              message: 'entry_ids must list every entry of the setlist exactly once',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          return Promise.all(entries.map(entry => {
+            entry.position = entryIds.indexOf(entry.id);
+            return entry.save();
+          }))
+            .then(() => touchSetlist(setlist))
+            .then(() => sendSetlist(res, setlist));
+        });
+    })
+    .catch(err => {
+      console.error('Error reordering setlist', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/setlists/:setlistId/duplicate', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const setlistId = req.params.setlistId;
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return Promise.all([
+        findSetlistEntries(setlist),
+        sequelize.models.Setlist.create({ name: req.body?.name || `${setlist.name} (copy)`, user_id: userId })
+      ])
+        .then(([entries, copy]) => createSetlistEntries(copy.id, entries, 0)
+          .then(() => sendSetlist(res, copy, 201)));
+    })
+    .catch(err => {
+      console.error('Error duplicating setlist', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/setlists/:setlistId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const setlistId = req.params.setlistId;
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return Promise.all([
+        sequelize.models.SetlistEntry.destroy({ where: { setlist_id: setlist.id } }),
+        setlist.destroy()
+      ])
+        .then(() => {
+          res.status(204).send();
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/setlists/:setlistId/entries', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const setlistId = req.params.setlistId;
+  const body = req.body || {};
+
+  const entryError = validateSetlistEntry(body);
+  if (entryError) {
+    return res.status(400).json({
+      status: 'error',
+      message: entryError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  Promise.all([
+    sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } }),
+    seesSongs(userId, [body.song_id])
+  ])
+    .then(([setlist, visible]) => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!visible) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Every song_id must be one of your songs',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return sequelize.models.SetlistEntry.max('position', { where: { setlist_id: setlist.id } })
+        .then(lastPosition => createSetlistEntries(setlist.id, [body], (lastPosition ?? -1) + 1))
+        .then(() => touchSetlist(setlist))
+        .then(() => sendSetlist(res, setlist, 201));
+    })
+    .catch(err => {
+      console.error('Error adding setlist entry', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/setlists/:setlistId/entries/:entryId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { setlistId, entryId } = req.params;
+  const body = req.body || {};
+
+  const entryError = validateSetlistEntry(body, { requireSong: false });
+  if (entryError) {
+    return res.status(400).json({
+      status: 'error',
+      message: entryError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return sequelize.models.SetlistEntry.findOne({ where: { id: entryId, setlist_id: setlist.id } })
+        .then(entry => {
+          if (!entry) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Entry not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          if ('notes' in body) entry.notes = body.notes ?? null;
+          if ('transpose' in body) entry.transpose = body.transpose ?? 0;
+          if ('scroll_speed' in body) entry.scroll_speed = body.scroll_speed ?? null;
+
+          return entry.save()
+            .then(() => touchSetlist(setlist))
+            .then(() => sendSetlist(res, setlist));
+        });
+    })
+    .catch(err => {
+      console.error('Error updating setlist entry', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/setlists/:setlistId/entries/:entryId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { setlistId, entryId } = req.params;
+
+  sequelize.models.Setlist.findOne({ where: { id: setlistId, user_id: userId } })
+    .then(setlist => {
+      if (!setlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Setlist not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return sequelize.models.SetlistEntry.destroy({ where: { id: entryId, setlist_id: setlist.id } })
+        .then(deleted => {
+          if (!deleted) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Entry not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          return touchSetlist(setlist)
+            .then(() => sendSetlist(res, setlist));
+        });
+    })
+    .catch(err => {
+      console.error('Error removing setlist entry', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Tag names are compared case-insensitively, and commas are reserved for the ?tags= filter.
+// Returns { name } or { error } for a 400.
+function parseTagName(value) {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'Tag names must be non-empty strings' };
+  const name = value.trim().replace(/\s+/g, ' ');
+  if (name.includes(',')) return { error: 'Tag names cannot contain commas' };
+  if (name.length > 50) return { error: 'Tag names must be 50 characters or fewer' };
+  return { name };
+}
+
+// Parses a list of tag names for a song, dropping repeats that differ only in case
+function parseTagNames(value) {
+  if (!Array.isArray(value)) return { error: 'tags must be an array of tag names' };
+
+  const parsed = value.map(parseTagName);
+  const invalid = parsed.find(tag => tag.error);
+  if (invalid) return { error: invalid.error };
+
+  const names = parsed
+    .map(tag => tag.name)
+    .filter((name, index, all) => all.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+  return { names };
+}
+
+function findTagByName(tags, name) {
+  return tags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+}
+
+// Resolves to the ids of the songs tagged with all (or any) of the named tags of a library
+function findSongIdsByTags(owner, names, mode) {
+  return sequelize.models.Tag.findAll({ where: owner })
+    .then(tags => {
+      const matched = names.map(name => findTagByName(tags, name));
+      if (mode === 'all' && matched.some(tag => !tag)) return [];
+
+      const tagIds = [...new Set(matched.filter(Boolean).map(tag => tag.id))];
+      return sequelize.models.SongTag.findAll({ where: { tag_id: tagIds }, attributes: ['song_id', 'tag_id'] })
+        .then(songTags => {
+          const songIds = [...new Set(songTags.map(songTag => songTag.song_id))];
+          if (mode === 'any') return songIds;
+          return songIds.filter(songId => tagIds.every(tagId =>
+            songTags.some(songTag => songTag.song_id === songId && songTag.tag_id === tagId)));
+        });
+    });
+}
+
+// Resolves to the tags of a song, sorted by name
+function findSongTags(songId) {
+  return sequelize.models.SongTag.findAll({ where: { song_id: songId }, attributes: ['tag_id'] })
+    .then(songTags => songTags.length === 0 ? [] : sequelize.models.Tag.findAll({
+      where: { id: songTags.map(songTag => songTag.tag_id) },
+      order: [['name', 'ASC']]
+    }))
+    .then(tags => tags.map(tag => ({ id: tag.id, name: tag.name })));
+}
+
+app.get('/api/tags', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => owner && sequelize.models.Tag.findAll({ where: owner, order: [['name', 'ASC']] })
+      .then(tags => sequelize.models.SongTag.findAll({
+        where: { tag_id: tags.map(tag => tag.id) },
+        attributes: ['tag_id', 'song_id']
+      })
+        .then(songTags => liveSongIds(songTags.map(songTag => songTag.song_id))
+          .then(songIds => {
+            res.json(tags.map(tag => ({
+              id: tag.id,
+              name: tag.name,
+              song_count: songTags.filter(songTag => songTag.tag_id === tag.id && songIds.includes(songTag.song_id)).length
+            })));
+          }))))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/tags', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { name, error } = parseTagName(req.body?.name);
+
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findSongOwner(res, userId, req.query.workspace_id, 'edit')
+    .then(owner => owner && sequelize.models.Tag.findAll({ where: owner })
+      .then(tags => {
+        if (findTagByName(tags, name)) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'A tag with that name already exists',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return sequelize.models.Tag.create({ name, ...owner })
+          .then(tag => {
+            res.status(201).json({ id: tag.id, name: tag.name, song_count: 0 });
+          });
+      }))
+    .catch(err => {
+      console.error('Error creating tag', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/tags/:tagId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const tagId = req.params.tagId;
+  const { name, error } = parseTagName(req.body?.name);
+
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findSongOwner(res, userId, req.query.workspace_id, 'edit')
+    .then(owner => owner && sequelize.models.Tag.findAll({ where: owner })
+      .then(tags => {
+        const tag = tags.find(t => t.id === tagId);
+        if (!tag) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Tag not found',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        const existing = findTagByName(tags, name);
+        if (existing && existing.id !== tag.id) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'A tag with that name already exists',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        tag.name = name;
+        return tag.save()
+          .then(() => sequelize.models.SongTag.findAll({ where: { tag_id: tag.id }, attributes: ['song_id'] }))
+          .then(songTags => liveSongIds(songTags.map(songTag => songTag.song_id)))
+          .then(songIds => {
+            res.json({ id: tag.id, name: tag.name, song_count: songIds.length });
+          });
+      }))
+    .catch(err => {
+      console.error('Error updating tag', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/tags/:tagId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const tagId = req.params.tagId;
+
+  findSongOwner(res, userId, req.query.workspace_id, 'edit')
+    .then(owner => owner && sequelize.models.Tag.findOne({ where: { id: tagId, ...owner } })
+      .then(tag => {
+        if (!tag) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Tag not found',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return Promise.all([
+          sequelize.models.SongTag.destroy({ where: { tag_id: tag.id } }),
+          tag.destroy()
+        ])
+          .then(() => {
+            res.status(204).send();
+          });
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Replaces the tags of a song. Tags are given by name, and names that aren't in the vocabulary of
+// the song's library (the user's, or the workspace's) yet are added to it.
+app.put('/api/songs/:songId/tags', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+  const { names, error } = parseTagNames(req.body?.tags);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      const owner = songOwner(song);
+      return sequelize.models.Tag.findAll({ where: owner })
+        .then(tags => Promise.all(names.map(name =>
+          findTagByName(tags, name) || sequelize.models.Tag.create({ name, ...owner }))))
+        .then(tags => sequelize.models.SongTag.destroy({ where: { song_id: song.id } })
+          .then(() => Promise.all(tags.map(tag => sequelize.models.SongTag.create({ song_id: song.id, tag_id: tag.id }))))
+          .then(() => {
+            res.json({
+              tags: tags
+                .map(tag => ({ id: tag.id, name: tag.name }))
+                .sort((a, b) => a.name.localeCompare(b.name))
+            });
+          }));
+    })
+    .catch(err => {
+      console.error('Error updating song tags', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+const BULK_ACTIONS = ['delete', 'tag', 'untag', 'rename_artist', 'add_to_setlist', 'set_scroll_speed'];
+const MAX_BULK_SONGS = 500;
+
+// Reads the fields an action needs from a bulk request body; returns { params } or { error } for a 400
+function parseBulkParams(action, body) {
+  if (action === 'tag' || action === 'untag') {
+    const { names, error } = parseTagNames(body.tags);
+    return error ? { error } : { params: { names } };
+  }
+  if (action === 'rename_artist') {
+    if (typeof body.artist !== 'string' || !body.artist.trim()) return { error: 'artist must be a non-empty string' };
+    return { params: { artist: body.artist.trim() } };
+  }
+  if (action === 'add_to_setlist') {
+    if (typeof body.setlist_id !== 'string' || !body.setlist_id) return { error: 'setlist_id is required' };
+    return { params: { setlistId: body.setlist_id } };
+  }
+  if (action === 'set_scroll_speed') {
+    if (body.scroll_speed !== null && !Number.isInteger(body.scroll_speed)) return { error: 'scroll_speed must be an integer or null' };
+    return { params: { scrollSpeed: body.scroll_speed } };
+  }
+  return { params: {} };
+}
+
+// Applies an action to songs that all belong to one library, with a few queries for the whole batch
+function applyBulkAction(owner, action, params, songIds) {
+  const { Song, Tab, Tag, SongTag, SetlistEntry } = sequelize.models;
+
+  if (action === 'delete') {
+    return Song.update({ deleted_at: new Date() }, { where: { id: songIds } });
+  }
+  if (action === 'tag') {
+    return Tag.findAll({ where: owner })
+      .then(tags => Promise.all(params.names.map(name =>
+        findTagByName(tags, name) || Tag.create({ name, ...owner }))))
+      .then(tags => SongTag.findAll({ where: { song_id: songIds, tag_id: tags.map(tag => tag.id) }, attributes: ['song_id', 'tag_id'] })
+        .then(existing => SongTag.bulkCreate(songIds.flatMap(songId => tags
+          .filter(tag => !existing.some(songTag => songTag.song_id === songId && songTag.tag_id === tag.id))
+          .map(tag => ({ song_id: songId, tag_id: tag.id }))))));
+  }
+  if (action === 'untag') {
+    return Tag.findAll({ where: owner })
+      .then(tags => {
+        const tagIds = params.names.map(name => findTagByName(tags, name)).filter(Boolean).map(tag => tag.id);
+        return SongTag.destroy({ where: { song_id: songIds, tag_id: tagIds } });
+      });
+  }
+  if (action === 'rename_artist') {
+    return Song.update({ artist: params.artist, updated_at: new Date() }, { where: { id: songIds } });
+  }
+  if (action === 'add_to_setlist') {
+    return SetlistEntry.max('position', { where: { setlist_id: params.setlist.id } })
+      .then(lastPosition => createSetlistEntries(params.setlist.id, songIds.map(songId => ({ song_id: songId })), (lastPosition ?? -1) + 1))
+      .then(() => touchSetlist(params.setlist));
+  }
+  return Tab.update({ scroll_speed: params.scrollSpeed }, { where: { song_id: songIds, is_default: true } });
+}
+
+// Runs one action on many songs. Songs that aren't found are reported and skipped; the others
+// are changed together.
+app.post('/api/songs/bulk', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const body = req.body || {};
+  const { action, song_ids: songIds } = body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `action must be one of ${BULK_ACTIONS.join(', ')}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (!Array.isArray(songIds) || songIds.length === 0 || songIds.length > MAX_BULK_SONGS ||
+      songIds.some(songId => typeof songId !== 'string' || !songId)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `song_ids must be a list of 1 to ${MAX_BULK_SONGS} song IDs`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const { params, error } = parseBulkParams(action, body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const ids = [...new Set(songIds)];
+  const setlistPromise = action === 'add_to_setlist'
+    ? sequelize.models.Setlist.findOne({ where: { id: params.setlistId, user_id: userId } })
+    : Promise.resolve(null);
+
+  // Adding songs to the user's own setlist doesn't change them, so viewers of a workspace can too
+  findSongOwner(res, userId, body.workspace_id, action === 'add_to_setlist' ? 'view' : 'edit')
+    .then(owner => {
+      if (!owner) return;
+
+      return Promise.all([
+        sequelize.models.Song.findAll({ where: { id: ids, ...owner }, attributes: ['id'] }),
+        setlistPromise
+      ])
+        .then(([songs, setlist]) => {
+          if (action === 'add_to_setlist' && !setlist) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Setlist not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          const foundIds = ids.filter(songId => songs.some(song => song.id === songId));
+          const applied = foundIds.length > 0
+            ? applyBulkAction(owner, action, { ...params, setlist }, foundIds)
+            : Promise.resolve();
+
+          return applied.then(() => {
+            const results = ids.map(songId => (foundIds.includes(songId)
+              ? { song_id: songId, status: 'ok' }
+              : { song_id: songId, status: 'error', message: 'Song not found' }));
+
+            res.json({
+              action,
+              succeeded: foundIds.length,
+              failed: ids.length - foundIds.length,
+              results
+            });
+          });
+        });
+    })
+    .catch(err => {
+      console.error('Error running bulk action', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) > 0 ? parseInt(process.env.TRASH_RETENTION_DAYS, 10) : 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Deletes songs for good, along with everything that belongs to them
+function destroySongs(songIds) {
+  return Promise.all([
+    destroySongData(songIds),
+    sequelize.models.Song.unscoped().destroy({ where: { id: songIds } })
+  ]);
+}
+
+// Deletes the songs that have been in the trash longer than the retention period. Resolves to
+// the number of songs deleted.
+function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  return sequelize.models.Song.unscoped().findAll({ where: { deleted_at: { [Sequelize.Op.lt]: cutoff } }, attributes: ['id'] })
+    .then(songs => (songs.length === 0 ? 0 : destroySongs(songs.map(song => song.id)).then(() => songs.length)));
+}
+
+function formatTrashedSong(song) {
+  return {
+    id: song.id,
+    title: song.title,
+    artist: song.artist,
+    key: song.key,
+    deleted_at: song.deleted_at,
+    purge_at: new Date(new Date(song.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+  };
+}
+
+app.get('/api/trash', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => owner && sequelize.models.Song.scope('trashed').findAll({
+      where: owner,
+      attributes: ['id', 'title', 'artist', 'key', 'deleted_at'],
+      order: [['deleted_at', 'DESC']]
+    })
+      .then(songs => {
+        res.json(songs.map(formatTrashedSong));
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/trash/restore', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findSongOwner(res, userId, req.query.workspace_id, 'edit')
+    .then(owner => owner && sequelize.models.Song.scope('trashed').update({ deleted_at: null }, { where: owner })
+      .then(([restored]) => {
+        res.json({ restored });
+      }))
+    .catch(err => {
+      console.error('Error restoring songs', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/trash/:songId/restore', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findSongAccess(userId, songId, sequelize.models.Song.scope('trashed'))
+    .then(access => {
+      if (!access || !Workspaces.roleAllows(access.role, 'edit')) {
+        return res.status(access ? 403 : 404).json({
+          status: 'error',
+          message: access ? PERMISSION_DENIED_MESSAGES.edit : 'Song not found in trash',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const song = access.song;
+      song.deleted_at = null;
+      return song.save()
+        .then(() => {
+          res.json({ id: song.id, title: song.title, artist: song.artist, key: song.key });
+        });
+    })
+    .catch(err => {
+      console.error('Error restoring song', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/trash', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findSongOwner(res, userId, req.query.workspace_id, 'edit')
+    .then(owner => owner && sequelize.models.Song.scope('trashed').findAll({ where: owner, attributes: ['id'] })
+      .then(songs => {
+        const deleting = songs.length === 0 ? Promise.resolve() : destroySongs(songs.map(song => song.id));
+        return deleting.then(() => {
+          res.json({ deleted: songs.length });
+        });
+      }))
+    .catch(err => {
+      console.error('Error emptying trash', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Tokens are the only thing guarding a shared song, so they are long and random
+function createShareToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+function shareLinkExpired(link, now = new Date()) {
+  return Boolean(link.expires_at && new Date(link.expires_at) <= now);
+}
+
+function formatShareLink(link) {
+  return {
+    id: link.id,
+    token: link.token,
+    expires_at: link.expires_at,
+    expired: shareLinkExpired(link),
+    created_at: link.created_at
+  };
+}
+
+// Share links make a song public, so on a workspace song they are managed by its editors
+app.get('/api/songs/:songId/shares', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return sequelize.models.ShareLink.findAll({ where: { song_id: songId }, order: [['created_at', 'ASC']] })
+        .then(links => {
+          res.json(links.map(formatShareLink));
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/songs/:songId/shares', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const songId = req.params.songId;
+  const expiresAt = req.body?.expires_at;
+
+  if (expiresAt !== undefined && expiresAt !== null &&
+      (Number.isNaN(new Date(expiresAt).getTime()) || new Date(expiresAt) <= new Date())) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'expires_at must be a date in the future',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return sequelize.models.ShareLink.create({
+        token: createShareToken(),
+        song_id: songId,
+        user_id: userId,
+        expires_at: expiresAt ? new Date(expiresAt) : null
+      })
+        .then(link => {
+          res.status(201).json(formatShareLink(link));
+        });
+    })
+    .catch(err => {
+      console.error('Error creating share link', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/songs/:songId/shares/:shareId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { songId, shareId } = req.params;
+
+  findEditableSong(res, userId, songId)
+    .then(song => {
+      if (!song) return;
+
+      return sequelize.models.ShareLink.findOne({ where: { id: shareId, song_id: song.id } })
+        .then(link => {
+          if (!link) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Share link not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          return link.destroy()
+            .then(() => {
+              res.status(204).send();
+            });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Resolves to the song behind a share token, or null when the link is unknown, revoked, expired or
+// its song is in the trash
+function findSharedSong(token) {
+  return sequelize.models.ShareLink.findOne({ where: { token } })
+    .then(link => {
+      if (!link || shareLinkExpired(link)) return null;
+      return sequelize.models.Song.findOne({ where: { id: link.song_id } })
+        .then(song => song && { link, song });
+    });
+}
+
+// Public: anyone with the token can read the song, without an account. The tab takes the same
+// options as GET /api/tabs/:songId.
+app.get('/api/shared/:token', (req, res) => {
+  const { options, error } = parseTabOptions(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findSharedSong(req.params.token)
+    .then(shared => {
+      if (!shared) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Share link not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { link, song } = shared;
+      return Promise.all([
+        findDefaultTab(song.id),
+        sequelize.models.Video.findAll({ where: { song_id: song.id } })
+      ])
+        .then(([tab, videos]) => {
+          const rendered = renderTabText(tab.text, options, Chords.parseKey(song.key));
+          if (rendered.error) {
+            return res.status(400).json({
+              status: 'error',
+              message: rendered.error,
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          res.json({
+            song: { title: song.title, artist: song.artist, key: song.key },
+            tab: {
+              text: rendered.text,
+              scroll_speed: tab.scroll_speed,
+              ...renderedTabFields(rendered, options)
+            },
+            videos: videos.map(video => ({ video_type: video.video_type, url: checkVideoUrl(video.url) })),
+            expires_at: link.expires_at
+          });
+        });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+function findLatestRevision(tabId) {
+  return sequelize.models.TabRevision.findOne({ where: { tab_id: tabId }, order: [['created_at', 'DESC']] });
+}
+
+// Copies a shared song into the user's library. The copy remembers the original and the revision
+// of its tab it was taken from, so later edits by the original author can be spotted and pulled.
+app.post('/api/shared/:token/fork', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findSharedSong(req.params.token)
+    .then(shared => {
+      if (!shared) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Share link not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { song } = shared;
+      return Promise.all([
+        findDefaultTab(song.id),
+        sequelize.models.Video.findAll({ where: { song_id: song.id } })
+      ])
+        .then(([tab, videos]) => findLatestRevision(tab.id)
+          .then(revision => createSong({ user_id: userId }, {
+            title: song.title,
+            artist: song.artist,
+            tab_text: tab.text,
+            scroll_speed: tab.scroll_speed,
+            videos: videos.map(video => ({ url: video.url, video_type: video.video_type })),
+            key: song.key_source === 'manual' ? song.key : undefined
+          }, { forked_from_song_id: song.id, upstream_revision_id: revision ? revision.id : null })))
+        .then(({ song: fork, tab, videos: createdVideos }) => {
+          res.status(201).json(formatSongResponse(fork, tab, createdVideos));
+        });
+    })
+    .catch(err => {
+      console.error('Error forking song', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Replaces a tab's text, keeping the replaced text in its revision history
+function updateTabText(tab, text) {
+  const previousText = tab.text;
+  if (text === previousText) return Promise.resolve(tab);
+
+  tab.text = text;
+  tab.chords = Chords.uniqueChords(text).join(',');
+  tab.lyrics = Search.lyricText(text);
+  tab.updated_at = new Date();
+  return tab.save()
+    .then(savedTab => Promise.all([recordRevision(tab, previousText), reanchorAnnotations(tab.id, previousText, text)])
+      .then(() => savedTab));
+}
+
+// Resolves to the song a fork was copied from, with its default tab and that tab's latest
+// revision, or null once the original is deleted, in the trash or no longer shared
+function findUpstream(fork) {
+  const upstreamId = fork.forked_from_song_id;
+
+  return Promise.all([
+    sequelize.models.Song.findOne({ where: { id: upstreamId } }),
+    sequelize.models.ShareLink.findAll({ where: { song_id: upstreamId } })
+  ])
+    .then(([song, links]) => {
+      if (!song || links.every(link => shareLinkExpired(link))) return null;
+      return findDefaultTab(song.id)
+        .then(tab => findLatestRevision(tab.id)
+          .then(revision => ({ song, tab, revisionId: revision ? revision.id : null })));
+    });
+}
+
+// Loads a fork of the user's and its upstream for the upstream endpoints; responds with the
+// 404 itself and resolves to null when the song isn't found or isn't a fork
+function findFork(res, userId, songId) {
+  return sequelize.models.Song.findOne({ where: { id: songId, user_id: userId } })
+    .then(fork => {
+      if (!fork || !fork.forked_from_song_id) {
+        res.status(404).json({
+          status: 'error',
+          message: fork ? 'Song is not a fork' : 'Song not found',
+          timestamp: new Date().toISOString(),
+        });
+        return null;
+      }
+
+      return Promise.all([findDefaultTab(fork.id), findUpstream(fork)])
+        .then(([tab, upstream]) => ({ fork, tab, upstream }));
+    });
+}
+
+app.get('/api/songs/:songId/upstream', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findFork(res, userId, req.params.songId)
+    .then(found => {
+      if (!found) return;
+
+      const { fork, tab, upstream } = found;
+      if (!upstream) {
+        return res.json({ song_id: fork.forked_from_song_id, available: false, changed: false });
+      }
+
+      const changed = upstream.revisionId !== fork.upstream_revision_id;
+      const changes = changed ? Diff.diffLines(tab.text, upstream.tab.text) : [];
+      if (!changes) return respondDiffTooLarge(res);
+
+      res.json({
+        song_id: fork.forked_from_song_id,
+        available: true,
+        changed,
+        title: upstream.song.title,
+        artist: upstream.song.artist,
+        changes
+      });
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Replaces the fork's tab text with the original's. The replaced text stays in the revision
+// history, so local edits can be restored.
+app.post('/api/songs/:songId/upstream/pull', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findFork(res, userId, req.params.songId)
+    .then(found => {
+      if (!found) return;
+
+      const { fork, tab, upstream } = found;
+      if (!upstream) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'The original song is no longer shared',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return updateTabText(tab, upstream.tab.text)
+        .then(savedTab => {
+          setSongKey(fork, savedTab.text);
+          fork.upstream_revision_id = upstream.revisionId;
+          fork.updated_at = new Date();
+          return Promise.all([
+            fork.save(),
+            sequelize.models.Video.findAll({ where: { song_id: fork.id } })
+          ])
+            .then(([savedFork, videos]) => {
+              res.json(formatSongResponse(savedFork, savedTab, videos));
+            });
+        });
+    })
+    .catch(err => {
+      console.error('Error pulling upstream changes', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+const INVITATION_DURATION_MS = 7 * DAY_MS;
+
+function parseRole(value) {
+  if (!Workspaces.ROLES.includes(value)) return { error: `role must be one of ${Workspaces.ROLES.join(', ')}` };
+  return { role: value };
+}
+
+function formatWorkspace(workspace, role) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    role,
+    created_at: workspace.created_at
+  };
+}
+
+function formatMember(member) {
+  return {
+    user_id: member.user_id,
+    role: member.role,
+    joined_at: member.created_at
+  };
+}
+
+function formatInvitation(invitation) {
+  return {
+    id: invitation.id,
+    token: invitation.token,
+    role: invitation.role,
+    expires_at: invitation.expires_at,
+    created_at: invitation.created_at
+  };
+}
+
+// Changes a member's role, or removes the member when role is null, as long as the workspace
+// keeps an owner. Resolves to false when it wouldn't.
+function changeMembership(workspaceId, member, role) {
+  return sequelize.models.WorkspaceMember.findAll({ where: { workspace_id: workspaceId } })
+    .then(members => {
+      if (!Workspaces.keepsAnOwner(members, member.user_id, role)) return false;
+      if (role === null) return member.destroy().then(() => true);
+      member.role = role;
+      return member.save().then(() => true);
+    });
+}
+
+app.get('/api/workspaces', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  sequelize.models.WorkspaceMember.findAll({ where: { user_id: userId } })
+    .then(memberships => (memberships.length === 0 ? [] : sequelize.models.Workspace.findAll({
+      where: { id: memberships.map(member => member.workspace_id) },
+      order: [['name', 'ASC']]
+    }))
+      .then(workspaces => {
+        res.json(workspaces.map(workspace => formatWorkspace(
+          workspace,
+          memberships.find(member => member.workspace_id === workspace.id).role
+        )));
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/workspaces', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+  if (!name) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'name is required',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  sequelize.models.Workspace.create({ name })
+    .then(workspace => sequelize.models.WorkspaceMember.create({ workspace_id: workspace.id, user_id: userId, role: 'owner' })
+      .then(() => {
+        res.status(201).json(formatWorkspace(workspace, 'owner'));
+      }))
+    .catch(err => {
+      console.error('Error creating workspace', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/workspaces/:workspaceId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const workspaceId = req.params.workspaceId;
+
+  findWorkspaceAccess(res, userId, workspaceId, 'view')
+    .then(access => access && sequelize.models.WorkspaceMember.findAll({
+      where: { workspace_id: workspaceId },
+      order: [['created_at', 'ASC']]
+    })
+      .then(members => {
+        res.json({ ...formatWorkspace(access.workspace, access.member.role), members: members.map(formatMember) });
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/workspaces/:workspaceId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+  if (!name) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'name is required',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findWorkspaceAccess(res, userId, req.params.workspaceId, 'manage')
+    .then(access => {
+      if (!access) return;
+
+      const workspace = access.workspace;
+      workspace.name = name;
+      workspace.updated_at = new Date();
+      return workspace.save()
+        .then(() => {
+          res.json(formatWorkspace(workspace, access.member.role));
+        });
+    })
+    .catch(err => {
+      console.error('Error updating workspace', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Deletes the workspace for good, with all of its songs, trashed ones included
+app.delete('/api/workspaces/:workspaceId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const workspaceId = req.params.workspaceId;
+
+  findWorkspaceAccess(res, userId, workspaceId, 'manage')
+    .then(access => {
+      if (!access) return;
+
+      return Promise.all([
+        sequelize.models.Song.unscoped().findAll({ where: { workspace_id: workspaceId }, attributes: ['id'] }),
+        sequelize.models.Tag.findAll({ where: { workspace_id: workspaceId }, attributes: ['id'] })
+      ])
+        .then(([songs, tags]) => Promise.all([
+          songs.length > 0 && destroySongs(songs.map(song => song.id)),
+          sequelize.models.SongTag.destroy({ where: { tag_id: tags.map(tag => tag.id) } }),
+          sequelize.models.Tag.destroy({ where: { workspace_id: workspaceId } }),
+          sequelize.models.WorkspaceMember.destroy({ where: { workspace_id: workspaceId } }),
+          sequelize.models.WorkspaceInvitation.destroy({ where: { workspace_id: workspaceId } }),
+          access.workspace.destroy()
+        ]))
+        .then(() => {
+          res.status(204).send();
+        });
+    })
+    .catch(err => {
+      console.error('Error deleting workspace', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.put('/api/workspaces/:workspaceId/members/:userId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const workspaceId = req.params.workspaceId;
+
+  const { role, error } = parseRole(req.body?.role);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findWorkspaceAccess(res, userId, workspaceId, 'manage')
+    .then(access => access && sequelize.models.WorkspaceMember.findOne({ where: { workspace_id: workspaceId, user_id: req.params.userId } })
+      .then(member => {
+        if (!member) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Member not found',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return changeMembership(workspaceId, member, role)
+          .then(changed => {
+            if (!changed) {
+              return res.status(409).json({
+                status: 'error',
+                message: 'A workspace must keep at least one owner',
+                timestamp: new Date().toISOString(),
+              });
+            }
+            res.json(formatMember(member));
+          });
+      }))
+    .catch(err => {
+      console.error('Error updating member', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Owners remove members; any member can remove themselves to leave the workspace
+app.delete('/api/workspaces/:workspaceId/members/:userId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const workspaceId = req.params.workspaceId;
+  const leaving = req.params.userId === userId;
+
+  findWorkspaceAccess(res, userId, workspaceId, leaving ? 'view' : 'manage')
+    .then(access => access && (leaving
+      ? Promise.resolve(access.member)
+      : sequelize.models.WorkspaceMember.findOne({ where: { workspace_id: workspaceId, user_id: req.params.userId } }))
+      .then(member => {
+        if (!member) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Member not found',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return changeMembership(workspaceId, member, null)
+          .then(changed => {
+            if (!changed) {
+              return res.status(409).json({
+                status: 'error',
+                message: 'A workspace must keep at least one owner',
+                timestamp: new Date().toISOString(),
+              });
+            }
+            res.status(204).send();
+          });
+      }))
+    .catch(err => {
+      console.error('Error removing member', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/workspaces/:workspaceId/invitations', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const workspaceId = req.params.workspaceId;
+
+  findWorkspaceAccess(res, userId, workspaceId, 'manage')
+    .then(access => access && sequelize.models.WorkspaceInvitation.findAll({
+      where: { workspace_id: workspaceId, expires_at: { [Sequelize.Op.gt]: new Date() } },
+      order: [['created_at', 'DESC']]
+    })
+      .then(invitations => {
+        res.json(invitations.map(formatInvitation));
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// An invitation is a single-use link; whoever accepts it joins with the invitation's role
+app.post('/api/workspaces/:workspaceId/invitations', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const workspaceId = req.params.workspaceId;
+
+  const { role, error } = parseRole(req.body?.role ?? 'viewer');
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findWorkspaceAccess(res, userId, workspaceId, 'manage')
+    .then(access => access && sequelize.models.WorkspaceInvitation.create({
+      workspace_id: workspaceId,
+      token: createShareToken(),
+      role,
+      expires_at: new Date(Date.now() + INVITATION_DURATION_MS)
+    })
+      .then(invitation => {
+        res.status(201).json(formatInvitation(invitation));
+      }))
+    .catch(err => {
+      console.error('Error creating invitation', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.delete('/api/workspaces/:workspaceId/invitations/:invitationId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const workspaceId = req.params.workspaceId;
+
+  findWorkspaceAccess(res, userId, workspaceId, 'manage')
+    .then(access => access && sequelize.models.WorkspaceInvitation.destroy({
+      where: { id: req.params.invitationId, workspace_id: workspaceId }
+    })
+      .then(deleted => {
+        if (deleted === 0) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Invitation not found',
+            timestamp: new Date().toISOString(),
+          });
+        }
+        res.status(204).send();
+      }))
+    .catch(err => {
+      console.error('Error deleting invitation', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/invitations/:token/accept', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  sequelize.models.WorkspaceInvitation.findOne({
+    where: { token: req.params.token, expires_at: { [Sequelize.Op.gt]: new Date() } }
+  })
+    .then(invitation => {
+      if (!invitation) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Invitation not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return Promise.all([
+        sequelize.models.Workspace.findOne({ where: { id: invitation.workspace_id } }),
+        sequelize.models.WorkspaceMember.findOne({ where: { workspace_id: invitation.workspace_id, user_id: userId } })
+      ])
+        .then(([workspace, member]) => {
+          if (member) {
+            return res.status(409).json({
+              status: 'error',
+              message: 'You are already a member of this workspace',
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          return Promise.all([
+            sequelize.models.WorkspaceMember.create({ workspace_id: workspace.id, user_id: userId, role: invitation.role }),
+            invitation.destroy()
+          ])
+            .then(() => {
+              res.json(formatWorkspace(workspace, invitation.role));
+            });
+        });
+    })
+    .catch(err => {
+      console.error('Error accepting invitation', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+const LIVE_SESSION_IDLE_MS = 12 * 60 * 60 * 1000;
+const LIVE_SESSION_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+// Live sessions last as long as a set, so they are kept in memory rather than in the database.
+// Restarting the server ends them.
+const liveSessions = new Map();
+
+function formatLiveSession(session) {
+  return {
+    id: session.id,
+    leader_id: session.leader_id,
+    workspace_id: session.workspace_id,
+    state: session.state,
+    follower_count: session.followers.size,
+    created_at: session.created_at
+  };
+}
+
+// Whether the user may follow a live session: its leader can, and so can the members of its workspace
+function canFollowLiveSession(userId, session) {
+  if (session.leader_id === userId) return Promise.resolve(true);
+  if (!session.workspace_id) return Promise.resolve(false);
+  return sequelize.models.WorkspaceMember.findOne({ where: { workspace_id: session.workspace_id, user_id: userId } })
+    .then(Boolean);
+}
+
+// Loads a live session the user may follow; responds with the 404 itself and resolves to null otherwise
+function findLiveSession(res, userId, sessionId) {
+  const session = liveSessions.get(sessionId);
+
+  return (session ? canFollowLiveSession(userId, session) : Promise.resolve(false))
+    .then(allowed => {
+      if (!allowed) {
+        res.status(404).json({
+          status: 'error',
+          message: 'Live session not found',
+          timestamp: new Date().toISOString(),
+        });
+        return null;
+      }
+      return session;
+    });
+}
+
+// Looks up what a command needs: the song it switches to, or the sections of the current song.
+// Resolves to { context } or to { status, message } for an error response.
+function findCommandContext(session, command) {
+  if (command.type === 'song') {
+    const owner = session.workspace_id ? { workspace_id: session.workspace_id } : { user_id: session.leader_id };
+
+    return sequelize.models.Song.findOne({ where: { id: command.song_id, ...owner } })
+      .then(song => {
+        if (!song) return { status: 404, message: 'Song not found' };
+        return findDefaultTab(song.id)
+          .then(tab => ({ context: { song: { id: song.id, title: song.title, artist: song.artist, key: song.key }, tab } }));
+      });
+  }
+
+  if (command.type === 'section') {
+    if (!session.state.song) return Promise.resolve({ status: 409, message: 'Pick a song before jumping to a section' });
+
+    return findDefaultTab(session.state.song.id)
+      .then(tab => {
+        const sections = tab ? Sections.parseSections(tab.text) : [];
+        if (command.section >= sections.length) {
+          return { status: 400, message: "section must be the index of one of the song's sections" };
+        }
+        return { context: { sections } };
+      });
+  }
+
+  return Promise.resolve({ context: {} });
+}
+
+function publishLiveEvent(session, type, data) {
+  session.last_event_id += 1;
+  session.updated_at = new Date();
+  const message = LiveSessions.formatEvent(session.last_event_id, type, data);
+  session.followers.forEach(follower => follower.write(message));
+}
+
+function endLiveSession(session) {
+  publishLiveEvent(session, 'end', {});
+  session.followers.forEach(follower => follower.end());
+  liveSessions.delete(session.id);
+}
+
+// Ends the sessions whose leader hasn't done anything for a while, e.g. forgot to end them
+function endIdleLiveSessions(now = new Date()) {
+  liveSessions.forEach(session => {
+    if (now - session.updated_at > LIVE_SESSION_IDLE_MS) endLiveSession(session);
+  });
+}
+
+// The live sessions the user can follow: their own and those of their workspaces
+app.get('/api/live-sessions', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  sequelize.models.WorkspaceMember.findAll({ where: { user_id: userId } })
+    .then(memberships => {
+      const workspaceIds = memberships.map(member => member.workspace_id);
+      const sessions = [...liveSessions.values()]
+        .filter(session => session.leader_id === userId || workspaceIds.includes(session.workspace_id))
+        .sort((a, b) => b.created_at - a.created_at);
+
+      res.json(sessions.map(formatLiveSession));
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// The leader is whoever starts the session. A session in a workspace plays the workspace's songs
+// and its members follow; otherwise it plays the leader's own songs, for their other devices.
+app.post('/api/live-sessions', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findSongOwner(res, userId, req.body?.workspace_id, 'edit')
+    .then(owner => {
+      if (!owner) return;
+
+      const now = new Date();
+      const session = {
+        id: randomUUID(),
+        leader_id: userId,
+        workspace_id: owner.workspace_id || null,
+        state: LiveSessions.initialState(),
+        last_event_id: 0,
+        followers: new Set(),
+        created_at: now,
+        updated_at: now
+      };
+      liveSessions.set(session.id, session);
+
+      res.status(201).json(formatLiveSession(session));
+    })
+    .catch(err => {
+      console.error('Error starting live session', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.get('/api/live-sessions/:sessionId', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findLiveSession(res, userId, req.params.sessionId)
+    .then(session => {
+      if (!session) return;
+      res.json(formatLiveSession(session));
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Server-Sent Events for followers. Every connection, including the reconnects EventSource makes
+// on its own, starts with a `state` event holding the whole current state, so a follower who
+// dropped out mid-set catches up without replaying what they missed.
+app.get('/api/live-sessions/:sessionId/events', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  findLiveSession(res, userId, req.params.sessionId)
+    .then(session => {
+      if (!session) return;
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write(`retry: 2000\n${LiveSessions.formatEvent(session.last_event_id, 'state', session.state)}`);
+      session.followers.add(res);
+
+      // Comments keep proxies from closing a connection that is quiet between songs
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LIVE_HEARTBEAT_MS);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        session.followers.delete(res);
+      });
+    })
+    .catch(err => {
+      console.error('Error following live session', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+app.post('/api/live-sessions/:sessionId/commands', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+
+  const { command, error } = LiveSessions.parseCommand(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  findLiveSession(res, userId, req.params.sessionId)
+    .then(session => {
+      if (!session) return;
+
+      if (session.leader_id !== userId) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Only the leader can control this session',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      return findCommandContext(session, command)
+        .then(({ context, status, message }) => {
+          if (!context) {
+            return res.status(status).json({
+              status: 'error',
+              message,
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          const changes = LiveSessions.commandChanges(command, context);
+          session.state = { ...session.state, ...changes };
+          publishLiveEvent(session, command.type, changes);
+
+          res.json(formatLiveSession(session));
+        });
+    })
+    .catch(err => {
+      console.error('Error controlling live session', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
     });
-  });
 });
 
-app.get('/api/songs/:id', requireAuth, (req, res) => {
+app.delete('/api/live-sessions/:sessionId', requireAuth, (req, res) => {
   const userId = req.token.user_id;
 
-  const songId = req.params.id;
-  sequelize.models.Song.findOne({ where: { id: songId, user_id: userId } })
-    .then(result => {
-      if (!result) {
-        return res.status(404).json({
-          id: 'not_found',
-          message: 'Song not found',
+  findLiveSession(res, userId, req.params.sessionId)
+    .then(session => {
+      if (!session) return;
+
+      if (session.leader_id !== userId) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Only the leader can end this session',
           timestamp: new Date().toISOString(),
         });
-      } 
-
-      const song = result;
+      }
 
-      res.json({
-        id: song.id,
-        title: song.title,
-        artist: song.artist
-      });
+      endLiveSession(session);
+      res.status(204).send();
     })
     .catch(err => {
-      console.error('Error executing query', err.stack);
+      console.error('Error ending live session', err.stack);
       res.status(500).json({
         status: 'error',
         message: 'Internal Server Error',
@@ -103,11 +4261,85 @@ app.get('/api/songs/:id', requireAuth, (req, res) => {
     });
 });
 
-app.get('/api/tabs/:songId', requireAuth, (req, res) => {
+const MAX_PRACTICE_SECONDS = 24 * 60 * 60;
+
+// Reads a practice session from a request body; returns { session } or { error } for a 400.
+// A session needs a start and either an end or a duration; the other one is worked out.
+function parsePracticeSession(body) {
+  const { started_at, ended_at, duration_seconds, tempo, scroll_speed, rating } = body || {};
+
+  const startedAt = new Date(started_at);
+  if (!started_at || isNaN(startedAt)) return { error: 'started_at must be a date' };
+
+  const endedAt = ended_at !== undefined && ended_at !== null ? new Date(ended_at) : null;
+  if (endedAt && isNaN(endedAt)) return { error: 'ended_at must be a date' };
+  if (endedAt && endedAt <= startedAt) return { error: 'ended_at must be after started_at' };
+
+  const hasDuration = duration_seconds !== undefined && duration_seconds !== null;
+  if (!endedAt && !hasDuration) return { error: 'ended_at or duration_seconds is required' };
+  if (hasDuration && (!Number.isInteger(duration_seconds) || duration_seconds < 1)) {
+    return { error: 'duration_seconds must be a positive integer' };
+  }
+
+  const span = endedAt ? Math.round((endedAt - startedAt) / 1000) : null;
+  // The duration may be shorter than the span when the session was paused, but never longer
+  if (hasDuration && span !== null && duration_seconds > span) {
+    return { error: 'duration_seconds cannot be longer than the time between started_at and ended_at' };
+  }
+  const duration = hasDuration ? duration_seconds : span;
+  if (duration > MAX_PRACTICE_SECONDS) return { error: 'A practice session cannot be longer than 24 hours' };
+
+  if (tempo !== undefined && tempo !== null && (!Number.isInteger(tempo) || tempo < 20 || tempo > 400)) {
+    return { error: 'tempo must be an integer between 20 and 400' };
+  }
+  if (scroll_speed !== undefined && scroll_speed !== null && !Number.isInteger(scroll_speed)) {
+    return { error: 'scroll_speed must be an integer' };
+  }
+  if (rating !== undefined && rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    return { error: 'rating must be an integer between 1 and 5' };
+  }
+
+  return {
+    session: {
+      started_at: startedAt,
+      ended_at: endedAt || new Date(startedAt.getTime() + duration * 1000),
+      duration_seconds: duration,
+      tempo: tempo ?? null,
+      scroll_speed: scroll_speed ?? null,
+      rating: rating ?? null
+    }
+  };
+}
+
+function formatPracticeSession(session) {
+  return {
+    id: session.id,
+    started_at: session.started_at,
+    ended_at: session.ended_at,
+    duration_seconds: session.duration_seconds,
+    tempo: session.tempo,
+    scroll_speed: session.scroll_speed,
+    rating: session.rating
+  };
+}
+
+// The practice log is the user's own, so it can be kept for any song they can see, including the
+// songs of workspaces they only view. Only the user's own songs keep last_practiced_at on the song;
+// on workspace songs each member has their own, from their sessions.
+app.post('/api/songs/:songId/practice', requireAuth, (req, res) => {
   const userId = req.token.user_id;
   const songId = req.params.songId;
+  const { session, error } = parsePracticeSession(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error,
+      timestamp: new Date().toISOString(),
+    });
+  }
 
-  sequelize.models.Song.findOne({ where: { id: songId, user_id: userId } })
+  findVisibleSong(userId, songId)
     .then(song => {
       if (!song) {
         return res.status(404).json({
@@ -117,17 +4349,20 @@ app.get('/api/tabs/:songId', requireAuth, (req, res) => {
         });
       }
 
-      sequelize.models.Tab.findOne({ where: { song_id: songId } })
-        .then(result => {
-          res.json({
-            id: result.id,
-            text: result.text,
-            scroll_speed: result.scroll_speed
-          });
+      return sequelize.models.PracticeSession.create({ ...session, user_id: userId, song_id: song.id })
+        .then(created => {
+          // Sessions can be logged after the fact, so an older one doesn't move last_practiced_at back
+          if (song.workspace_id) return created;
+          if (song.last_practiced_at && new Date(song.last_practiced_at) >= session.ended_at) return created;
+          song.last_practiced_at = session.ended_at;
+          return song.save().then(() => created);
+        })
+        .then(created => {
+          res.status(201).json(formatPracticeSession(created));
         });
     })
     .catch(err => {
-      console.error('Error executing query', err.stack);
+      console.error('Error logging practice session', err.stack);
       res.status(500).json({
         status: 'error',
         message: 'Internal Server Error',
@@ -136,11 +4371,11 @@ app.get('/api/tabs/:songId', requireAuth, (req, res) => {
     });
 });
 
-app.get('/api/videos/:songId', requireAuth, (req, res) => {
+app.get('/api/songs/:songId/practice', requireAuth, (req, res) => {
   const userId = req.token.user_id;
   const songId = req.params.songId;
 
-  sequelize.models.Song.findOne({ where: { id: songId, user_id: userId } })
+  findVisibleSong(userId, songId)
     .then(song => {
       if (!song) {
         return res.status(404).json({
@@ -150,13 +4385,27 @@ app.get('/api/videos/:songId', requireAuth, (req, res) => {
         });
       }
 
-      sequelize.models.Video.findAll({ where: { song_id: songId } })
-        .then(result => {
-          res.json(result.map(video => ({
-            id: video.id,
-            video_type: video.video_type,
-            url: checkVideoUrl(video.url)
-          })));
+      return sequelize.models.PracticeSession.findAll({
+        where: { song_id: song.id, user_id: userId },
+        order: [['started_at', 'DESC']]
+      })
+        .then(sessions => {
+          const ratings = sessions.map(session => session.rating).filter(rating => rating !== null);
+          const totalSeconds = sessions.reduce((sum, session) => sum + session.duration_seconds, 0);
+          const lastEndedAt = sessions.reduce((last, session) => (
+            !last || new Date(session.ended_at) > new Date(last) ? session.ended_at : last
+          ), null);
+
+          res.json({
+            song_id: song.id,
+            last_practiced_at: lastEndedAt,
+            total_sessions: sessions.length,
+            total_minutes: Math.round(totalSeconds / 60),
+            average_rating: ratings.length > 0
+              ? Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 10) / 10
+              : null,
+            sessions: sessions.map(formatPracticeSession)
+          });
         });
     })
     .catch(err => {
@@ -169,11 +4418,11 @@ app.get('/api/videos/:songId', requireAuth, (req, res) => {
     });
 });
 
-app.delete('/api/songs/:songId', requireAuth, (req, res) => {
+app.delete('/api/songs/:songId/practice/:sessionId', requireAuth, (req, res) => {
   const userId = req.token.user_id;
-  const songId = req.params.songId;
+  const { songId, sessionId } = req.params;
 
-  sequelize.models.Song.findOne({ where: { id: songId, user_id: userId } })
+  findVisibleSong(userId, songId)
     .then(song => {
       if (!song) {
         return res.status(404).json({
@@ -183,17 +4432,30 @@ app.delete('/api/songs/:songId', requireAuth, (req, res) => {
         });
       }
 
-      const videoPromise = sequelize.models.Video.destroy({ where: { song_id: songId } })
-      const tabPromise = sequelize.models.Tab.destroy({ where: { song_id: songId } })
-      const songPromise = song.destroy();
+      return sequelize.models.PracticeSession.destroy({ where: { id: sessionId, song_id: song.id, user_id: userId } })
+        .then(deleted => {
+          if (!deleted) {
+            return res.status(404).json({
+              status: 'error',
+              message: 'Practice session not found',
+              timestamp: new Date().toISOString(),
+            });
+          }
 
-      return Promise.all([videoPromise, tabPromise, songPromise])
-        .then(() => {
-          res.status(204).send();
+          if (song.workspace_id) return res.status(204).send();
+
+          return sequelize.models.PracticeSession.max('ended_at', { where: { song_id: song.id, user_id: userId } })
+            .then(lastEndedAt => {
+              song.last_practiced_at = lastEndedAt || null;
+              return song.save();
+            })
+            .then(() => {
+              res.status(204).send();
+            });
         });
     })
     .catch(err => {
-      console.error('Error executing query', err.stack);
+      console.error('Error deleting practice session', err.stack);
       res.status(500).json({
         status: 'error',
         message: 'Internal Server Error',
@@ -202,86 +4464,180 @@ app.delete('/api/songs/:songId', requireAuth, (req, res) => {
     });
 });
 
-app.post('/api/songs', requireAuth, (req, res) => {
+app.get('/api/practice/summary', requireAuth, (req, res) => {
   const userId = req.token.user_id;
-  const { title, artist, tab_text, scroll_speed, videos } = req.body;
 
-  if (!title || !artist || !tab_text) {
+  const weeks = req.query.weeks !== undefined ? String(req.query.weeks).trim() : '8';
+  if (!/^\d+$/.test(weeks) || parseInt(weeks) < 1 || parseInt(weeks) > 52) {
     return res.status(400).json({
       status: 'error',
-      message: 'title, artist, and tab_text are required',
+      message: 'weeks must be an integer between 1 and 52',
       timestamp: new Date().toISOString(),
     });
   }
 
-  if (videos && !Array.isArray(videos)) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'videos must be an array',
-      timestamp: new Date().toISOString(),
+  // Sessions of songs in the trash don't count until the song is restored
+  const sessionsPromise = sequelize.models.PracticeSession.findAll({
+    where: { user_id: userId },
+    attributes: ['song_id', 'started_at', 'ended_at', 'duration_seconds']
+  })
+    .then(sessions => liveSongIds(sessions.map(session => session.song_id))
+      .then(songIds => sessions.filter(session => songIds.includes(session.song_id))));
+
+  // Neglected songs come from the user's own songs, practiced or not, and the songs of their
+  // workspaces they have practiced, which are as neglected as the user's own sessions say
+  const workspaceSongsPromise = Promise.all([
+    sessionsPromise,
+    sequelize.models.WorkspaceMember.findAll({ where: { user_id: userId } })
+  ])
+    .then(([sessions, memberships]) => memberships.length === 0 ? [] : sequelize.models.Song.findAll({
+      where: { id: [...new Set(sessions.map(session => session.song_id))], workspace_id: memberships.map(member => member.workspace_id) },
+      attributes: ['id', 'title', 'artist']
+    })
+      .then(songs => songs.map(song => ({
+        id: song.id,
+        title: song.title,
+        artist: song.artist,
+        last_practiced_at: sessions
+          .filter(session => session.song_id === song.id)
+          .reduce((last, session) => (!last || new Date(session.ended_at) > new Date(last) ? session.ended_at : last), null)
+      }))));
+
+  Promise.all([
+    sessionsPromise,
+    sequelize.models.Song.findAll({
+      where: { user_id: userId },
+      attributes: ['id', 'title', 'artist', 'last_practiced_at'],
+      order: [['last_practiced_at', 'ASC NULLS FIRST'], ['artist', 'ASC'], ['title', 'ASC']],
+      limit: 5
+    }),
+    workspaceSongsPromise
+  ])
+    .then(([sessions, songs, workspaceSongs]) => {
+      res.json(Practice.practiceSummary(sessions, [...songs, ...workspaceSongs], new Date(), { weeks: parseInt(weeks) }));
+    })
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
     });
-  }
+});
+
+function formatArtist(artist) {
+  return { name: artist.name, variants: artist.variants, song_count: artist.songs.length };
+}
+
+app.get('/api/artists', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const query = req.query.query ? String(req.query.query) : null;
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => owner && sequelize.models.Song.findAll({ where: owner, attributes: ['id', 'artist'] })
+      .then(songs => {
+        const artists = Artists.groupArtists(songs)
+          .filter(artist => !query || artist.variants.some(variant => Fuzzy.matchScore(query, variant) > 0));
+        res.json(artists.map(formatArtist));
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Any spelling of the artist's name finds all of its songs
+app.get('/api/artists/:name/songs', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const key = Artists.artistKey(req.params.name);
+
+  findSongOwner(res, userId, req.query.workspace_id, 'view')
+    .then(owner => owner && sequelize.models.Song.findAll({
+      where: owner,
+      attributes: ['id', 'title', 'artist', 'key'],
+      order: [['title', 'ASC']]
+    })
+      .then(songs => {
+        const artist = Artists.groupArtists(songs).find(group => group.key === key);
+        if (!artist) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Artist not found',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        res.json({
+          name: artist.name,
+          variants: artist.variants,
+          songs: artist.songs.map(song => ({ id: song.id, title: song.title, artist: song.artist, key: song.key }))
+        });
+      }))
+    .catch(err => {
+      console.error('Error executing query', err.stack);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal Server Error',
+        timestamp: new Date().toISOString(),
+      });
+    });
+});
+
+// Renames the songs of one or more artists, every spelling of each, to a single name
+app.post('/api/artists/merge', requireAuth, (req, res) => {
+  const userId = req.token.user_id;
+  const { from, to, workspace_id: workspaceId } = req.body || {};
+  const fromNames = Array.isArray(from) ? from : [from];
 
-  if (videos && videos.length > 5) {
+  if (fromNames.length === 0 || fromNames.some(name => typeof name !== 'string' || !name.trim())) {
     return res.status(400).json({
       status: 'error',
-      message: 'Maximum of 5 videos allowed',
+      message: 'from must be an artist name or a list of artist names',
       timestamp: new Date().toISOString(),
     });
   }
 
-  if (videos && videos.some(v => !v.url || !v.video_type)) {
+  if (typeof to !== 'string' || !to.trim()) {
     return res.status(400).json({
       status: 'error',
-      message: 'Each video must have a url and video_type',
+      message: 'to must be a non-empty artist name',
       timestamp: new Date().toISOString(),
     });
   }
 
-  sequelize.models.Song.create({
-    title,
-    artist,
-    user_id: userId
-  })
-    .then(song => {
-      const tabPromise = sequelize.models.Tab.create({
-        text: tab_text,
-        scroll_speed: scroll_speed ?? null,
-        song_id: song.id
-      });
+  const name = to.trim();
+  const fromKeys = fromNames.map(Artists.artistKey);
 
-      const videoPromises = (videos || []).map(video =>
-        sequelize.models.Video.create({
-          url: video.url,
-          video_type: video.video_type,
-          song_id: song.id
-        })
-      );
+  findSongOwner(res, userId, workspaceId, 'edit')
+    .then(owner => owner && sequelize.models.Song.findAll({ where: owner, attributes: ['id', 'artist'] })
+      .then(songs => {
+        const renamed = songs.filter(song => fromKeys.includes(Artists.artistKey(song.artist)));
+        if (renamed.length === 0) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Artist not found',
+            timestamp: new Date().toISOString(),
+          });
+        }
 
-      return Promise.all([tabPromise, ...videoPromises])
-        .then(([tab, ...createdVideos]) => {
-          res.status(201).json({
-            song: {
-              id: song.id,
-              title: song.title,
-              artist: song.artist
-            },
-            tab: {
-              id: tab.id,
-              text: tab.text,
-              scroll_speed: tab.scroll_speed
-            },
-            videos: createdVideos.map(v => ({
-              id: v.id,
-              video_type: v.video_type,
-              url: v.url
-            }))
+        const ids = renamed.map(song => song.id);
+        return sequelize.models.Song.update(
+          { artist: name, updated_at: new Date() },
+          { where: { id: ids, ...owner } }
+        )
+          .then(() => {
+            const merged = songs.filter(song => ids.includes(song.id) || Artists.artistKey(song.artist) === Artists.artistKey(name));
+            const variants = [...new Set(merged.map(song => (ids.includes(song.id) ? name : song.artist)))].sort((a, b) => a.localeCompare(b));
+            res.json({ name, variants, song_count: merged.length, renamed: renamed.length });
           });
-        });
-    })
+      }))
     .catch(err => {
-      console.error('Error creating song', err.message);
-      console.error('Error Stack', err.stack);
+      console.error('Error merging artists', err.stack);
       res.status(500).json({
         status: 'error',
         message: 'Internal Server Error',
@@ -290,130 +4646,72 @@ app.post('/api/songs', requireAuth, (req, res) => {
     });
 });
 
-app.put('/api/songs/:songId', requireAuth, (req, res) => {
-  const userId = req.token.user_id;
-  const songId = req.params.songId;
-  const body = req.body;
-
-  if (body.videos !== undefined && !Array.isArray(body.videos)) {
+app.get('/api/chords', requireAuth, (req, res) => {
+  const { options, error } = parseDiagramOptions(req.query);
+  if (error) {
     return res.status(400).json({
       status: 'error',
-      message: 'videos must be an array',
+      message: error,
       timestamp: new Date().toISOString(),
     });
   }
 
-  if (body.videos && body.videos.length > 5) {
+  const names = String(req.query.names || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0 || names.length > 50) {
     return res.status(400).json({
       status: 'error',
-      message: 'Maximum of 5 videos allowed',
+      message: 'names must be a comma-separated list of 1 to 50 chords',
       timestamp: new Date().toISOString(),
     });
   }
 
-  if (body.videos && body.videos.some(v => !v.url || !v.video_type)) {
+  res.json({
+    instrument: options.instrument,
+    chords: [...new Set(names)].map(name => ({
+      name,
+      voicings: ChordDiagrams.chordVoicings(name, options.instrument, options.voicings) || []
+    }))
+  });
+});
+
+app.get('/api/chords/:name', requireAuth, (req, res) => {
+  const { options, error } = parseDiagramOptions(req.query);
+  if (error) {
     return res.status(400).json({
       status: 'error',
-      message: 'Each video must have a url and video_type',
+      message: error,
       timestamp: new Date().toISOString(),
     });
   }
 
-  sequelize.models.Song.findOne({ where: { id: songId, user_id: userId } })
-    .then(song => {
-      if (!song) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Song not found',
-          timestamp: new Date().toISOString(),
-        });
-      }
-
-      if ('title' in body) song.title = body.title;
-      if ('artist' in body) song.artist = body.artist;
-      const songSavePromise = song.save();
-
-      const tabPromise = sequelize.models.Tab.findOne({ where: { song_id: songId } })
-        .then(tab => {
-          if (!tab) {
-            return Promise.reject(new Error('Tab not found'));
-          }
-          if ('tab_text' in body) tab.text = body.tab_text;
-          if ('scroll_speed' in body) tab.scroll_speed = body.scroll_speed ?? null;
-          return tab.save();
-        });
-
-      const videosPromise = sequelize.models.Video.findAll({ where: { song_id: songId } })
-        .then(existingVideos => {
-          if (body.videos === undefined) {
-            return existingVideos;
-          }
-
-          const existingVideoIds = existingVideos.map(v => v.id);
-          const newVideoIds = body.videos.map(v => v.id).filter(Boolean);
-
-          const videosToDelete = existingVideoIds.filter(id => !newVideoIds.includes(id));
-          const videosToUpdate = existingVideos.filter(v => newVideoIds.includes(v.id));
-          const videosToCreate = body.videos.filter(v => !v.id);
-
-          videosToDelete.forEach(id => sequelize.models.Video.destroy({ where: { id } }));
-
-          const updatePromises = videosToUpdate.map(video => {
-            const newData = body.videos.find(v => v.id === video.id);
-            if (newData) {
-              video.url = newData.url;
-              video.video_type = newData.video_type;
-              return video.save();
-            }
-            return Promise.resolve();
-          });
-
-          const createPromises = videosToCreate.map(video =>
-            sequelize.models.Video.create({
-              url: video.url,
-              video_type: video.video_type,
-              song_id: songId
-            })
-          );
-
-          return Promise.all([...updatePromises, ...createPromises]);
-        });
-
-      return Promise.all([songSavePromise, tabPromise, videosPromise])
-        .then(([savedSong, tab, videos]) => {
-          res.status(200).json({
-            song: {
-              id: savedSong.id,
-              title: savedSong.title,
-              artist: savedSong.artist
-            },
-            tab: {
-              id: tab.id,
-              text: tab.text,
-              scroll_speed: tab.scroll_speed
-            },
-            videos: videos.map(v => ({
-              id: v.id,
-              video_type: v.video_type,
-              url: v.url
-            }))
-          });
-        });
-    })
-    .catch(err => {
-      console.error('Error updating song', err.stack);
-      res.status(500).json({
-        status: 'error',
-        message: 'Internal Server Error',
-        timestamp: new Date().toISOString(),
-      });
+  const voicings = ChordDiagrams.chordVoicings(req.params.name, options.instrument, options.voicings);
+  if (!voicings) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Chord not found',
+      timestamp: new Date().toISOString(),
     });
+  }
+
+  res.json({
+    name: req.params.name,
+    instrument: options.instrument,
+    voicings
+  });
 });
 
 if (require.main === module) {
-  const start = () => app.listen(PORT, () => console.log(`Server is running on port ${PORT}`));
+  const purge = () => purgeTrash()
+    .then(count => count > 0 && console.log(`Purged ${count} songs from the trash`))
+    .catch(err => console.error('Error purging trash', err.stack));
+  const start = () => {
+    app.listen(PORT, () => console.log(`Server is running on port ${PORT}`));
+    purge();
+    setInterval(purge, TRASH_PURGE_INTERVAL_MS);
+    setInterval(endIdleLiveSessions, LIVE_SESSION_CHECK_INTERVAL_MS);
+  };
   if (process.env.NODE_ENV !== 'production') {
-    sequelize.sync().then(start).catch(err => {
+    sequelize.sync().then(setUpSearchIndexes).then(start).catch(err => {
       console.error('Failed to sync database:', err);
       process.exit(1);
     });
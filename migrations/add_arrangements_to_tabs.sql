@@ -0,0 +1,10 @@
+ALTER TABLE tabs ADD COLUMN IF NOT EXISTS name character varying;
+ALTER TABLE tabs ADD COLUMN IF NOT EXISTS is_default boolean NOT NULL DEFAULT false;
+
+-- Songs had exactly one tab before arrangements; make the oldest tab the default of any song without one
+UPDATE tabs SET is_default = true
+WHERE id IN (
+    SELECT DISTINCT ON (song_id) id FROM tabs t
+    WHERE NOT EXISTS (SELECT 1 FROM tabs d WHERE d.song_id = t.song_id AND d.is_default)
+    ORDER BY song_id, created_at
+);
@@ -0,0 +1 @@
+ALTER TABLE tabs ADD COLUMN IF NOT EXISTS chords TEXT;
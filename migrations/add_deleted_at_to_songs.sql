@@ -0,0 +1,3 @@
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS deleted_at timestamp(6) without time zone;
+
+CREATE INDEX IF NOT EXISTS index_songs_on_user_id_and_deleted_at ON songs USING btree (user_id, deleted_at);
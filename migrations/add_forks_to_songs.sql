@@ -0,0 +1,4 @@
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS forked_from_song_id uuid;
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS upstream_revision_id uuid;
+
+CREATE INDEX IF NOT EXISTS index_songs_on_forked_from_song_id ON songs USING btree (forked_from_song_id);
@@ -0,0 +1,6 @@
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS key character varying;
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS key_source character varying;
+
+CREATE INDEX IF NOT EXISTS index_songs_on_user_id_and_key ON songs USING btree (user_id, key);
+
+-- Keys can't be detected in SQL; run `npm run detect-keys` afterwards to fill them in
@@ -0,0 +1,7 @@
+ALTER TABLE tabs ADD COLUMN IF NOT EXISTS lyrics text;
+ALTER TABLE tabs ADD COLUMN IF NOT EXISTS lyrics_tsv tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', coalesce(lyrics, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS index_tabs_on_lyrics_tsv ON tabs USING gin (lyrics_tsv);
+
+-- Lyrics are extracted from the tab text in JS; run `npm run index-lyrics` afterwards to fill them in
@@ -0,0 +1,5 @@
+-- Typo-tolerant search scores only the songs closest to the query by their trigrams; this index
+-- finds them without reading the whole library
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS index_songs_on_title_and_artist_trigrams ON songs USING gist ((title || ' ' || artist) gist_trgm_ops);
@@ -0,0 +1,5 @@
+-- Like songs, a tag belongs to either a user or a workspace; workspace songs carry workspace tags
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS workspace_id uuid;
+ALTER TABLE tags ALTER COLUMN user_id DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS index_tags_on_workspace_id_and_lower_name ON tags (workspace_id, lower(name));
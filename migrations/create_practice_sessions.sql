@@ -0,0 +1,19 @@
+CREATE TABLE IF NOT EXISTS practice_sessions (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id uuid NOT NULL,
+    song_id uuid NOT NULL,
+    started_at timestamp(6) without time zone NOT NULL,
+    ended_at timestamp(6) without time zone NOT NULL,
+    duration_seconds integer NOT NULL,
+    tempo integer,
+    scroll_speed integer,
+    rating integer,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS index_practice_sessions_on_song_id ON practice_sessions (song_id, started_at);
+CREATE INDEX IF NOT EXISTS index_practice_sessions_on_user_id ON practice_sessions (user_id, started_at);
+
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS last_practiced_at timestamp(6) without time zone;
+
+CREATE INDEX IF NOT EXISTS index_songs_on_user_id_and_last_practiced_at ON songs USING btree (user_id, last_practiced_at);
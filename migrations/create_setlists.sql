@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS setlists (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    name character varying NOT NULL,
+    user_id uuid NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now(),
+    updated_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS index_setlists_on_user_id ON setlists (user_id);
+
+CREATE TABLE IF NOT EXISTS setlist_entries (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    setlist_id uuid NOT NULL,
+    song_id uuid NOT NULL,
+    "position" integer NOT NULL,
+    notes text,
+    transpose integer NOT NULL DEFAULT 0,
+    scroll_speed integer,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS index_setlist_entries_on_setlist_id ON setlist_entries (setlist_id, "position");
+CREATE INDEX IF NOT EXISTS index_setlist_entries_on_song_id ON setlist_entries (song_id);
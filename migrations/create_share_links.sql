@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS share_links (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    token character varying NOT NULL,
+    song_id uuid NOT NULL,
+    user_id uuid NOT NULL,
+    expires_at timestamp(6) without time zone,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS index_share_links_on_token ON share_links (token);
+CREATE INDEX IF NOT EXISTS index_share_links_on_song_id ON share_links (song_id);
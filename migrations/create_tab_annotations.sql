@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS tab_annotations (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    tab_id uuid NOT NULL,
+    user_id uuid NOT NULL,
+    line integer,
+    text text NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now(),
+    updated_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS index_tab_annotations_on_tab_id ON tab_annotations (tab_id, line);
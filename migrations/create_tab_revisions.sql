@@ -0,0 +1,8 @@
+CREATE TABLE IF NOT EXISTS tab_revisions (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    tab_id uuid NOT NULL,
+    text text NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS index_tab_revisions_on_tab_id ON tab_revisions (tab_id, created_at);
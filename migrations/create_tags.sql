@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS tags (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    name character varying NOT NULL,
+    user_id uuid NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS index_tags_on_user_id_and_lower_name ON tags (user_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS song_tags (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    song_id uuid NOT NULL,
+    tag_id uuid NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS index_song_tags_on_song_id_and_tag_id ON song_tags (song_id, tag_id);
+CREATE INDEX IF NOT EXISTS index_song_tags_on_tag_id ON song_tags (tag_id);
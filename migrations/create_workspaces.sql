@@ -0,0 +1,35 @@
+CREATE TABLE IF NOT EXISTS workspaces (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    name character varying NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now(),
+    updated_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    workspace_id uuid NOT NULL,
+    user_id uuid NOT NULL,
+    role character varying NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS index_workspace_members_on_workspace_id_and_user_id ON workspace_members (workspace_id, user_id);
+CREATE INDEX IF NOT EXISTS index_workspace_members_on_user_id ON workspace_members (user_id);
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    workspace_id uuid NOT NULL,
+    token character varying NOT NULL,
+    role character varying NOT NULL,
+    expires_at timestamp(6) without time zone NOT NULL,
+    created_at timestamp(6) without time zone NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS index_workspace_invitations_on_token ON workspace_invitations (token);
+CREATE INDEX IF NOT EXISTS index_workspace_invitations_on_workspace_id ON workspace_invitations (workspace_id);
+
+-- A song belongs to either a user or a workspace
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS workspace_id uuid;
+ALTER TABLE songs ALTER COLUMN user_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS index_songs_on_workspace_id_and_deleted_at ON songs USING btree (workspace_id, deleted_at);
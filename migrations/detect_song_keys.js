@@ -0,0 +1,34 @@
+// Fills in the key of every song that doesn't have one yet, from the chords of its default tab.
+// Run with: npm run detect-keys (after applying migrations/add_key_to_songs.sql)
+require('dotenv').config();
+
+const sequelize = require('../sequelize');
+const Chords = require('../Chords');
+
+async function detectSongKeys() {
+  const { Song, Tab } = sequelize.models;
+
+  const songs = await Song.findAll({ where: { key_source: null } });
+  for (const song of songs) {
+    const tab = await Tab.findOne({ where: { song_id: song.id, is_default: true } });
+    song.key = tab ? Chords.detectSongKey(tab.text) : null;
+    song.key_source = 'detected';
+    await song.save();
+  }
+
+  return songs.length;
+}
+
+if (require.main === module) {
+  detectSongKeys()
+    .then(count => {
+      console.log(`Detected keys for ${count} songs`);
+      return sequelize.close();
+    })
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = { detectSongKeys };
@@ -0,0 +1,37 @@
+// Fills in the lyrics of every tab that doesn't have them yet, for full-text lyric search. On
+// SQLite it also creates the FTS5 index that PostgreSQL gets from migrations/add_lyrics_to_tabs.sql.
+// Run with: npm run index-lyrics
+require('dotenv').config();
+
+const sequelize = require('../sequelize');
+const Search = require('../Search');
+
+async function indexLyrics() {
+  const { Tab } = sequelize.models;
+
+  const tabs = await Tab.findAll({ where: { lyrics: null } });
+  for (const tab of tabs) {
+    tab.lyrics = Search.lyricText(tab.text || '');
+    await tab.save();
+  }
+
+  if (sequelize.getDialect() === 'sqlite') {
+    for (const statement of Search.SQLITE_SETUP) await sequelize.query(statement);
+  }
+
+  return tabs.length;
+}
+
+if (require.main === module) {
+  indexLyrics()
+    .then(count => {
+      console.log(`Indexed lyrics for ${count} tabs`);
+      return sequelize.close();
+    })
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = { indexLyrics };
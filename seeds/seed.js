@@ -10,6 +10,8 @@ if (process.env.NODE_ENV === 'production') {
 
 const sequelize = require('../sequelize');
 const data = require('./data.json');
+const { detectSongKeys } = require('../migrations/detect_song_keys');
+const { indexLyrics } = require('../migrations/index_lyrics');
 
 async function run() {
   await sequelize.sync({ force: true });
@@ -18,8 +20,10 @@ async function run() {
 
   for (const row of data.users) await User.create(row);
   for (const row of data.songs) await Song.create(row);
-  for (const row of data.tabs) await Tab.create(row);
+  for (const row of data.tabs) await Tab.create({ is_default: true, ...row });
   for (const row of data.videos) await Video.create(row);
+  await detectSongKeys();
+  await indexLyrics();
 
   console.log(`Seeded: ${data.users.length} users, ${data.songs.length} songs, ${data.tabs.length} tabs, ${data.videos.length} videos`);
   await sequelize.close();
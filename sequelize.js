@@ -50,9 +50,38 @@ sequelize.define('Song', {
     type: Sequelize.STRING,
     allowNull: false
   },
+  key: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  key_source: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  last_practiced_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  deleted_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  forked_from_song_id: {
+    type: Sequelize.UUID,
+    allowNull: true
+  },
+  upstream_revision_id: {
+    type: Sequelize.UUID,
+    allowNull: true
+  },
+  // A song belongs to either a user or a workspace, so exactly one of these is set
   user_id: {
     type: Sequelize.UUID,
-    allowNull: false
+    allowNull: true
+  },
+  workspace_id: {
+    type: Sequelize.UUID,
+    allowNull: true
   },
   created_at: {
     type: Sequelize.DATE,
@@ -65,7 +94,17 @@ sequelize.define('Song', {
 },
 {
     tableName: 'songs',
-    timestamps: false
+    timestamps: false,
+    // Songs in the trash have a deleted_at and are left out of every query unless the
+    // trashed scope (or no scope) is asked for
+    defaultScope: {
+      where: { deleted_at: null }
+    },
+    scopes: {
+      trashed: {
+        where: { deleted_at: { [Sequelize.Op.ne]: null } }
+      }
+    }
 });
 
 sequelize.define('Tab', {
@@ -82,6 +121,23 @@ sequelize.define('Tab', {
     type: Sequelize.INTEGER,
     allowNull: true
   },
+  chords: {
+    type: Sequelize.TEXT,
+    allowNull: true
+  },
+  lyrics: {
+    type: Sequelize.TEXT,
+    allowNull: true
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  is_default: {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   song_id: {
     type: Sequelize.UUID,
     allowNull: false
@@ -132,6 +188,356 @@ sequelize.define('Video', {
     timestamps: false
 });
 
+sequelize.define('TabRevision', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  tab_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  text: {
+    type: Sequelize.TEXT,
+    allowNull: false
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'tab_revisions',
+    timestamps: false
+});
+
+sequelize.define('TabAnnotation', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  tab_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  user_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  // null once the line the annotation was on is removed from the tab
+  line: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  text: {
+    type: Sequelize.TEXT,
+    allowNull: false
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'tab_annotations',
+    timestamps: false
+});
+
+sequelize.define('Setlist', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  user_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'setlists',
+    timestamps: false
+});
+
+sequelize.define('SetlistEntry', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  setlist_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  song_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  position: {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  },
+  notes: {
+    type: Sequelize.TEXT,
+    allowNull: true
+  },
+  transpose: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  scroll_speed: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'setlist_entries',
+    timestamps: false
+});
+
+sequelize.define('Tag', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  // Like a song, a tag belongs to either a user or a workspace
+  user_id: {
+    type: Sequelize.UUID,
+    allowNull: true
+  },
+  workspace_id: {
+    type: Sequelize.UUID,
+    allowNull: true
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'tags',
+    timestamps: false
+});
+
+sequelize.define('SongTag', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  song_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  tag_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'song_tags',
+    timestamps: false
+});
+
+sequelize.define('PracticeSession', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  song_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  started_at: {
+    type: Sequelize.DATE,
+    allowNull: false
+  },
+  ended_at: {
+    type: Sequelize.DATE,
+    allowNull: false
+  },
+  duration_seconds: {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  },
+  tempo: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  scroll_speed: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  rating: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'practice_sessions',
+    timestamps: false
+});
+
+sequelize.define('ShareLink', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  token: {
+    type: Sequelize.STRING,
+    allowNull: false,
+    unique: true
+  },
+  song_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  user_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  expires_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'share_links',
+    timestamps: false
+});
+
+sequelize.define('Workspace', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'workspaces',
+    timestamps: false
+});
+
+sequelize.define('WorkspaceMember', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  workspace_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  user_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  // owner, editor or viewer
+  role: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'workspace_members',
+    timestamps: false
+});
+
+sequelize.define('WorkspaceInvitation', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  workspace_id: {
+    type: Sequelize.UUID,
+    allowNull: false
+  },
+  token: {
+    type: Sequelize.STRING,
+    allowNull: false,
+    unique: true
+  },
+  role: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  expires_at: {
+    type: Sequelize.DATE,
+    allowNull: false
+  },
+  created_at: {
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+},
+{
+    tableName: 'workspace_invitations',
+    timestamps: false
+});
+
 // iLike is PostgreSQL-only; SQLite LIKE is case-insensitive for ASCII so Op.like suffices
 sequelize.likeOp = isProduction ? Sequelize.Op.iLike : Sequelize.Op.like;
 